@@ -0,0 +1,857 @@
+/**
+ * DaisyExperience
+ * Orchestrates all modules for the Interactive Daisy Experience.
+ * Runs in the browser, headless (injected canvas/context, manual tick loop) or
+ * offscreen inside a worker (see OffscreenDaisy). The page side it shares with
+ * OffscreenDaisy (seed, settings, prompt, time controls, lifecycle, teardown)
+ * lives in DaisyHost
+ */
+
+import { getSpecies } from './config.js';
+import { DaisyHost } from './DaisyHost.js';
+import { BackgroundParallax } from './modules/BackgroundParallax.js';
+import { WindField } from './modules/WindField.js';
+import { ParticleSystem } from './modules/ParticleSystem.js';
+import { Garden } from './modules/Garden.js';
+import { PollenTrail } from './modules/PollenTrail.js';
+import { AudioLayer } from './modules/AudioLayer.js';
+import { EntranceAnimation } from './modules/EntranceAnimation.js';
+import { StateManager } from './modules/StateManager.js';
+import { InputHandler } from './modules/InputHandler.js';
+import { BeeSystem } from './modules/BeeSystem.js';
+import { ThemeManager } from './modules/ThemeManager.js';
+import { FocusManager } from './modules/FocusManager.js';
+import { QualityGovernor } from './modules/QualityGovernor.js';
+import { PerfHud } from './modules/PerfHud.js';
+import { Canvas2DRenderer } from './modules/Canvas2DRenderer.js';
+import { WebGLRenderer } from './modules/WebGLRenderer.js';
+import { Camera } from './modules/Camera.js';
+import { LayoutEngine } from './modules/LayoutEngine.js';
+import { OffscreenDaisy } from './OffscreenDaisy.js';
+
+// Bump when the snapshot layout changes incompatibly
+const SNAPSHOT_VERSION = 1;
+
+// Taps below this point of the meadow (background design space) plant a flower
+const GROUND_TOP = 0.8;
+
+export class DaisyExperience extends DaisyHost {
+    constructor(options = {}) {
+        super(options);
+
+        // Headless: no DOM, audio or requestAnimationFrame; drive with tick().
+        // Offscreen: headless inside a worker (js/worker.js), drawing to a transferred
+        // OffscreenCanvas and animating itself; the page forwards input
+        this.offscreen = !!options.offscreen;
+        this.headless = !!options.headless || this.offscreen;
+
+        // Host element; the experience fills it and sizes itself from it
+        this.container = options.container || (this.headless ? null : document.body);
+
+        // Canvas setup (a stub canvas and/or context can be injected)
+        this.canvas = options.canvas || (this.headless
+            ? { width: options.width || 800, height: options.height || 600 }
+            : this.createCanvas());
+        this.ctx = options.ctx || (this.canvas.getContext ? this.canvas.getContext('2d') : null);
+
+        // Render quality: starts from the device sniff, then follows measured frame
+        // time ('auto') or stays on the tier chosen in the settings
+        const quality = this.settings.get('quality');
+        this.quality = new QualityGovernor({
+            events: this.events,
+            tier: quality === 'auto' ? this.capabilities.qualityTier : quality,
+            adaptive: quality === 'auto'
+        });
+
+        // Flower placement and horizon per aspect ratio and breakpoint
+        this.layout = new LayoutEngine({ events: this.events });
+
+        // World / screen / device spaces; zoom closes in on the flower head
+        this.camera = new Camera({
+            events: this.events,
+            anchor: () => this.flower && this.flower.getFlowerHeadPosition()
+        });
+
+        // Modules (initialized in init())
+        this.background = null;
+        this.wind = null;
+        this.particles = null;
+        this.flower = null;
+        this.pollenTrail = null;
+        this.entrance = null;
+        this.stateManager = null;
+        this.input = null;
+        this.bees = null;
+        this.theme = null;
+        this.renderer = null;
+        this.focus = null;
+
+        // Frame cap from the quality tier
+        this.frameInterval = 1000 / this.quality.tier.frameRate;
+        this.lastFrameTime = 0;
+        this.lastDrawTime = 0;
+        this.frameCount = 0;
+
+        // Longest single physics step; fast-forward is split into substeps
+        this.maxStep = 1000 / 30;
+
+        // Bind methods
+        this.handleUserGesture = this.handleUserGesture.bind(this);
+    }
+
+    // renderer: 'auto' (WebGL where the device has it, not headless), 'webgl' or
+    // 'canvas'. WebGL that fails to start falls back to Canvas 2D
+    createRenderer() {
+        const choice = this.options.renderer || 'auto';
+        const tryWebGL = choice === 'webgl'
+            || (choice === 'auto' && this.capabilities.hasWebGL && (!this.headless || this.offscreen));
+        const options = { theme: this.theme, quality: this.quality };
+
+        return (tryWebGL && this.ctx && WebGLRenderer.create(options)) || new Canvas2DRenderer(options);
+    }
+
+    async init() {
+        // Set up canvas size, following the container (or the window)
+        this.resize();
+        if (!this.headless) this.observeSize();
+
+        // Active colors; an explicit palette beats the species' colors, which beat
+        // the theme's flower palette
+        this.theme = new ThemeManager({
+            events: this.events,
+            theme: this.options.theme,
+            palette: this.options.palette || getSpecies(this.options.species).palette,
+            mode: this.settings.get('colorMode'),
+            outlines: this.settings.get('outlines')
+        });
+
+        // Petals, particles and glows go through the renderer (WebGL or Canvas 2D)
+        this.renderer = this.createRenderer();
+
+        // Initialize modules
+        const shared = { clock: this.clock, events: this.events, theme: this.theme, quality: this.quality };
+        this.background = new BackgroundParallax(this.ctx, this.width, this.height, {
+            random: this.random.fork('background'),
+            theme: this.theme,
+            quality: this.quality,
+            renderer: this.renderer,
+            layerCache: !this.headless || this.offscreen
+        });
+        this.wind = new WindField(this.width, this.height, { random: this.random.fork('wind') });
+        this.particles = new ParticleSystem(this.ctx, this.width, this.height, { ...shared, random: this.random, renderer: this.renderer });
+        this.pollenTrail = new PollenTrail(this.ctx, this.width, this.height, { random: this.random, theme: this.theme, renderer: this.renderer });
+        this.audio = new AudioLayer({ ...shared, random: this.random.fork('audio'), layerLimit: this.quality.tier.audioLayers });
+        this.entrance = new EntranceAnimation(shared);
+        this.stateManager = new StateManager({ ...shared, dayCycleSpeed: this.options.dayCycleSpeed });
+        this.input = new InputHandler(this.canvas, { ...shared, camera: this.camera, bindEvents: !this.headless });
+
+        // Create the garden and its main flower where the layout puts it
+        const layout = this.layout.get();
+        this.background.setHorizon(layout.horizon);
+
+        this.garden = new Garden({
+            ...shared,
+            renderer: this.renderer,
+            random: this.random,
+            species: this.options.species,
+            palette: this.theme.getPalette(),
+            width: this.width,
+            height: this.height
+        });
+        this.flower = this.garden.createFlower(layout.baseX, layout.baseY, layout.stemHeight, layout.flowerRadius);
+
+        // Initialize bee system
+        this.bees = new BeeSystem(this.ctx, this.width, this.height, {
+            random: this.random.fork('bees'),
+            events: this.events,
+            theme: this.theme
+        });
+
+        // Keyboard focus over the flower's parts and the bees
+        this.focus = new FocusManager(this.canvas, this.flower, this.bees, { ...shared, bindEvents: !this.headless });
+
+        // Set up entrance animation callbacks
+        this.setupEntranceCallbacks();
+
+        // Set up state manager callbacks
+        this.setupStateCallbacks();
+
+        // Set up input callbacks
+        this.setupInputCallbacks();
+
+        // Apply stored preferences, then follow changes live
+        this.applySettings();
+        this.subscribe('settings:change', ({ key, value }) => this.applySetting(key, value));
+        this.subscribe('quality:change', () => this.applyQuality());
+
+        // Resume a saved session before anything starts
+        if (this.options.snapshot) this.restore(this.options.snapshot);
+
+        // Lifecycle, OS preferences, time controls, narration, settings drawer,
+        // HUD and the audio prompt
+        if (!this.headless) this.setupPage();
+
+        // Initial draw (static)
+        this.drawFrame(0);
+    }
+
+    handleUserGesture() {
+        // Called on first interaction - handled by audio prompt
+    }
+
+    startExperience() {
+        // Start ambient pad
+        if (this.settings.get('music')) this.audio.startAmbientPad();
+
+        // Start entrance animation (a restored session may be past it)
+        if (!this.entrance.getIsComplete()) {
+            this.entrance.start();
+            if (this.settings.get('skipIntro') || this.settings.get('reducedMotion')) this.skipIntro();
+        }
+
+        // Start animation loop (headless callers drive tick() themselves)
+        this.isRunning = true;
+        if (this.headless && !this.offscreen) return;
+
+        this.lastTime = performance.now();
+        this.frameRequest = requestAnimationFrame(this.animate);
+    }
+
+    // Jump to the finished flower by running the entrance in physics-sized
+    // steps (clock tasks included) without drawing
+    skipIntro() {
+        if (!this.entrance.isPlaying) return;
+
+        while (!this.entrance.getIsComplete()) {
+            this.update(this.clock.advance(this.maxStep));
+        }
+    }
+
+    setupEntranceCallbacks() {
+        // Stage A: Camera reveal, dust particles, music fade-in
+        this.entrance.onStageA(() => {
+            // Spawn initial dust particles
+            this.particles.spawnDust(15);
+        });
+
+        // Stage B: Stem growth
+        this.entrance.onStageB(() => {
+            this.flower.startStemGrowth();
+        });
+
+        // Stage C: Flower bloom
+        this.entrance.onStageC(() => {
+            this.flower.startFlowerBloom();
+        });
+
+        // Stage D: Wind gust
+        this.entrance.onStageD(() => {
+            this.wind.triggerGust({ x: 1.5, y: 0.2 }, 2000);
+            this.flower.completeGrowth();
+        });
+
+        // Complete
+        this.entrance.onComplete(() => {
+            // Experience is now fully interactive
+        });
+    }
+
+    setupStateCallbacks() {
+        // Idle mode: gentle micro-sway
+        this.stateManager.onIdleStart(() => {
+            // Flower will naturally sway from wind
+        });
+
+        this.stateManager.onIdleEnd(() => {
+            // Resume normal responsiveness
+        });
+
+        // Curiosity mode: increased responsiveness on one side
+        this.stateManager.onCuriosityStart((x, y) => {
+            this.flower.setCuriositySide(x, y);
+        });
+
+        this.stateManager.onCuriosityEnd(() => {
+            this.flower.resetCuriosity();
+        });
+
+        // Night shift: transition to dusk
+        this.stateManager.onNightShift((progress) => {
+            this.background.setNightMode(progress);
+            this.particles.setNightMode(progress > 0.3);
+
+            if (progress > 0.5 && !this.audio.nightDrone) {
+                this.audio.addNightLayer();
+            }
+        });
+    }
+
+    setupInputCallbacks() {
+        // Cursor move
+        this.input.onMove((x, y, velocity) => {
+            this.wind.update(16 * this.clock.getScale(), x, y);
+            this.pollenTrail.updateCursor(x, y);
+            this.particles.updateCursor(x, y);
+
+            // Handle flower hover (front-most flower only)
+            if (this.entrance.getIsComplete()) {
+                const hover = this.garden.handleHover(x, y);
+
+                if (hover.petal || hover.center) {
+                    this.pollenTrail.activate();
+
+                    // Play hover sound occasionally
+                    if (this.random.next() < 0.05 && velocity > 2) {
+                        this.audio.playHoverBell(this.input.getPan());
+                    }
+                } else {
+                    this.pollenTrail.deactivate();
+                }
+            }
+        });
+
+        // Click
+        this.input.onClick((x, y, velocity) => {
+            if (!this.entrance.getIsComplete()) return;
+
+            const click = this.garden.handleClick(x, y);
+            if (click.flower) {
+                this.respondToClick(click, x, y, this.input.getPan());
+            } else {
+                this.plantAt(x, y);
+            }
+        });
+
+        // Wheel and pinch
+        this.input.onZoom(factor => this.camera.zoomBy(factor));
+
+        // Enter/Space on the keyboard-focused part
+        this.focus.onActivate((type, index) => this.activatePart(type, index));
+    }
+
+    respondToClick(click, x, y, pan) {
+        if (click.center) {
+            // Center click: brief real slow motion while the bloom settles
+            this.clock.slowMotion(0.35, 1500);
+            this.audio.playCenterPad();
+            const flower = click.flower || this.flower;
+            this.particles.spawnPollenBurst(
+                flower.flowerX,
+                flower.flowerY,
+                20
+            );
+            this.stateManager.recordInteraction('centerClick', x, y);
+        } else if (click.petal) {
+            // Petal click
+            this.audio.playClickChord(pan);
+            this.stateManager.recordInteraction('petalClick', x, y);
+        }
+    }
+
+    // Tap on the ground at world point (x, y): plant a flower there, sized by how
+    // near the front it is. The background is drawn in screen space, so the ground
+    // test uses where the tap landed on screen
+    plantAt(x, y) {
+        const groundTop = this.background.yAt(GROUND_TOP);
+        const screen = this.camera.worldToScreen(x, y);
+        if (screen.y < groundTop || screen.y > this.height) return;
+
+        const depth = (screen.y - groundTop) / Math.max(1, this.height - groundTop);
+        if (!this.garden.plant(x, y, depth)) return;
+
+        this.particles.spawnPollenBurst(x, y, 8);
+        this.audio.playHoverBell(this.input.getPan());
+        this.stateManager.recordInteraction('plant', x, y);
+    }
+
+    // Keyboard touch: the same response a click on that part gets
+    activatePart(type, index) {
+        if (!this.entrance.getIsComplete()) return;
+
+        const position = this.focus.getPosition(type, index);
+        if (!position) return;
+
+        const { x, y } = position;
+        const pan = this.getPan(x);
+
+        switch (type) {
+            case 'core':
+                this.respondToClick(this.flower.activateCenter(x, y), x, y, pan);
+                break;
+            case 'petal':
+                this.respondToClick(this.flower.activatePetal(index), x, y, pan);
+                break;
+            case 'leaf':
+                this.flower.touchLeaf(index);
+                break;
+            case 'bee':
+                this.bees.nudge(index);
+                break;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // TIME CONTROLS
+    // ═══════════════════════════════════════════════════════
+
+    pause() {
+        this.clock.pause();
+    }
+
+    resume() {
+        this.clock.resume();
+    }
+
+    // 1 = real time, 0.25 = quarter speed, 4 = fast-forward
+    setTimeScale(scale) {
+        return this.clock.setTimeScale(scale);
+    }
+
+    // Hidden page: hold the simulation until thaw() (unlike pause(), nothing is drawn)
+    freeze() {
+        this.clock.freeze();
+    }
+
+    thaw() {
+        this.clock.unfreeze();
+
+        // Hidden time never reaches the simulation
+        this.lastTime = performance.now();
+    }
+
+    // Advance a paused scene by `ms` of simulated time (one 60fps frame by default)
+    step(ms = 1000 / 60) {
+        const deltaTime = this.clock.advance(ms);
+        this.stepSimulation(deltaTime);
+        this.drawFrame(deltaTime);
+    }
+
+    // Show/hide the performance HUD (FPS, frame graph, per-module timings, counts).
+    // Offscreen, it measures here and options.hudReport carries each report to the page
+    setDebug(visible) {
+        if (this.headless && !this.offscreen) return;
+
+        if (!this.hud) {
+            this.hud = new PerfHud(this.offscreen ? null : this.container, {
+                background: this.background,
+                particles: this.particles,
+                garden: this.garden,
+                pollenTrail: this.pollenTrail,
+                bees: this.bees,
+                audio: this.audio,
+                stateManager: this.stateManager,
+                quality: this.quality,
+                renderer: this.renderer
+            }, { seed: this.seed, report: this.options.hudReport });
+        }
+        this.hud.setVisible(!!visible);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // LIVE SETTINGS
+    // ═══════════════════════════════════════════════════════
+
+    // Name from THEMES (sakura, autumn, ink, neon, ...) or a partial theme object;
+    // cross-fades while the scene runs
+    setTheme(theme) {
+        this.options.theme = theme;
+        if (!this.theme) return;
+
+        this.theme.setTheme(theme, this.isRunning ? undefined : 0);
+        this.garden.setPalette(this.theme.getPalette());
+    }
+
+    // Flower-only palette on top of the theme (null = the species' colors, or the
+    // theme's own for the daisy)
+    setPalette(palette) {
+        this.options.palette = palette;
+        if (!this.theme) return;
+
+        this.theme.setPalette(palette || getSpecies(this.options.species).palette, this.isRunning ? undefined : 0);
+        this.garden.setPalette(this.theme.getPalette());
+    }
+
+    // Name from SPECIES (daisy, gerbera, cosmos, sunflower, cornflower) or a species
+    // object; every flower turns into it and takes its colors unless a palette is set
+    setSpecies(species) {
+        this.options.species = species;
+        if (!this.garden) return;
+
+        this.garden.setSpecies(species);
+        this.setPalette(this.options.palette);
+    }
+
+    // 1 = normal day length, 2 = dusk twice as soon, 0 = endless day
+    setDayCycleSpeed(speed) {
+        this.options.dayCycleSpeed = speed;
+        if (this.stateManager) this.stateManager.setDayCycleSpeed(speed);
+    }
+
+    // Settings drawer / daisy.settings.set(key, value) land here
+    applySettings() {
+        Object.entries(this.settings.getAll()).forEach(([key, value]) => this.applySetting(key, value));
+    }
+
+    applySetting(key, value) {
+        super.applySetting(key, value);
+
+        switch (key) {
+            case 'dayLength':
+                this.background.cycleDuration = value;
+                break;
+            case 'particleDensity':
+            case 'reducedMotion':
+                this.applyMotion();
+                break;
+            case 'beeInterval':
+                this.bees.visitInterval = value * 1000;
+                break;
+            case 'skipIntro':
+                if (value) this.skipIntro();
+                break;
+            case 'colorMode':
+                this.theme.setMode(value, this.isRunning ? undefined : 0);
+                this.garden.setPalette(this.theme.getPalette());
+                break;
+            case 'outlines':
+                this.theme.setOutlines(value);
+                break;
+            case 'quality':
+                this.quality.setAdaptive(value === 'auto');
+                if (value !== 'auto') this.quality.setTier(value);
+                break;
+        }
+    }
+
+    // New quality tier (governor or setting): frame cap, particle caps, music layers
+    // and canvas resolution follow here; drawing modules read the tier every frame
+    applyQuality() {
+        const tier = this.quality.tier;
+
+        this.frameInterval = 1000 / tier.frameRate;
+        this.particles.setDensity(this.particles.density);
+        this.audio.setLayerLimit(tier.audioLayers);
+        this.applyPixelRatio();
+    }
+
+    // Reduced motion: the calm profile. No intro, damped sway and gusts, no pollen
+    // trail or bursts, a slower day and camera, bees that fade in and out, sparser sky
+    applyMotion() {
+        const reduced = this.settings.get('reducedMotion');
+        this.particles.setDensity(this.settings.get('particleDensity') * (reduced ? 0.4 : 1));
+
+        [this.background, this.wind, this.garden, this.pollenTrail, this.particles, this.bees, this.camera, this.layout]
+            .forEach(module => module.setReducedMotion(reduced));
+
+        // Switched on mid-intro: show the finished flower
+        if (reduced && this.isRunning) this.skipIntro();
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SNAPSHOT / RESTORE
+    // ═══════════════════════════════════════════════════════
+
+    // Whole scene as JSON-safe data (save for a reload, attach to bug reports).
+    // Not captured: particles, the pollen trail and pending one-shot effects
+    snapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            seed: this.seed,
+            width: this.width,
+            height: this.height,
+            random: this.random.state,
+            clock: this.clock.serialize(),
+            entrance: this.entrance.serialize(),
+            state: this.stateManager.serialize(),
+            input: this.input.serialize(),
+            background: this.background.serialize(),
+            wind: this.wind.serialize(),
+            bees: this.bees.serialize(),
+            flower: this.flower.serialize(),
+            garden: this.garden.serialize(),
+            audio: this.audio.serialize(),
+            theme: this.theme.serialize(),
+            camera: this.camera.serialize()
+        };
+    }
+
+    // Apply a snapshot(). One taken during the intro keeps the meadow, wind and
+    // day, but the intro plays again
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            console.warn('Daisy: unsupported snapshot version', snapshot && snapshot.version);
+            return false;
+        }
+
+        this.random.state = snapshot.random;
+
+        // Timestamps below are on the saved clock; anything kept locally moves with it
+        const offset = snapshot.clock.now - this.clock.now;
+        this.clock.deserialize(snapshot.clock);
+
+        this.stateManager.deserialize(snapshot.state);
+        this.input.deserialize(snapshot.input);
+        this.background.deserialize(snapshot.background);
+        this.wind.deserialize(snapshot.wind);
+        this.bees.deserialize(snapshot.bees);
+        this.audio.deserialize(snapshot.audio);
+        if (snapshot.camera) this.camera.deserialize(snapshot.camera);
+
+        if (snapshot.entrance.isComplete) {
+            this.entrance.deserialize(snapshot.entrance);
+            this.flower.deserialize(snapshot.flower);
+            if (snapshot.garden) this.garden.deserialize(snapshot.garden);
+            this.options.species = this.flower.species;
+        } else {
+            this.entrance.startTime += offset;
+        }
+
+        // Theme wins over the palette stored with the flower
+        if (snapshot.theme) {
+            this.theme.deserialize(snapshot.theme);
+            this.garden.setPalette(this.theme.getPalette());
+        }
+
+        // Visuals that normally follow night:progress
+        this.particles.setNightMode(this.stateManager.getNightProgress() > 0.3);
+
+        // Saved at another viewport size: re-anchor to the current layout
+        if (snapshot.width !== this.width || snapshot.height !== this.height) {
+            this.applyLayout();
+            this.bees.resize(this.width, this.height);
+        }
+
+        this.drawFrame(0);
+        return true;
+    }
+
+    resize() {
+        let width, height, insets;
+        if (this.headless) {
+            width = this.options.width || 800;
+            height = this.options.height || 600;
+            insets = this.options.insets;
+        } else {
+            const rect = this.container.getBoundingClientRect();
+            width = Math.max(1, Math.round(rect.width));
+            height = Math.max(1, Math.round(rect.height));
+            insets = LayoutEngine.readInsets(this.container);
+        }
+
+        // ResizeObserver also reports the initial size; nothing to redo then
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
+        this.applyPixelRatio();
+        this.layout.resize(width, height, insets);
+
+        // Resize modules
+        if (this.background) this.background.resize(this.width, this.height);
+        if (this.wind) this.wind.resize(this.width, this.height);
+        if (this.particles) this.particles.resize(this.width, this.height);
+        if (this.pollenTrail) this.pollenTrail.resize(this.width, this.height);
+
+        // Reposition flower (a new composition glides there from update())
+        if (this.flower) this.applyLayout();
+
+        // Resize bee system
+        if (this.bees) this.bees.resize(this.width, this.height);
+    }
+
+    // Flower base, size and horizon from the layout
+    applyLayout() {
+        const layout = this.layout.get();
+
+        this.flower.resize(layout.baseX, layout.baseY);
+        this.flower.setSize(layout.stemHeight, layout.flowerRadius);
+        this.garden.resize(this.width, this.height);
+        this.background.setHorizon(layout.horizon);
+    }
+
+    // Backing store at the device pixel ratio, capped by the quality tier
+    applyPixelRatio() {
+        const dpr = Math.min(this.capabilities.pixelRatio, this.quality.tier.pixelRatio);
+
+        this.canvas.width = this.width * dpr;
+        this.canvas.height = this.height * dpr;
+        if (this.canvas.style) {
+            this.canvas.style.width = `${this.width}px`;
+            this.canvas.style.height = `${this.height}px`;
+        }
+
+        // Each frame sets its transform from the camera
+        this.camera.resize(this.width, this.height, dpr);
+    }
+
+    animate(currentTime) {
+        if (!this.isRunning) return;
+
+        // Frame cap (quality tier)
+        const elapsed = currentTime - this.lastFrameTime;
+
+        if (elapsed < this.frameInterval) {
+            this.frameRequest = requestAnimationFrame(this.animate);
+            return;
+        }
+
+        this.lastFrameTime = currentTime - (elapsed % this.frameInterval);
+
+        // Real gap between drawn frames (`elapsed` carries the cap's leftover)
+        const frameTime = currentTime - this.lastDrawTime;
+        this.lastDrawTime = currentTime;
+
+        const workStart = performance.now();
+
+        // Simulated delta (clamped to 50ms, runs due clock tasks)
+        const deltaTime = this.clock.tick(currentTime - this.lastTime);
+        this.lastTime = currentTime;
+
+        // Paused: keep drawing, but freeze every module
+        if (deltaTime > 0) this.stepSimulation(deltaTime);
+        this.drawFrame(deltaTime);
+
+        // Measured cost moves the quality tier ('auto' quality) and feeds the debug HUD
+        const workTime = performance.now() - workStart;
+        this.quality.sample(frameTime, workTime);
+        if (this.hud) this.hud.frame(frameTime, workTime);
+
+        this.frameCount++;
+        this.frameRequest = requestAnimationFrame(this.animate);
+    }
+
+    // Scene modules with DOM listeners or GPU resources (DaisyHost.destroy() does the rest)
+    destroyScene() {
+        if (this.focus) this.focus.destroy();
+        if (this.input) this.input.destroy();
+        if (this.renderer) this.renderer.destroy();
+    }
+
+    // Manual loop for headless use: advance `realDelta` ms (time scale applies,
+    // no 50ms clamp) and draw if a context was provided
+    tick(realDelta = 1000 / 60) {
+        const deltaTime = this.clock.advance(realDelta * this.clock.getScale());
+
+        if (deltaTime > 0) this.stepSimulation(deltaTime);
+        this.drawFrame(deltaTime);
+
+        this.frameCount++;
+        return deltaTime;
+    }
+
+    // Fast-forward can produce long steps; split them so physics stays stable
+    stepSimulation(deltaTime) {
+        const steps = Math.ceil(deltaTime / this.maxStep);
+        for (let i = 0; i < steps; i++) {
+            this.update(deltaTime / steps);
+        }
+    }
+
+    update(deltaTime) {
+        // Update entrance animation
+        this.entrance.update();
+
+        // Update state manager
+        this.stateManager.update();
+
+        // Dwell detection
+        this.input.update();
+
+        // Audio breathing follows simulated time
+        this.audio.update(deltaTime);
+
+        // Theme cross-fade (the flower copies its palette while it runs)
+        if (this.theme.update(deltaTime)) this.garden.setPalette(this.theme.getPalette());
+
+        // Get wind
+        const wind = this.wind.getWindAt(this.flower?.flowerX || this.width / 2, this.flower?.flowerY || this.height / 2);
+
+        // Update wind field
+        this.wind.update(deltaTime, this.input.x, this.input.y);
+
+        // Update background (a screen-space backdrop: it follows the on-screen cursor)
+        const cursor = this.camera.worldToScreen(this.input.x, this.input.y);
+        this.background.update(deltaTime, cursor.x, cursor.y, this.wind.getStrength());
+
+        // Update particles
+        this.particles.update(deltaTime, wind);
+
+        // Update pollen trail
+        this.pollenTrail.update(deltaTime);
+
+        // Composition change (orientation) in progress
+        if (this.layout.update(deltaTime) && this.flower) this.applyLayout();
+
+        // Update flowers (each synced with audio)
+        if (this.flower) {
+            this.garden.update(deltaTime, this.wind, this.audio.getIntensity());
+
+            // Update bee system with the flower heads
+            if (this.bees && this.entrance.getIsComplete()) {
+                this.bees.updateFlowers(this.garden.getHeads());
+                this.bees.update(deltaTime);
+            }
+        }
+
+        // Focus leaves a bee that flew off
+        this.focus.update();
+
+        // Zoom and pan glide; the anchor follows the swaying flower head
+        this.camera.update(deltaTime);
+    }
+
+    drawFrame(deltaTime) {
+        const ctx = this.ctx;
+        if (!ctx) return;
+
+        // Clear
+        this.camera.applyScreen(ctx);
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        // Draw background: a backdrop in screen space, only the scene in front zooms
+        const head = this.flower ? this.camera.worldToScreen(this.flower.flowerX, this.flower.flowerY) : {};
+        this.background.draw(head.x, head.y);
+
+        // World space from here
+        this.camera.apply(ctx);
+
+        // Draw back particles (dust)
+        this.particles.draw();
+
+        // Shapes the renderer queued (WebGL) go down before the 2D stem
+        this.renderer.flush(ctx);
+
+        // Draw flowers, back to front
+        if (this.flower) {
+            this.garden.draw(ctx);
+        }
+
+        // Draw pollen trail on top
+        this.pollenTrail.draw();
+        this.renderer.flush(ctx);
+
+        // Draw bees on top of everything
+        if (this.bees && this.entrance.getIsComplete()) {
+            this.bees.draw();
+        }
+
+        // Keyboard focus ring above it all
+        this.focus.draw(ctx);
+    }
+}
+
+// Mount a daisy into `container` (own canvas and audio prompt).
+// worker: true runs the scene in a Web Worker where OffscreenCanvas is supported
+// (OffscreenDaisy, whose snapshot() and restore() return promises); without it,
+// it stays on the main thread.
+// Returns the instance: pause(), resume(), resize(), destroy(), ... plus `ready`, a
+// promise that settles once init() did (a failure is also reported on the console)
+export const createDaisy = (container, options = {}) => {
+    const daisy = options.worker && OffscreenDaisy.isSupported()
+        ? new OffscreenDaisy(container, options)
+        : new DaisyExperience({ ...options, container });
+
+    daisy.ready = daisy.init();
+    daisy.ready.catch(error => console.error('Daisy: failed to start', error));
+    return daisy;
+};
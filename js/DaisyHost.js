@@ -0,0 +1,392 @@
+/**
+ * DaisyHost
+ * Page side shared by DaisyExperience and OffscreenDaisy: seed, settings, the
+ * clock that drives the music, DOM listener bookkeeping, the tap-to-begin audio
+ * prompt, keyboard time controls, lifecycle, OS preference watchers, the
+ * settings drawer and teardown. Subclasses add the scene (in place or in a
+ * worker) through startExperience(), animate(), resize(), pause(), resume(),
+ * setTimeScale(), step(), freeze(), thaw(), setDebug() and `camera`
+ */
+
+import { getDeviceCapabilities, Utils, SeededRandom } from './config.js';
+import { FrameClock } from './modules/FrameClock.js';
+import { EventBus } from './modules/EventBus.js';
+import { LifecycleManager } from './modules/LifecycleManager.js';
+import { Settings } from './modules/Settings.js';
+import { SettingsPanel } from './modules/SettingsPanel.js';
+import { Announcer } from './modules/Announcer.js';
+
+export class DaisyHost {
+    constructor(options = {}) {
+        this.options = options;
+
+        // Seed every random stream before any module is created, so the
+        // same seed replays the same meadow, flower and bee visits
+        // (unseeded instances draw a fresh seed, so embeds never share one)
+        // (a snapshot brings its own seed)
+        const seed = options.snapshot ? options.snapshot.seed : options.seed;
+        const hasSeed = seed !== undefined && seed !== null;
+        this.random = new SeededRandom(hasSeed ? seed : Math.floor(Math.random() * 4294967296));
+        this.seed = this.random.initialSeed;
+
+        // Host element and canvas (set by the subclass)
+        this.container = null;
+        this.canvas = null;
+        this.ownsCanvas = false;
+
+        // Every DOM listener goes through listen() so destroy() can remove it
+        // (bus handlers go through subscribe(), for buses shared with the host)
+        this.listeners = [];
+        this.subscriptions = [];
+        this.resizeObserver = null;
+        this.promptElement = null;
+        this.frameRequest = null;
+        this.isDestroyed = false;
+
+        // Audio can be switched off (no tap-to-begin prompt, silent scene)
+        this.audioEnabled = options.audio !== false;
+        this.audio = null;
+
+        // Device capabilities
+        this.capabilities = options.capabilities || getDeviceCapabilities();
+
+        // Simulation clock: every module reads time and schedules delays here
+        this.clock = new FrameClock();
+
+        // Every module publishes here; subscribe with daisy.events.on(...)
+        this.events = options.events || new EventBus();
+
+        // User preferences, persisted in localStorage (in memory when headless, and
+        // in a worker's scene, whose page keeps the store).
+        // options.settings and skipIntro: true take precedence over stored choices
+        this.settings = new Settings({
+            events: this.events,
+            storageKey: options.headless || options.offscreen ? null : options.settingsKey,
+            defaults: {
+                reducedMotion: this.capabilities.prefersReducedMotion,
+                colorMode: this.capabilities.prefersContrast ? 'high-contrast' : 'normal'
+            },
+            overrides: { ...options.settings, ...(options.skipIntro ? { skipIntro: true } : {}) }
+        });
+
+        // Dimensions
+        this.width = 0;
+        this.height = 0;
+
+        // Page UI (created in setupPage())
+        this.lifecycle = null;
+        this.settingsPanel = null;
+        this.announcer = null;
+        this.hud = null;
+
+        // Animation state
+        this.lastTime = 0;
+        this.isRunning = false;
+        this.audioPromptVisible = this.audioEnabled;
+        this.audioUnlock = null;
+
+        // Bind methods
+        this.animate = this.animate.bind(this);
+        this.resize = this.resize.bind(this);
+    }
+
+    createCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'daisy-canvas';
+
+        this.container.classList.add('daisy-host');
+        this.container.appendChild(canvas);
+        this.ownsCanvas = true;
+        return canvas;
+    }
+
+    // Add a DOM listener that destroy() will remove again
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    unlisten(target, type, handler) {
+        this.listeners = this.listeners.filter(l => {
+            if (l.target !== target || l.type !== type || l.handler !== handler) return true;
+            target.removeEventListener(type, handler, l.options);
+            return false;
+        });
+    }
+
+    // Bus handler that destroy() will remove again
+    subscribe(type, handler) {
+        this.subscriptions.push(this.events.on(type, handler));
+    }
+
+    // Follow the container's size (or the window's)
+    observeSize() {
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.listen(window, 'resize', this.resize);
+        }
+    }
+
+    // Everything a page instance adds around its scene, then the start
+    setupPage() {
+        // Freeze on hidden tab / pagehide / audio interruption
+        this.setupLifecycle();
+
+        // Calm profile and colors follow the OS motion and contrast switches
+        this.watchMotionPreference();
+        this.watchContrastPreference();
+
+        // Keyboard time controls (pause, slow-mo, fast-forward, step, ` for the debug HUD)
+        this.setupTimeControls();
+
+        // Screen-reader narration of focus moves, touches, bees and nightfall
+        this.announcer = new Announcer(this.container, { events: this.events });
+
+        // Gear button + settings drawer (hosts with their own UI can opt out)
+        if (this.options.settingsPanel !== false) {
+            this.settingsPanel = new SettingsPanel(this.container, this.settings);
+        }
+
+        // Performance overlay for development (?debug)
+        if (this.options.debug) this.setDebug(true);
+
+        // Wait for user gesture to start audio, or start silently
+        if (this.audioEnabled) this.setupAudioPrompt();
+        else this.startExperience();
+    }
+
+    setupAudioPrompt() {
+        const prompt = document.createElement('div');
+        prompt.className = 'audio-prompt';
+        prompt.innerHTML = `
+            <div class="prompt-content">
+                <div class="prompt-icon">🌼</div>
+                <p>Tap anywhere to begin</p>
+            </div>`;
+        this.container.appendChild(prompt);
+        this.promptElement = prompt;
+
+        let starting = false;
+
+        const start = async (e) => {
+            // Prevent default to avoid double-firing on mobile
+            if (e) e.preventDefault();
+            if (starting) return;
+            starting = true;
+
+            // Remove all listeners
+            this.unlisten(prompt, 'click', start);
+            this.unlisten(prompt, 'touchstart', start);
+            this.unlisten(prompt, 'touchend', start);
+
+            // Initialize and start audio
+            const success = await this.audio.init();
+
+            // Destroyed while the AudioContext was unlocking
+            if (this.isDestroyed) return;
+            if (success) this.lifecycle.watchAudio(this.audio.ctx);
+
+            // Hide prompt
+            prompt.classList.add('hidden');
+            this.audioPromptVisible = false;
+
+            // Start the experience
+            this.startExperience();
+        };
+
+        // Use touchstart for iOS (more reliable for audio unlock)
+        this.listen(prompt, 'touchstart', start, { passive: false });
+        this.listen(prompt, 'touchend', start, { passive: false });
+        this.listen(prompt, 'click', start);
+    }
+
+    setupLifecycle() {
+        this.lifecycle = new LifecycleManager({ events: this.events });
+
+        this.subscribe('lifecycle:suspend', () => {
+            this.freeze();
+            this.audio.suspend();
+        });
+
+        this.subscribe('lifecycle:resume', async () => {
+            this.thaw();
+
+            // Browsers may insist on a fresh gesture before audio runs again
+            const resumed = await this.audio.resume();
+            if (resumed || this.isDestroyed || !this.audio.isSuspended) return;
+
+            const retry = () => {
+                this.unlisten(window, 'pointerdown', retry);
+                this.audio.resume();
+            };
+            this.listen(window, 'pointerdown', retry);
+        });
+
+        this.lifecycle.bindEvents();
+    }
+
+    setupTimeControls() {
+        // Full-page instances listen on the window; embeds only when focused
+        // (the canvas is focusable, see FocusManager)
+        const keyTarget = this.container === document.body ? window : this.canvas;
+
+        this.listen(keyTarget, 'keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+            // Typing or toggling in the settings drawer
+            if (e.target.closest && e.target.closest('input, select, button')) return;
+
+            switch (e.key) {
+                case 'p':
+                case 'P':
+                    if (this.clock.paused) this.resume();
+                    else this.pause();
+                    break;
+                case '[':
+                    this.setTimeScale(this.clock.timeScale / 2);
+                    break;
+                case ']':
+                    this.setTimeScale(this.clock.timeScale * 2);
+                    break;
+                case '0':
+                    this.setTimeScale(1);
+                    break;
+                case '.':
+                    if (this.clock.paused) this.step();
+                    break;
+                case '`':
+                    this.setDebug(!this.hud?.visible);
+                    break;
+                case '+':
+                case '=':
+                    this.camera.zoomIn();
+                    break;
+                case '-':
+                    this.camera.zoomOut();
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+        });
+    }
+
+    // The OS switch can flip while the page is open. It moves the default, so a
+    // choice made in the drawer still wins and nothing OS-derived is saved
+    watchMotionPreference() {
+        if (!window.matchMedia) return;
+
+        const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.listen(query, 'change', (e) => this.settings.setDefault('reducedMotion', e.matches));
+    }
+
+    // Same for the OS contrast setting: it moves the colorMode default only
+    watchContrastPreference() {
+        if (!window.matchMedia) return;
+
+        const query = window.matchMedia('(prefers-contrast: more)');
+        this.listen(query, 'change', (e) => this.settings.setDefault('colorMode', e.matches ? 'high-contrast' : 'normal'));
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // AUDIO
+    // ═══════════════════════════════════════════════════════
+
+    // Stereo position of scene x: -1 (left edge) to 1 (right edge)
+    getPan(x) {
+        return Utils.clamp((x / this.width) * 2 - 1, -1, 1);
+    }
+
+    setAudioEnabled(enabled) {
+        this.audioEnabled = enabled;
+        if (!this.audio) return;
+
+        this.applyVolume();
+        if (this.audio.isInitialized) return;
+
+        // Started silently: audio needs a user gesture to unlock
+        if (enabled && this.isRunning && !this.headless && !this.audioUnlock) {
+            this.audioUnlock = async () => {
+                this.unlisten(this.canvas, 'pointerdown', this.audioUnlock);
+                this.audioUnlock = null;
+
+                const success = await this.audio.init();
+                if (!success || this.isDestroyed) return;
+
+                this.lifecycle.watchAudio(this.audio.ctx);
+                if (this.audioEnabled && this.settings.get('music')) this.audio.startAmbientPad();
+            };
+            this.listen(this.canvas, 'pointerdown', this.audioUnlock);
+        }
+    }
+
+    // Audio settings; subclasses apply the scene's own
+    applySetting(key, value) {
+        switch (key) {
+            case 'volume':
+            case 'muted':
+                this.applyVolume();
+                break;
+            case 'music':
+                // Before the start, startExperience() reads the setting itself
+                if (!this.isRunning) break;
+                if (!value) this.audio.stopAmbientPad();
+                else if (!this.audio.isPlaying) this.audio.startAmbientPad();
+                break;
+        }
+    }
+
+    // Audible only if audio is enabled (prompt / audio option) and not muted
+    applyVolume() {
+        const audible = this.audioEnabled && !this.settings.get('muted');
+        this.audio.setVolume(audible ? this.settings.get('volume') : 0);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // TEARDOWN
+    // ═══════════════════════════════════════════════════════
+
+    // Stop everything and remove canvas, prompt, listeners, timers and audio
+    destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        this.isRunning = false;
+
+        if (this.frameRequest) cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+
+        if (this.settingsPanel) this.settingsPanel.destroy();
+        if (this.hud) this.hud.destroy();
+        if (this.announcer) this.announcer.destroy();
+        if (this.lifecycle) this.lifecycle.destroy();
+        this.destroyScene();
+        if (this.audio) this.audio.dispose();
+        this.clock.clear();
+
+        // A bus passed in by the host may outlive this instance
+        if (!this.options.events) this.events.clear();
+
+        if (this.promptElement) this.promptElement.remove();
+        if (this.ownsCanvas) {
+            this.canvas.remove();
+            this.container.classList.remove('daisy-host');
+        }
+    }
+
+    // The subclass's own teardown (scene modules, or the worker)
+    destroyScene() {}
+}
@@ -0,0 +1,151 @@
+/**
+ * DaisyScene
+ * <daisy-scene> custom element wrapping DaisyExperience, so any page or
+ * framework can embed the flower with plain HTML:
+ *
+ *   <daisy-scene seed="42" theme="sakura" palette="blush" species="cosmos" audio="off" day-cycle="4" skip-intro></daisy-scene>
+ *
+ * Scene events from the EventBus are re-dispatched as bubbling DOM
+ * CustomEvents (see DOM_EVENTS); the full bus is on element.experience.events.
+ * A scene that fails to start dispatches daisy-error ({ error })
+ */
+
+import { DaisyExperience } from './DaisyExperience.js';
+
+// EventBus type -> DOM event name
+const DOM_EVENTS = {
+    'petal:click': 'daisy-petal-click',
+    'core:click': 'daisy-center-click',
+    'bee:arrive': 'daisy-bee-visit',
+    'day:phase': 'daisy-night-shift',
+    'idle:start': 'daisy-idle-start',
+    'idle:end': 'daisy-idle-end',
+    'curiosity:start': 'daisy-curiosity-start',
+    'curiosity:end': 'daisy-curiosity-end'
+};
+
+// Lets the module load where custom elements don't exist (Node, old browsers)
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+export class DaisySceneElement extends BaseElement {
+    static get observedAttributes() {
+        return ['seed', 'theme', 'palette', 'species', 'audio', 'day-cycle', 'skip-intro'];
+    }
+
+    constructor() {
+        super();
+        this.experience = null;
+    }
+
+    connectedCallback() {
+        this.mount();
+    }
+
+    disconnectedCallback() {
+        this.unmount();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.experience || oldValue === newValue) return;
+
+        switch (name) {
+            case 'seed':
+                // A new seed is a new meadow: rebuild from scratch
+                this.unmount();
+                this.mount();
+                break;
+            case 'theme':
+                this.experience.setTheme(this.theme);
+                break;
+            case 'palette':
+                this.experience.setPalette(this.palette);
+                break;
+            case 'species':
+                this.experience.setSpecies(this.species);
+                break;
+            case 'audio':
+                this.experience.setAudioEnabled(this.audio);
+                break;
+            case 'day-cycle':
+                this.experience.setDayCycleSpeed(this.dayCycle);
+                break;
+            case 'skip-intro':
+                if (this.skipIntro) this.experience.skipIntro();
+                break;
+        }
+    }
+
+    mount() {
+        if (this.experience) return;
+
+        this.experience = new DaisyExperience({
+            container: this,
+            seed: this.getAttribute('seed'),
+            theme: this.theme,
+            palette: this.palette,
+            species: this.species,
+            audio: this.audio,
+            dayCycleSpeed: this.dayCycle,
+            skipIntro: this.skipIntro
+        });
+
+        Object.entries(DOM_EVENTS).forEach(([type, domType]) => {
+            this.experience.events.on(type, (detail) => {
+                this.dispatchEvent(new CustomEvent(domType, { detail, bubbles: true, composed: true }));
+            });
+        });
+
+        const experience = this.experience;
+        experience.init().catch(error => {
+            // Already replaced (new seed) or removed: not this element's scene anymore
+            if (this.experience !== experience) return;
+
+            console.error('Daisy: <daisy-scene> failed to start', error);
+            this.dispatchEvent(new CustomEvent('daisy-error', { detail: { error }, bubbles: true, composed: true }));
+        });
+    }
+
+    unmount() {
+        if (!this.experience) return;
+
+        this.experience.destroy();
+        this.experience = null;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // ATTRIBUTES
+    // ═══════════════════════════════════════════════════════
+
+    get theme() {
+        return this.getAttribute('theme') || 'classic';
+    }
+
+    // No attribute: the theme's own flower palette
+    get palette() {
+        return this.getAttribute('palette');
+    }
+
+    // No attribute: the daisy
+    get species() {
+        return this.getAttribute('species') || 'daisy';
+    }
+
+    // audio="off" / audio="false" mutes; anything else (or no attribute) plays
+    get audio() {
+        const value = this.getAttribute('audio');
+        return value !== 'off' && value !== 'false';
+    }
+
+    get dayCycle() {
+        const speed = parseFloat(this.getAttribute('day-cycle'));
+        return Number.isFinite(speed) ? speed : 1;
+    }
+
+    get skipIntro() {
+        return this.hasAttribute('skip-intro');
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('daisy-scene')) {
+    customElements.define('daisy-scene', DaisySceneElement);
+}
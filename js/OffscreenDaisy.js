@@ -0,0 +1,438 @@
+/**
+ * OffscreenDaisy
+ * Page side of a scene that runs in a Web Worker (js/worker.js) on a transferred
+ * OffscreenCanvas: simulation and drawing leave the main thread. The page keeps
+ * pointer and key forwarding, the AudioLayer (AudioContext needs the main thread)
+ * and everything DaisyHost provides (settings, prompt, lifecycle, narration). The
+ * scene's bus events come back over postMessage and are re-emitted on `events`,
+ * where the audio reacts to them; snapshot() and restore() answer over messages
+ * too, so they return promises. The debug HUD measures in the worker and shows
+ * here. Made by createDaisy(container, { worker: true }); falls back to
+ * DaisyExperience where isSupported() is false
+ */
+
+import { QUALITY_TIERS, COLORS, TIMING, PHYSICS, AUDIO } from './config.js';
+import { DaisyHost } from './DaisyHost.js';
+import { AudioLayer } from './modules/AudioLayer.js';
+import { FocusManager } from './modules/FocusManager.js';
+import { PerfHud } from './modules/PerfHud.js';
+import { Camera } from './modules/Camera.js';
+import { LayoutEngine } from './modules/LayoutEngine.js';
+
+// Keys the worker's FocusManager handles
+const FOCUS_KEYS = ['ArrowRight', 'ArrowLeft', 'ArrowDown', 'ArrowUp', 'Home', 'Enter', ' ', 'Escape'];
+
+// `seed` is known at once (the worker replays it); `events` carries the scene's
+// events and the page's own; `clock` drives the music and mirrors the scene's
+// pause and time scale; `settings` live here and are sent over
+export class OffscreenDaisy extends DaisyHost {
+    constructor(container, options = {}) {
+        super(options);
+        this.container = container;
+
+        // Same starting tier the worker's QualityGovernor picks
+        const quality = this.settings.get('quality');
+        const tier = tierNamed(quality === 'auto' ? this.capabilities.qualityTier : quality);
+
+        this.audio = new AudioLayer({
+            random: this.random.fork('audio'),
+            clock: this.clock,
+            events: this.events,
+            layerLimit: tier.audioLayers
+        });
+
+        // The worker's FocusManager can't reach the element; label it here
+        this.canvas = this.createCanvas();
+        FocusManager.labelCanvas(this.canvas);
+        this.worker = null;
+        this.insets = null;
+
+        // snapshot()/restore() calls waiting for the worker's reply, by id
+        this.requests = new Map();
+        this.requestId = 0;
+
+        // The worker's Camera, called over postMessage; `zoom` mirrors its target
+        // zoom (camera:zoom) so the wheel knows when to leave scrolling to the page
+        this.zoom = 1;
+        this.camera = cameraProxy((method, args) => this.post({ type: 'camera', method, args }));
+
+        // Two-finger distance while pinching (null otherwise); a pinch isn't a tap
+        this.pinchDistance = null;
+        this.pinched = false;
+
+        // Whether the pointer is over the flower (petal:hover / core:hover), for hover bells
+        this.hoverPetal = false;
+        this.hoverCore = false;
+    }
+
+    // OffscreenCanvas, canvas transfer and module workers
+    static isSupported() {
+        return typeof Worker !== 'undefined'
+            && typeof OffscreenCanvas !== 'undefined'
+            && typeof HTMLCanvasElement !== 'undefined'
+            && 'transferControlToOffscreen' in HTMLCanvasElement.prototype
+            && supportsModuleWorkers();
+    }
+
+    post(message, transfer) {
+        if (this.worker) this.worker.postMessage(message, transfer);
+    }
+
+    // Method of the worker's DaisyExperience
+    call(method, ...args) {
+        this.post({ type: 'call', method, args });
+    }
+
+    // Same, for a method whose result comes back: resolves with it once the worker replies
+    request(method, ...args) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                reject(new Error(`Daisy: ${method}() before init()`));
+                return;
+            }
+
+            const id = ++this.requestId;
+            this.requests.set(id, { resolve, reject });
+            this.post({ type: 'request', id, method, args });
+        });
+    }
+
+    settleRequest({ id, result, error }) {
+        const request = this.requests.get(id);
+        if (!request) return;
+
+        this.requests.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve(result);
+    }
+
+    async init() {
+        this.resize();
+
+        // Hand the canvas to the worker; from here on only the worker draws to it
+        const offscreen = this.canvas.transferControlToOffscreen();
+        this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+        this.listen(this.worker, 'message', ({ data }) => {
+            switch (data.type) {
+                case 'event':
+                    this.events.emit(data.event, data.payload);
+                    break;
+                case 'reply':
+                    this.settleRequest(data);
+                    break;
+                case 'hud':
+                    if (this.hud) this.hud.show(data.text, data.history);
+                    break;
+            }
+        });
+        this.listen(this.worker, 'error', (e) => console.error('Daisy worker failed:', e.message));
+
+        this.post({
+            type: 'init',
+            canvas: offscreen,
+            width: this.width,
+            height: this.height,
+            options: {
+                insets: this.insets,
+                seed: this.seed,
+                theme: this.options.theme,
+                palette: this.options.palette,
+                species: this.options.species,
+                dayCycleSpeed: this.options.dayCycleSpeed,
+                renderer: this.options.renderer,
+                capabilities: this.capabilities,
+                settings: this.settings.getAll()
+            },
+            // Tuning overrides loaded on this side (loadConfig)
+            config: { COLORS, TIMING, PHYSICS, AUDIO }
+        }, [offscreen]);
+
+        this.observeSize();
+        this.bindInput();
+        this.setupAudioReactions();
+
+        // Audio settings apply here, everything else in the worker
+        this.applyVolume();
+        this.subscribe('settings:change', ({ key, value }) => {
+            this.post({ type: 'setting', key, value });
+            this.applySetting(key, value);
+        });
+
+        // Resume a saved session before anything starts (the worker handles
+        // messages in order, so it lands before 'start')
+        if (this.options.snapshot) {
+            this.restore(this.options.snapshot).catch(error => console.error('Daisy: failed to restore', error));
+        }
+
+        this.setupPage();
+    }
+
+    startExperience() {
+        if (this.settings.get('music')) this.audio.startAmbientPad();
+        this.post({ type: 'start' });
+
+        this.isRunning = true;
+        this.lastTime = performance.now();
+        this.frameRequest = requestAnimationFrame(this.animate);
+    }
+
+    // Music clock only; the scene animates in the worker
+    animate(currentTime) {
+        if (!this.isRunning) return;
+
+        const deltaTime = this.clock.tick(currentTime - this.lastTime);
+        this.lastTime = currentTime;
+
+        if (deltaTime > 0) this.audio.update(deltaTime);
+
+        // The flower sways with the music's breathing
+        if (this.audio.isPlaying) this.post({ type: 'intensity', value: this.audio.getIntensity() });
+
+        this.frameRequest = requestAnimationFrame(this.animate);
+    }
+
+    resize() {
+        const rect = this.container.getBoundingClientRect();
+        const width = Math.max(1, Math.round(rect.width));
+        const height = Math.max(1, Math.round(rect.height));
+
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
+
+        // Safe-area insets need the DOM; the worker's LayoutEngine gets them from here
+        this.insets = LayoutEngine.readInsets(this.container);
+
+        // The worker sizes the backing store; the element keeps the CSS size
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        this.post({ type: 'resize', width, height, insets: this.insets });
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // INPUT FORWARDING
+    // ═══════════════════════════════════════════════════════
+
+    // Same DOM events InputHandler listens to, sent as scene units (CSS pixels)
+    bindInput() {
+        const pointer = (kind, point) => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.post({ type: 'pointer', kind, x: point.clientX - rect.left, y: point.clientY - rect.top });
+        };
+
+        this.listen(this.canvas, 'mousemove', (e) => pointer('move', e));
+        this.listen(this.canvas, 'click', (e) => pointer('click', e));
+        this.listen(this.canvas, 'mouseleave', () => this.post({ type: 'pointer', kind: 'leave' }));
+        this.listen(this.canvas, 'touchstart', (e) => {
+            if (e.touches.length >= 2) {
+                this.pinchDistance = Camera.pinchDistance(e.touches);
+                this.pinched = true;
+            } else if (e.touches.length) {
+                pointer('move', e.touches[0]);
+            }
+        }, { passive: true });
+        this.listen(this.canvas, 'touchmove', (e) => {
+            if (e.touches.length >= 2 && this.pinchDistance) {
+                const distance = Camera.pinchDistance(e.touches);
+                this.post({ type: 'zoom', factor: distance / this.pinchDistance });
+                this.pinchDistance = distance;
+            } else if (e.touches.length && !this.pinched) {
+                pointer('move', e.touches[0]);
+            }
+        }, { passive: true });
+        this.listen(this.canvas, 'touchend', (e) => {
+            if (this.pinched) {
+                this.pinchDistance = null;
+                if (e.touches.length === 0) this.pinched = false;
+                return;
+            }
+            this.post({ type: 'pointer', kind: 'tap' });
+        });
+        this.listen(this.canvas, 'contextmenu', (e) => e.preventDefault());
+
+        // Wheel zoom; at a zoom limit the page scrolls as usual
+        this.subscribe('camera:zoom', ({ zoom }) => { this.zoom = zoom; });
+        this.listen(this.canvas, 'wheel', (e) => {
+            const factor = Camera.wheelFactor(e.deltaY, e.deltaMode);
+            if (Camera.clampZoom(this.zoom * factor) === this.zoom) return;
+
+            e.preventDefault();
+            this.post({ type: 'zoom', factor });
+        }, { passive: false });
+
+        // Keyboard focus over the flower's parts (FocusManager runs in the worker)
+        this.listen(this.canvas, 'keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || !FOCUS_KEYS.includes(e.key)) return;
+            e.preventDefault();
+            this.post({ type: 'key', key: e.key });
+        });
+        this.listen(this.canvas, 'focus', () => {
+            let visible;
+            try {
+                visible = this.canvas.matches(':focus-visible');
+            } catch (e) {
+                visible = true;
+            }
+            this.post({ type: 'focus', visible });
+        });
+        this.listen(this.canvas, 'blur', () => this.post({ type: 'focus', visible: false }));
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // AUDIO
+    // ═══════════════════════════════════════════════════════
+
+    // The sounds DaisyExperience plays directly, here driven by the scene's events
+    setupAudioReactions() {
+        this.subscribe('petal:click', ({ x }) => this.audio.playClickChord(this.getPan(x)));
+
+        this.subscribe('core:click', () => {
+            // The scene slows down the same way
+            this.clock.slowMotion(0.35, 1500);
+            this.audio.playCenterPad();
+        });
+
+        this.subscribe('garden:plant', ({ x }) => this.audio.playHoverBell(this.getPan(x)));
+
+        this.subscribe('petal:hover', ({ petal }) => { this.hoverPetal = petal !== null; });
+        this.subscribe('core:hover', ({ hovered }) => { this.hoverCore = hovered; });
+
+        // An occasional bell while sweeping over the flower
+        this.subscribe('input:move', ({ x, velocity }) => {
+            if ((this.hoverPetal || this.hoverCore) && this.random.next() < 0.05 && velocity > 2) {
+                this.audio.playHoverBell(this.getPan(x));
+            }
+        });
+
+        this.subscribe('night:progress', ({ progress }) => {
+            if (progress > 0.5) this.audio.addNightLayer();
+        });
+
+        this.subscribe('quality:change', ({ tier }) => this.audio.setLayerLimit(tierNamed(tier).audioLayers));
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // CONTROLS
+    // ═══════════════════════════════════════════════════════
+
+    pause() {
+        this.clock.pause();
+        this.call('pause');
+    }
+
+    resume() {
+        this.clock.resume();
+        this.call('resume');
+    }
+
+    setTimeScale(scale) {
+        const applied = this.clock.setTimeScale(scale);
+        this.call('setTimeScale', applied);
+        return applied;
+    }
+
+    step(ms = 1000 / 60) {
+        this.clock.advance(ms);
+        this.call('step', ms);
+    }
+
+    // Hidden page (lifecycle:suspend / lifecycle:resume)
+    freeze() {
+        this.clock.freeze();
+        this.post({ type: 'freeze' });
+    }
+
+    thaw() {
+        this.clock.unfreeze();
+        this.lastTime = performance.now();
+        this.post({ type: 'thaw' });
+    }
+
+    skipIntro() {
+        this.call('skipIntro');
+    }
+
+    // The worker's scene times itself and sends each report to this HUD
+    setDebug(visible) {
+        if (!this.hud) this.hud = new PerfHud(this.container, null);
+
+        this.hud.setVisible(!!visible);
+        this.call('setDebug', !!visible);
+    }
+
+    setTheme(theme) {
+        this.options.theme = theme;
+        this.call('setTheme', theme);
+    }
+
+    setPalette(palette) {
+        this.options.palette = palette;
+        this.call('setPalette', palette);
+    }
+
+    setSpecies(species) {
+        this.options.species = species;
+        this.call('setSpecies', species);
+    }
+
+    setDayCycleSpeed(speed) {
+        this.options.dayCycleSpeed = speed;
+        this.call('setDayCycleSpeed', speed);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SNAPSHOT / RESTORE
+    // ═══════════════════════════════════════════════════════
+
+    // The worker's snapshot with the music position from the AudioLayer playing here
+    async snapshot() {
+        const snapshot = await this.request('snapshot');
+        return { ...snapshot, audio: this.audio.serialize() };
+    }
+
+    // Resolves with what the worker's restore() returned; the music clock and
+    // position here follow a restored snapshot
+    async restore(snapshot) {
+        const restored = await this.request('restore', snapshot);
+        if (restored && !this.isDestroyed) {
+            this.clock.deserialize(snapshot.clock);
+            this.audio.deserialize(snapshot.audio);
+        }
+        return restored;
+    }
+
+    // Stop the worker; calls still waiting for it reject (DaisyHost.destroy() does the rest)
+    destroyScene() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+
+        this.requests.forEach(({ reject }) => reject(new Error('Daisy: destroyed')));
+        this.requests.clear();
+    }
+}
+
+// Stand-in for the worker's Camera: the calls a host makes go over postMessage
+const cameraProxy = (send) => ({
+    focus: (target, zoom) => send('focus', zoom === undefined ? [target] : [target, zoom]),
+    reset: () => send('reset', []),
+    zoomTo: (zoom) => send('zoomTo', [zoom]),
+    zoomBy: (factor) => send('zoomBy', [factor]),
+    zoomIn: () => send('zoomIn', []),
+    zoomOut: () => send('zoomOut', [])
+});
+
+const tierNamed = (name) => QUALITY_TIERS.find(tier => tier.name === name) || QUALITY_TIERS[QUALITY_TIERS.length - 1];
+
+// Module workers can't be feature-tested directly: only browsers that support
+// them read the `type` option
+const supportsModuleWorkers = () => {
+    let supported = false;
+    try {
+        new Worker('blob://', { get type() { supported = true; return 'module'; } }).terminate();
+    } catch (e) {
+        // Throws either way (no such URL); `supported` is already set
+    }
+    return supported;
+};
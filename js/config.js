@@ -4,21 +4,10 @@
  */
 
 // ===== COLORS (Desaturated warm palette) =====
+// Only what the built-in theme and the particles read; sky colors live in
+// THEMES, petal and center colors in PALETTES
 export const COLORS = {
-    // Background
-    skyTop: '#e8e4dc',
-    skyMid: '#f5f0e6',
-    skyBottom: '#d4cfb8',
-    skyDusk: '#c9b8a8',
-    skyNight: '#6b7b8a',
-
     // Flower
-    petalBase: '#fffef8',
-    petalShadow: '#f0ead8',
-    petalHighlight: '#fffff8',
-    centerOuter: '#e6c84a',
-    centerInner: '#c9a832',
-    centerDark: '#a08520',
     stemGreen: '#8ba878',
     stemDark: '#6b8858',
     leafGreen: '#9bb888',
@@ -26,13 +15,268 @@ export const COLORS = {
     // Particles
     pollenGold: '#d4b84a',
     dustMote: '#c8c0a8',
-    bokehWarm: '#e8d898',
-    bokehCool: '#a8c8d8',
-    fireflyGlow: '#ffe898',
+    fireflyGlow: '#ffe898'
+};
+
+// ===== FLOWER PALETTES (petal tint + center, per instance) =====
+export const PALETTES = {
+    classic: {
+        petalHue: 50, petalSat: 5, petalLit: 98,
+        centerOuter: '#e6c84a', centerInner: '#c9a832', centerDark: '#a08520'
+    },
+    blush: {
+        petalHue: 345, petalSat: 45, petalLit: 92,
+        centerOuter: '#e6b84a', centerInner: '#c99a32', centerDark: '#a07420'
+    },
+    lavender: {
+        petalHue: 265, petalSat: 35, petalLit: 90,
+        centerOuter: '#e6cc5a', centerInner: '#c9ac3a', centerDark: '#a08828'
+    },
+    sunset: {
+        petalHue: 30, petalSat: 70, petalLit: 84,
+        centerOuter: '#c8782e', centerInner: '#a0561e', centerDark: '#6e3614'
+    },
+    ink: {
+        petalHue: 0, petalSat: 0, petalLit: 96,
+        centerOuter: '#5a5a5a', centerInner: '#3a3a3a', centerDark: '#1a1a1a'
+    },
+    neon: {
+        petalHue: 300, petalSat: 90, petalLit: 72,
+        centerOuter: '#3ef0ff', centerInner: '#18b0d8', centerDark: '#0a5a88'
+    },
+
+    // Own colors of the built-in SPECIES
+    gerbera: {
+        petalHue: 8, petalSat: 78, petalLit: 62,
+        centerOuter: '#8a6424', centerInner: '#5a3a14', centerDark: '#2e1c08'
+    },
+    cosmos: {
+        petalHue: 325, petalSat: 58, petalLit: 80,
+        centerOuter: '#f0c83a', centerInner: '#d0a020', centerDark: '#8a6a10'
+    },
+    sunflower: {
+        petalHue: 46, petalSat: 92, petalLit: 58,
+        centerOuter: '#6e4c22', centerInner: '#4a3014', centerDark: '#24160a'
+    },
+    cornflower: {
+        petalHue: 222, petalSat: 68, petalLit: 62,
+        centerOuter: '#6a4a9a', centerInner: '#462a78', centerDark: '#22104a'
+    }
+};
 
-    // Lighting
-    volumetricLight: 'rgba(255, 252, 240, 0.15)',
-    bloomGlow: 'rgba(255, 250, 220, 0.3)'
+// Palette by name, or a partial palette object on top of classic
+export const getPalette = (palette) => {
+    if (palette && typeof palette === 'object') return { ...PALETTES.classic, ...palette };
+    return PALETTES[palette] || PALETTES.classic;
+};
+
+// ===== THEMES (scene-wide colors, cross-faded by ThemeManager) =====
+// Built-in look; reads COLORS when called so config overrides still apply
+const classicTheme = () => ({
+    palette: 'classic',
+
+    // Sky gradient stops (top, 0.35, 0.6, bottom) at each phase of the day
+    skyNight: ['#0a1525', '#152035', '#202830', '#252830'],
+    skyDawn: ['#607090', '#d89060', '#f0a070', '#80a080'],
+    skyDay: ['#87ceeb', '#a8d8f0', '#b8e0d8', '#c0dcc0'],
+    skyDusk: ['#4a5080', '#906070', '#d07050', '#504040'],
+    sunLow: '#ffb060',
+    sunLowGlow: '#ff7030',
+    sun: '#fffff0',
+    sunGlow: '#fff8c0',
+    moon: '#ebf0fa',
+    moonGlow: '#c8d2e6',
+    stars: '#fffff5',
+    clouds: '#ffffff',
+
+    // Meadow: hills, bushes and grass keep their generated HSL, shifted by `land`
+    land: { hue: 0, sat: 1, lit: 1 },
+    trees: '#2d4128',
+    meadowPetals: ['#fff8f0', '#f8f0ff', '#f0fff8', '#fffff0', '#ffe8f0'],
+    meadowCenter: '#ffd75a',
+    meadowFirefly: '#ffff8c',
+    meadowFireflyHalo: '#b4ff5a',
+    meadowFireflyCore: '#ffffb4',
+    light: '#fffceb',
+    lightEdge: '#fff8d7',
+
+    // Flower (petals and center come from the palette)
+    stemGreen: COLORS.stemGreen,
+    stemDark: COLORS.stemDark,
+    stemTip: '#9bc878',
+    leafGreen: COLORS.leafGreen,
+    leafTip: '#a8c888',
+    leafVein: '#50643c',
+    petalGlow: '#fffadc',
+    petalVein: '#c8bea0',
+    coreShimmer: '#fffac8',
+    coreOrbit: '#e6c864',
+
+    // Bees
+    beeBody: '#2a2a2a',
+    beeStripe: '#f0c040',
+    beeHead: '#3a3a3a',
+    beeEye: '#ffffff',
+    beeWings: '#c8dcff',
+
+    // Particles
+    dust: COLORS.dustMote,
+    pollen: COLORS.pollenGold,
+    glow: '#fff0b4',
+    fireflies: COLORS.fireflyGlow,
+    fireflyCore: '#ffffdc',
+
+    // Outline mode strokes (petals, center, stem, bees)
+    outline: '#3a3428',
+
+    // Keyboard focus ring (halo underneath keeps it visible on dark skies)
+    focus: '#1a5fb4',
+    focusHalo: '#ffffff'
+});
+
+// Keys left out fall back to classic
+export const THEMES = {
+    classic: {},
+
+    sakura: {
+        palette: 'blush',
+        skyNight: ['#120e22', '#1e1632', '#2a1e30', '#2c2228'],
+        skyDawn: ['#7a6a9a', '#e09aa8', '#f2b0a8', '#a0a088'],
+        skyDay: ['#9cc4ec', '#c8d4f2', '#f0d4e0', '#d4e2c4'],
+        skyDusk: ['#4e4480', '#a06488', '#dc8090', '#54383e'],
+        sunLow: '#ffa0a0', sunLowGlow: '#ff7088', sun: '#fff4f4', sunGlow: '#ffd8e0',
+        clouds: '#fff0f4',
+        land: { hue: -8, sat: 0.85, lit: 1.08 },
+        trees: '#5a3848',
+        meadowPetals: ['#ffd0dc', '#ffe0ea', '#f8c0d0', '#fff0f4', '#ffb8cc'],
+        meadowFirefly: '#ffc0e0', meadowFireflyHalo: '#ff90c0', meadowFireflyCore: '#fff0f8',
+        light: '#fff0f4', lightEdge: '#ffe4ec',
+        petalGlow: '#fff0f4', coreShimmer: '#fff0f0', coreOrbit: '#f0a8bc',
+        dust: '#e8c8d0', pollen: '#f0a8bc', glow: '#ffe0ea', fireflies: '#ffc8dc', fireflyCore: '#fff0f4'
+    },
+
+    autumn: {
+        palette: 'sunset',
+        skyNight: ['#0e1018', '#1a1820', '#26201c', '#28201a'],
+        skyDawn: ['#6a6080', '#d88850', '#f09a58', '#a08858'],
+        skyDay: ['#8cbcd8', '#b8d0d8', '#e0d4b0', '#d8c8a0'],
+        skyDusk: ['#4a3c60', '#985848', '#d86830', '#503020'],
+        land: { hue: -60, sat: 1.2, lit: 0.95 },
+        trees: '#6a3818',
+        meadowPetals: ['#f8d8a0', '#f0c080', '#e8a860', '#fff0d0', '#f8c8a0'],
+        meadowCenter: '#c87820',
+        meadowFirefly: '#ffd070', meadowFireflyHalo: '#ff9040', meadowFireflyCore: '#fff0c0',
+        light: '#fff0d8', lightEdge: '#ffe4c0',
+        stemGreen: '#8a8a50', stemDark: '#6a6038', stemTip: '#a8a060',
+        leafGreen: '#c08838', leafTip: '#d8a048', leafVein: '#6a4020',
+        coreShimmer: '#ffe8c0', coreOrbit: '#d88a40',
+        dust: '#c8a078', pollen: '#d88a30', glow: '#ffd8a0', fireflies: '#ffc070', fireflyCore: '#fff0d0'
+    },
+
+    ink: {
+        palette: 'ink',
+        skyNight: ['#101010', '#181818', '#202020', '#242424'],
+        skyDawn: ['#8a8a8a', '#b8b8b8', '#c8c8c8', '#a0a0a0'],
+        skyDay: ['#e8e8e4', '#efefea', '#f4f4f0', '#dcdcd6'],
+        skyDusk: ['#5a5a5a', '#7a7a7a', '#9a9a9a', '#4a4a4a'],
+        sunLow: '#d0d0d0', sunLowGlow: '#a0a0a0', sun: '#ffffff', sunGlow: '#e0e0e0',
+        moon: '#f0f0f0', moonGlow: '#c8c8c8', stars: '#ffffff',
+        land: { hue: 0, sat: 0, lit: 0.9 },
+        trees: '#1a1a1a',
+        meadowPetals: ['#f4f4f4', '#e8e8e8', '#dcdcdc', '#ffffff', '#d0d0d0'],
+        meadowCenter: '#404040',
+        meadowFirefly: '#f0f0f0', meadowFireflyHalo: '#a0a0a0', meadowFireflyCore: '#ffffff',
+        light: '#ffffff', lightEdge: '#f0f0f0',
+        stemGreen: '#4a4a4a', stemDark: '#2a2a2a', stemTip: '#6a6a6a',
+        leafGreen: '#5a5a5a', leafTip: '#7a7a7a', leafVein: '#1a1a1a',
+        petalGlow: '#ffffff', petalVein: '#8a8a8a', coreShimmer: '#f0f0f0', coreOrbit: '#808080',
+        beeStripe: '#c0c0c0', beeWings: '#e0e0e0',
+        dust: '#a0a0a0', pollen: '#606060', glow: '#e0e0e0', fireflies: '#e0e0e0', fireflyCore: '#ffffff',
+        outline: '#000000'
+    },
+
+    neon: {
+        palette: 'neon',
+        skyNight: ['#05010f', '#0c0420', '#140828', '#1a0a24'],
+        skyDawn: ['#2a0a48', '#6a1a78', '#a02888', '#301040'],
+        skyDay: ['#1a0c40', '#2c1460', '#48207a', '#2a1248'],
+        skyDusk: ['#200838', '#5a1070', '#a01888', '#2a0a30'],
+        sunLow: '#ff40c0', sunLowGlow: '#ff0090', sun: '#ff9cf0', sunGlow: '#ff40d0',
+        moon: '#b0fcff', moonGlow: '#40e0ff', stars: '#a0f8ff', clouds: '#6a3aa0',
+        land: { hue: 170, sat: 1.6, lit: 0.55 },
+        trees: '#0c0420',
+        meadowPetals: ['#ff4fd8', '#4ff0ff', '#b06cff', '#ff9cf0', '#6cffb0'],
+        meadowCenter: '#fff04f',
+        meadowFirefly: '#4ff0ff', meadowFireflyHalo: '#ff4fd8', meadowFireflyCore: '#e8ffff',
+        light: '#c080ff', lightEdge: '#a060e0',
+        stemGreen: '#18c8a0', stemDark: '#0a6a60', stemTip: '#4ff0c0',
+        leafGreen: '#20e0b0', leafTip: '#6cffd0', leafVein: '#064040',
+        petalGlow: '#ffd0ff', petalVein: '#ff80e0', coreShimmer: '#e0ffff', coreOrbit: '#4ff0ff',
+        dust: '#8060c0', pollen: '#ff4fd8', glow: '#ffb0f0', fireflies: '#4ff0ff', fireflyCore: '#e8ffff',
+        outline: '#f0e0ff'
+    }
+};
+
+// Full theme by name, or a partial theme object on top of classic
+export const getTheme = (theme) => {
+    const overrides = theme && typeof theme === 'object' ? theme : (THEMES[theme] || {});
+    return { ...classicTheme(), ...overrides };
+};
+
+// ===== COLOR MODES (accessibility overlays on top of any theme) =====
+// `palette` here only replaces the listed palette keys, so petals keep the theme's tint
+export const COLOR_MODES = {
+    normal: {},
+
+    // Dark sky behind white petals; orange center against blue pollen
+    'high-contrast': {
+        palette: {
+            petalSat: 0, petalLit: 100,
+            centerOuter: '#ff9a1a', centerInner: '#c85a00', centerDark: '#5a2000'
+        },
+        skyNight: ['#000000', '#02040a', '#050810', '#060806'],
+        skyDawn: ['#0a0c24', '#1c1430', '#281820', '#0c120c'],
+        skyDay: ['#06163a', '#0c2050', '#12285a', '#0c1c20'],
+        skyDusk: ['#0a0820', '#1c0c28', '#2a1018', '#0c0a08'],
+        clouds: '#404860',
+        land: { hue: 0, sat: 0.9, lit: 0.45 },
+        trees: '#000000',
+        meadowCenter: '#ff9a1a',
+        stemGreen: '#5ad25a', stemDark: '#2a8a2a', stemTip: '#8cf08c',
+        leafGreen: '#5ad25a', leafTip: '#8cf08c', leafVein: '#0a3a0a',
+        petalGlow: '#ffffff', petalVein: '#505050',
+        coreShimmer: '#ffffff', coreOrbit: '#40c8ff',
+        dust: '#a0a8b8', pollen: '#40c8ff', glow: '#c8f0ff',
+        outline: '#000000'
+    },
+
+    // Red-green deficiencies: orange vs sky blue (Okabe-Ito)
+    deuteranopia: {
+        palette: { centerOuter: '#e69f00', centerInner: '#b87800', centerDark: '#6a4400' },
+        meadowCenter: '#e69f00',
+        coreShimmer: '#ffffff', coreOrbit: '#56b4e9',
+        pollen: '#56b4e9', glow: '#d0ecfa', fireflies: '#56b4e9', fireflyCore: '#e8f6ff',
+        meadowFirefly: '#56b4e9', meadowFireflyHalo: '#0072b2', meadowFireflyCore: '#e8f6ff'
+    },
+
+    // Reds read dark: light yellow center vs deep blue pollen (apart in brightness too)
+    protanopia: {
+        palette: { centerOuter: '#f0e442', centerInner: '#c8b820', centerDark: '#7a6a00' },
+        sunLowGlow: '#e69f00',
+        meadowCenter: '#f0e442',
+        coreShimmer: '#ffffff', coreOrbit: '#0072b2',
+        pollen: '#0072b2', glow: '#b8d8f0', fireflies: '#56b4e9', fireflyCore: '#e8f6ff',
+        meadowFirefly: '#56b4e9', meadowFireflyHalo: '#0072b2', meadowFireflyCore: '#e8f6ff'
+    },
+
+    // Blue-yellow deficiency: red center vs teal pollen
+    tritanopia: {
+        palette: { centerOuter: '#e8505a', centerInner: '#b82c3c', centerDark: '#6a1020' },
+        meadowCenter: '#e8505a',
+        coreShimmer: '#ffffff', coreOrbit: '#009e9e',
+        pollen: '#009e9e', glow: '#c8f0ea', fireflies: '#ff8c9c', fireflyCore: '#fff0f2',
+        meadowFirefly: '#ff8c9c', meadowFireflyHalo: '#e8505a', meadowFireflyCore: '#fff0f2'
+    }
 };
 
 // ===== TIMING (milliseconds) =====
@@ -86,6 +330,9 @@ export const PHYSICS = {
     windNoiseScale: 0.002,
     windNoiseSpeed: 0.0005,
 
+    // Bees
+    beeSpeed: 1, // multiplier on each bee's cruising speed
+
     // Particles
     maxDustParticles: 50,
     maxPollenParticles: 30,
@@ -97,6 +344,157 @@ export const PHYSICS = {
     parallaxLayers: [0.02, 0.05, 0.1, 0.2]
 };
 
+// ===== FLOWER SPECIES (shape of the head, stem and bloom per DaisyFlower) =====
+// palette:  PALETTES name or palette object; null keeps the theme's flower palette
+// petals:   rings from the outside in; length and width as fractions of the flower
+//           radius, offset in petal slots (0.5 sits between the petals of the ring
+//           before). A ring without a count follows PHYSICS.petalCount.
+//           shape: half-width at 0.3 and 0.7 of the length (fractions of the width);
+//           gradient: hue, saturation and lightness shift at the base of the petal
+// core:     radius as a fraction of the flower radius; texture 'dots' (scattered)
+//           or 'spiral' (florets on the golden angle), and how many
+// stem:     width at the base, taper toward the head; leaves by stem segment
+//           (0 at the ground, 8 at the head), size in pixels, angle (< 0 left);
+//           leafShape: half-width at 0.3 and 0.8 of the leaf (fractions of its size)
+// bloom:    ms between petals opening (plus up to `jitter`), petal opening speed
+//           (per second) and ms until the center fills
+export const SPECIES = {
+    daisy: {
+        palette: null,
+        petals: {
+            rings: [{ length: 0.8, width: 0.15 }],
+            shape: [0.8, 0.6],
+            gradient: [0, 10, -5]
+        },
+        core: { size: 0.25, texture: 'dots', dots: 50 },
+        stem: {
+            width: 5,
+            taper: 1.5,
+            leafShape: [0.4, 0.2],
+            leaves: [
+                { segment: 2, size: 18, angle: -0.5 },
+                { segment: 4, size: 14, angle: 0.6 },
+                { segment: 5, size: 10, angle: -0.4 }
+            ]
+        },
+        bloom: { stagger: 50, jitter: 30, speed: 0.8, coreDelay: 800 }
+    },
+    gerbera: {
+        palette: 'gerbera',
+        petals: {
+            rings: [
+                { count: 26, length: 0.9, width: 0.2 },
+                { count: 20, length: 0.6, width: 0.15, offset: 0.5 }
+            ],
+            shape: [0.7, 0.65],
+            gradient: [-6, 0, -14]
+        },
+        core: { size: 0.28, texture: 'spiral', dots: 70 },
+        stem: {
+            width: 4.5,
+            taper: 1,
+            leafShape: [0.45, 0.3],
+            leaves: [
+                { segment: 1, size: 28, angle: -0.9 },
+                { segment: 1, size: 24, angle: 0.9 }
+            ]
+        },
+        bloom: { stagger: 40, jitter: 20, speed: 0.7, coreDelay: 600 }
+    },
+    cosmos: {
+        palette: 'cosmos',
+        petals: {
+            rings: [{ count: 8, length: 0.85, width: 0.42 }],
+            shape: [0.45, 1.05],
+            gradient: [10, 12, -16]
+        },
+        core: { size: 0.2, texture: 'dots', dots: 30 },
+        stem: {
+            width: 3.5,
+            taper: 1.2,
+            leafShape: [0.08, 0.05],
+            leaves: [
+                { segment: 2, size: 20, angle: -0.7 },
+                { segment: 3, size: 18, angle: 0.8 },
+                { segment: 5, size: 14, angle: -0.6 },
+                { segment: 6, size: 12, angle: 0.5 }
+            ]
+        },
+        bloom: { stagger: 120, jitter: 40, speed: 0.9, coreDelay: 700 }
+    },
+    sunflower: {
+        palette: 'sunflower',
+        petals: {
+            rings: [
+                { count: 21, length: 0.95, width: 0.2 },
+                { count: 21, length: 0.8, width: 0.18, offset: 0.5 }
+            ],
+            shape: [0.9, 0.4],
+            gradient: [-14, 5, -10]
+        },
+        core: { size: 0.42, texture: 'spiral', dots: 140 },
+        stem: {
+            width: 8,
+            taper: 2.5,
+            leafShape: [0.55, 0.35],
+            leaves: [
+                { segment: 2, size: 30, angle: -0.6 },
+                { segment: 3, size: 28, angle: 0.7 },
+                { segment: 5, size: 22, angle: -0.5 },
+                { segment: 6, size: 18, angle: 0.6 }
+            ]
+        },
+        bloom: { stagger: 35, jitter: 25, speed: 0.6, coreDelay: 1000 }
+    },
+    cornflower: {
+        palette: 'cornflower',
+        petals: {
+            rings: [
+                { count: 10, length: 0.8, width: 0.32 },
+                { count: 8, length: 0.45, width: 0.2, offset: 0.5 }
+            ],
+            shape: [0.25, 0.95],
+            gradient: [35, 0, -15]
+        },
+        core: { size: 0.2, texture: 'dots', dots: 40 },
+        stem: {
+            width: 3,
+            taper: 1,
+            leafShape: [0.12, 0.08],
+            leaves: [
+                { segment: 1, size: 24, angle: -0.4 },
+                { segment: 3, size: 20, angle: 0.45 },
+                { segment: 5, size: 16, angle: -0.35 }
+            ]
+        },
+        bloom: { stagger: 70, jitter: 30, speed: 0.85, coreDelay: 500 }
+    }
+};
+
+// Species by name, or a partial species object on top of the daisy (each part
+// merged on its own; rings and leaves replace the daisy's). Rings get their count,
+// offset and shape filled in; PHYSICS.petalCount rings widen so they stay full
+export const getSpecies = (species) => {
+    const overrides = species && typeof species === 'object' ? species : (SPECIES[species] || {});
+    const daisy = SPECIES.daisy;
+    const resolved = {
+        name: typeof species === 'string' ? species : (overrides.name || (species ? 'custom' : 'daisy')),
+        palette: overrides.palette !== undefined ? overrides.palette : daisy.palette
+    };
+
+    ['petals', 'core', 'stem', 'bloom'].forEach(part => {
+        resolved[part] = { ...daisy[part], ...overrides[part] };
+    });
+
+    resolved.petals.rings = resolved.petals.rings.map(ring => {
+        const count = ring.count ?? PHYSICS.petalCount;
+        const fill = ring.count === undefined ? Utils.clamp(36 / count, 0.6, 2.5) : 1;
+        return { offset: 0, shape: resolved.petals.shape, ...ring, count, width: ring.width * fill };
+    });
+
+    return resolved;
+};
+
 // ===== AUDIO =====
 export const AUDIO = {
     masterVolume: 0.6,  // Increased for mobile
@@ -164,40 +562,174 @@ export const BREAKPOINTS = {
     wide: 1440
 };
 
+// ===== COMPOSITION (LayoutEngine) =====
+// One rule set per aspect ratio (width / height: portrait below `portrait`, ultra-wide
+// from `ultrawide`), then the overrides of the view's breakpoint: the first one at or
+// above its width (views wider than all of them count as `wide`).
+// Fractions of the safe area (inside CSS safe-area insets):
+//   flowerX - stem base across; baseY - stem base down
+//   stem    - stem height (capped at maxStem px)
+//   radius  - flower head radius, of the safe area's shorter side
+//   horizon - where the meadow meets the sky, of the full height
+export const COMPOSITION = {
+    aspect: { portrait: 0.8, ultrawide: 2 },
+    rules: {
+        portrait: { flowerX: 0.5, baseY: 0.9, stem: 0.5, maxStem: 420, radius: 0.15, horizon: 0.62 },
+        landscape: { flowerX: 0.5, baseY: 0.85, stem: 0.4, maxStem: 300, radius: 0.12, horizon: 0.55 },
+        // Rule of thirds: the flower on the left third line, open meadow to its right
+        ultrawide: { flowerX: 1 / 3, baseY: 0.86, stem: 0.46, maxStem: 340, radius: 0.13, horizon: 0.5 }
+    },
+    breakpoints: {
+        mobile: { radius: 0.16 },
+        wide: { maxStem: 380 }
+    }
+};
+
+// ===== QUALITY TIERS (lowest first; QualityGovernor steps between them from measured frame time) =====
+export const QUALITY_TIERS = [
+    {
+        name: 'low',
+        frameRate: 30,      // frame cap
+        pixelRatio: 1,      // canvas DPR cap
+        particles: 0.4,     // x particle caps
+        background: 0.5,    // share of stars, clouds and grass drawn
+        petalDetail: false, // gradient fill and vein per petal
+        glow: false,        // shadow and glow passes
+        audioLayers: 1      // sustained music layers
+    },
+    {
+        name: 'medium',
+        frameRate: 60,
+        pixelRatio: 1.5,
+        particles: 0.7,
+        background: 0.75,
+        petalDetail: true,
+        glow: false,
+        audioLayers: 3
+    },
+    {
+        name: 'high',
+        frameRate: 60,
+        pixelRatio: 2,
+        particles: 1,
+        background: 1,
+        petalDetail: true,
+        glow: true,
+        audioLayers: 5
+    }
+];
+
 // ===== DEVICE CAPABILITY DETECTION =====
 export const getDeviceCapabilities = () => {
+    // Headless (Node, workers without DOM): plain desktop defaults
+    if (typeof window === 'undefined' || typeof document === 'undefined') {
+        return {
+            isMobile: false,
+            isTouch: false,
+            isLowEnd: false,
+            prefersReducedMotion: false,
+            prefersContrast: false,
+            qualityTier: 'high',
+            hasWebGL: false,
+            pixelRatio: 1
+        };
+    }
+
     const canvas = document.createElement('canvas');
     const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
 
     const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     const isLowEnd = isMobile && window.devicePixelRatio < 2;
     const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const prefersContrast = window.matchMedia('(prefers-contrast: more)').matches;
 
     return {
         isMobile,
         isTouch: 'ontouchstart' in window || navigator.maxTouchPoints > 0,
         isLowEnd,
         prefersReducedMotion,
-        maxParticles: isLowEnd ? 20 : (isMobile ? 35 : 50),
-        targetFPS: isLowEnd ? 30 : 60,
+        prefersContrast,
+        // Only the starting point: the quality governor moves from here on measured frame time
+        qualityTier: isLowEnd ? 'low' : (isMobile ? 'medium' : 'high'),
         hasWebGL: !!gl,
         pixelRatio: Math.min(window.devicePixelRatio || 1, 2)
     };
 };
 
+// ===== SEEDED RANDOM =====
+// Small mulberry32 generator so a scene can be replayed from its seed
+export class SeededRandom {
+    constructor(seed = 0) {
+        this.seed(seed);
+    }
+
+    // Reset the stream; accepts numbers or any string (e.g. ?seed=meadow)
+    seed(value) {
+        this.initialSeed = SeededRandom.hashSeed(value);
+        this.state = this.initialSeed;
+        return this;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    // Independent stream derived from the initial seed, so one module's
+    // draws never shift another module's sequence
+    fork(label) {
+        return new SeededRandom(`${this.initialSeed}:${label}`);
+    }
+
+    static hashSeed(value) {
+        const str = String(value).trim();
+        if (/^\d+$/.test(str)) return Number(str) >>> 0;
+
+        // FNV-1a
+        let hash = 2166136261;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Fallback stream for modules created on their own and for Utils.random*. A scene
+// seeds its own SeededRandom and hands it to its modules, so embeds never share one
+export const Random = new SeededRandom(Math.floor(Math.random() * 4294967296));
+
 // ===== UTILITY FUNCTIONS =====
 export const Utils = {
     lerp: (a, b, t) => a + (b - a) * t,
 
+    // Frame-rate independent lerp: `t` is the per-frame amount at 60fps,
+    // so the motion also slows down correctly under a reduced time scale
+    damp: (a, b, t, deltaTime) => a + (b - a) * (1 - Math.pow(1 - t, deltaTime * 0.06)),
+
     clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
 
     mapRange: (value, inMin, inMax, outMin, outMax) => {
         return outMin + (outMax - outMin) * ((value - inMin) / (inMax - inMin));
     },
 
-    randomRange: (min, max) => Math.random() * (max - min) + min,
+    random: () => Random.next(),
+
+    randomRange: (min, max) => Random.range(min, max),
 
-    randomInt: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
+    randomInt: (min, max) => Random.int(min, max),
 
     degToRad: (deg) => deg * (Math.PI / 180),
 
@@ -208,5 +740,47 @@ export const Utils = {
     normalize: (x, y) => {
         const len = Math.hypot(x, y) || 1;
         return { x: x / len, y: y / len };
+    },
+
+    // '#rgb', '#rrggbb', 'rgb()/rgba()' or 'hsl()/hsla()' -> [r, g, b] (null if unreadable)
+    parseColor: (color) => {
+        if (typeof color !== 'string') return null;
+        const value = color.trim();
+
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})([0-9a-f]{2})?$/i.exec(value);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+            return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+        }
+
+        const fn = /^(rgba?|hsla?)\(([^)]+)\)$/i.exec(value);
+        if (!fn) return null;
+
+        const parts = fn[2].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        if (parts.length < 3 || parts.slice(0, 3).some(n => !Number.isFinite(n))) return null;
+        if (fn[1].toLowerCase().startsWith('rgb')) return parts.slice(0, 3);
+
+        // hsl -> rgb
+        const [h, s, l] = [parts[0], parts[1] / 100, parts[2] / 100];
+        const k = n => (n + h / 30) % 12;
+        const a = s * Math.min(l, 1 - l);
+        return [0, 8, 4].map(n => 255 * (l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))));
+    },
+
+    // [r, g, b] -> 'rgba(...)'
+    rgba: (rgb, alpha = 1) => `rgba(${Math.round(rgb[0])}, ${Math.round(rgb[1])}, ${Math.round(rgb[2])}, ${alpha})`,
+
+    // Deep, JSON-safe copy of the listed fields (for serialize())
+    pickState: (source, keys) => {
+        const state = {};
+        keys.forEach(key => { state[key] = source[key]; });
+        return JSON.parse(JSON.stringify(state));
+    },
+
+    // Copy the listed fields present in `state` back onto `target` (for deserialize())
+    assignState: (target, state, keys) => {
+        keys.forEach(key => {
+            if (state[key] !== undefined) target[key] = JSON.parse(JSON.stringify(state[key]));
+        });
     }
 };
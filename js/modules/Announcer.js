@@ -0,0 +1,69 @@
+/**
+ * Announcer Module
+ * Visually hidden ARIA live region that narrates the scene for screen readers
+ * (focus moves, spun petals, bee visits, nightfall) from events on the bus
+ */
+
+import { EventBus } from './EventBus.js';
+
+// Event -> sentence (null = stay quiet)
+const MESSAGES = {
+    'focus:change': ({ label }) => label,
+    'petal:click': ({ petal }) => `Petal ${petal + 1} spun`,
+    'core:click': () => 'The center bloomed',
+    'leaf:click': ({ leaf }) => `Leaf ${leaf + 1} fluttered`,
+    'bee:arrive': () => 'A bee arrived',
+    'bee:depart': () => 'The bee flew away',
+    'bee:nudge': () => 'The bee moved to another spot',
+    'day:phase': ({ phase }) => ({ dusk: 'Dusk is settling', night: 'Night is falling', day: 'Morning has come' })[phase],
+    'entrance:stage': ({ stage }) => (stage === 'complete' ? 'The daisy is in full bloom' : null)
+};
+
+// Messages arriving together are read as one
+const BATCH_DELAY = 150;
+
+export class Announcer {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.events = options.events || new EventBus();
+
+        this.pending = [];
+        this.timer = null;
+
+        this.region = document.createElement('div');
+        this.region.className = 'daisy-announcer';
+        this.region.setAttribute('role', 'status');
+        this.region.setAttribute('aria-live', 'polite');
+        this.region.setAttribute('aria-atomic', 'true');
+        this.container.appendChild(this.region);
+
+        this.unsubscribers = Object.entries(MESSAGES).map(([type, message]) =>
+            this.events.on(type, (payload) => {
+                const text = message(payload);
+                if (text) this.say(text);
+            })
+        );
+    }
+
+    say(text) {
+        this.pending.push(text);
+        if (this.timer) return;
+
+        // Clearing first lets a repeated sentence ("Petal 3 spun") be read again
+        this.region.textContent = '';
+        this.timer = setTimeout(() => {
+            this.region.textContent = this.pending.join('. ');
+            this.pending = [];
+            this.timer = null;
+        }, BATCH_DELAY);
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.region.remove();
+    }
+}
@@ -3,10 +3,23 @@
  * Generative music with mobile-friendly audio processing
  */
 
-import { AUDIO, Utils, getDeviceCapabilities } from '../config.js';
+import { AUDIO, Utils, Random, getDeviceCapabilities } from '../config.js';
+import { EventBus } from './EventBus.js';
+
+// Musical position captured by serialize(); the Web Audio graph itself is
+// rebuilt by startAmbientPad()
+const AUDIO_STATE = ['currentChord', 'tempo', 'intensity', 'breathPhase', 'currentArpPattern'];
+
+// Sustained layers, most important first; the quality tier's audioLayers keeps the first n.
+// The arpeggio always plays
+const LAYER_ORDER = ['pad', 'strings', 'bass', 'nature', 'night'];
 
 export class AudioLayer {
-    constructor() {
+    constructor(options = {}) {
+        // Simulation clock drives the chord progression so it pauses with the scene
+        this.clock = options.clock;
+        this.events = options.events || new EventBus();
+
         this.ctx = null;
         this.masterGain = null;
         this.compressor = null;
@@ -14,6 +27,9 @@ export class AudioLayer {
         this.isInitialized = false;
         this.isPlaying = false;
 
+        // Reverb impulse, noise bed and musical choices follow the seed
+        this.random = options.random || Random.fork('audio');
+
         // Get device capabilities
         this.capabilities = null;
 
@@ -26,11 +42,31 @@ export class AudioLayer {
             night: null
         };
 
-        // Arpeggio system
+        // How many of LAYER_ORDER may play (1 = the light two-note pad only)
+        this.layerLimit = options.layerLimit ?? LAYER_ORDER.length;
+        this.simplePad = false;
+
+        // Arpeggio system (FrameClock task ids, so notes stop with the scene)
         this.arpeggioInterval = null;
         this.arpeggioTimeout = null;
         this.currentArpPattern = 0;
 
+        // Pending chord change (FrameClock task id)
+        this.chordTimer = null;
+
+        // Pending click-chord strum notes (FrameClock task ids, for dispose)
+        this.strumTasks = new Set();
+
+        // Oscillators and noise sources still playing (shown by the debug HUD)
+        this.sources = new Set();
+
+        // Master level that resume() fades back in to
+        // (baseLevel = full volume for this device, volume = user setting 0-1)
+        this.masterLevel = 0;
+        this.baseLevel = 0;
+        this.volume = 1;
+        this.isSuspended = false;
+
         // Music state
         this.tempo = 68;
         this.currentChord = 0;
@@ -100,7 +136,9 @@ export class AudioLayer {
             // Master gain - mobile gets 10x boost to compensate for lower browser output
             this.masterGain = this.ctx.createGain();
             const mobileBoost = this.capabilities.isMobile ? 10.0 : 1.0;
-            this.masterGain.gain.value = AUDIO.masterVolume * mobileBoost;
+            this.baseLevel = AUDIO.masterVolume * mobileBoost;
+            this.masterLevel = this.baseLevel * this.volume;
+            this.masterGain.gain.value = this.masterLevel;
 
             // Create reverb (shorter for mobile)
             this.reverbNode = await this.createReverb();
@@ -133,7 +171,7 @@ export class AudioLayer {
                 const t = i / length;
                 // Simpler decay for mobile
                 const decay = Math.exp(-3 * t) * 0.5;
-                const noise = (Math.random() * 2 - 1);
+                const noise = (this.random.next() * 2 - 1);
                 data[i] = noise * decay * 0.3;
             }
         }
@@ -158,22 +196,48 @@ export class AudioLayer {
         if (!this.isInitialized) return;
         this.isPlaying = true;
 
-        // Mobile: fewer layers
-        if (this.capabilities.isMobile) {
+        // Fewer layers on lower quality tiers
+        this.simplePad = this.layerLimit <= 1;
+        if (this.simplePad) {
             this.startSimplePad();
-            this.startArpeggiator();
         } else {
-            this.startStringsLayer();
             this.startPadLayer();
-            this.startBassLayer();
-            this.startArpeggiator();
-            this.startNatureLayer();
         }
+        this.startLayers();
+        this.startArpeggiator();
 
-        this.startBreathing();
         this.startChordProgression();
     }
 
+    // Start the allowed layers that aren't playing (the night drone waits for nightfall)
+    startLayers() {
+        const starters = {
+            strings: () => this.startStringsLayer(),
+            bass: () => this.startBassLayer(),
+            nature: () => this.startNatureLayer()
+        };
+
+        LAYER_ORDER.slice(0, this.layerLimit).forEach(name => {
+            if (starters[name] && !this.layers[name]) starters[name]();
+        });
+    }
+
+    // Quality change: fade out layers over the new limit, bring allowed ones back.
+    // The pad keeps its shape until the music restarts
+    setLayerLimit(limit) {
+        this.layerLimit = limit;
+        if (!this.isPlaying) return;
+
+        const fadeTime = this.ctx.currentTime + 3;
+        LAYER_ORDER.forEach((name, i) => {
+            if (i < limit || name === 'pad' || !this.layers[name]) return;
+            this.fadeOutLayer(this.layers[name], fadeTime);
+            this.layers[name] = null;
+        });
+
+        this.startLayers();
+    }
+
     // Simple pad for mobile (fewer oscillators)
     startSimplePad() {
         const chord = this.progressions[this.currentChord];
@@ -202,7 +266,7 @@ export class AudioLayer {
             gain.connect(this.reverbNode.convolver);
             gain.connect(this.compressor);
 
-            osc.start();
+            this.startSource(osc);
 
             gain.gain.linearRampToValueAtTime(0.04, this.ctx.currentTime + 3);
 
@@ -210,7 +274,7 @@ export class AudioLayer {
         });
     }
 
-    // Full strings layer for desktop
+    // Full strings layer
     startStringsLayer() {
         const chord = this.progressions[this.currentChord];
         this.currentScale = this.scales[chord.scale];
@@ -249,8 +313,8 @@ export class AudioLayer {
             gain.connect(this.reverbNode.convolver);
             gain.connect(this.compressor);
 
-            osc1.start();
-            osc2.start();
+            this.startSource(osc1);
+            this.startSource(osc2);
 
             const delay = i * 0.5;
             gain.gain.setValueAtTime(0, this.ctx.currentTime + delay);
@@ -284,7 +348,7 @@ export class AudioLayer {
             filter.connect(gain);
             gain.connect(this.reverbNode.convolver);
 
-            osc.start();
+            this.startSource(osc);
 
             gain.gain.linearRampToValueAtTime(0.02, this.ctx.currentTime + 5);
 
@@ -313,7 +377,7 @@ export class AudioLayer {
         filter.connect(gain);
         gain.connect(this.compressor);
 
-        osc.start();
+        this.startSource(osc);
 
         gain.gain.linearRampToValueAtTime(0.05, this.ctx.currentTime + 4);
 
@@ -348,17 +412,17 @@ export class AudioLayer {
 
             noteIndex = (noteIndex + 1) % (pattern.length * 2);
 
-            if (noteIndex === 0 && Math.random() > 0.6) {
+            if (noteIndex === 0 && this.random.next() > 0.6) {
                 this.currentArpPattern = (this.currentArpPattern + 1) % this.arpPatterns.length;
             }
         };
 
-        this.arpeggioTimeout = setTimeout(() => {
+        this.arpeggioTimeout = this.clock.after(4000, () => {
             if (this.isPlaying) {
                 playNextNote();
-                this.arpeggioInterval = setInterval(playNextNote, noteInterval * 1000);
+                this.arpeggioInterval = this.clock.every(noteInterval * 1000, playNextNote);
             }
-        }, 4000);
+        });
     }
 
     playHarpNote(freq, volume, duration) {
@@ -382,7 +446,7 @@ export class AudioLayer {
         gain.connect(this.reverbNode.convolver);
         gain.connect(this.compressor);
 
-        osc.start();
+        this.startSource(osc);
 
         const now = this.ctx.currentTime;
         gain.gain.linearRampToValueAtTime(volume, now + 0.02);
@@ -392,14 +456,12 @@ export class AudioLayer {
     }
 
     startNatureLayer() {
-        if (this.capabilities.isMobile) return; // Skip on mobile
-
         const bufferSize = this.ctx.sampleRate * 2;
         const noiseBuffer = this.ctx.createBuffer(1, bufferSize, this.ctx.sampleRate);
         const data = noiseBuffer.getChannelData(0);
 
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
+            data[i] = this.random.next() * 2 - 1;
         }
 
         const noise = this.ctx.createBufferSource();
@@ -418,7 +480,7 @@ export class AudioLayer {
         filter.connect(gain);
         gain.connect(this.compressor);
 
-        noise.start();
+        this.startSource(noise);
 
         gain.gain.linearRampToValueAtTime(0.01, this.ctx.currentTime + 6);
 
@@ -431,12 +493,13 @@ export class AudioLayer {
 
             this.currentChord = (this.currentChord + 1) % this.progressions.length;
             this.updateLayersToChord();
+            this.events.emit('chord:change', { chord: this.currentChord });
 
-            const nextChange = 12000 + Math.random() * 4000;
-            setTimeout(changeChord, nextChange);
+            const nextChange = 12000 + this.random.next() * 4000;
+            this.chordTimer = this.clock.after(nextChange, changeChord);
         };
 
-        setTimeout(changeChord, 15000);
+        this.chordTimer = this.clock.after(15000, changeChord);
     }
 
     updateLayersToChord() {
@@ -447,7 +510,7 @@ export class AudioLayer {
         const transitionTime = 3;
         const now = this.ctx.currentTime;
 
-        // Update strings (desktop only)
+        // Update strings
         if (this.layers.strings) {
             const stringNotes = [scale[0] / 2, scale[4] / 2, scale[0], scale[2]];
             this.layers.strings.forEach((s, i) => {
@@ -457,7 +520,7 @@ export class AudioLayer {
             });
         }
 
-        // Update bass (desktop only)
+        // Update bass
         if (this.layers.bass) {
             const bassFreq = scale[chord.root] / 4;
             this.layers.bass.osc.frequency.linearRampToValueAtTime(bassFreq, now + transitionTime);
@@ -465,7 +528,7 @@ export class AudioLayer {
 
         // Update pad
         if (this.layers.pad) {
-            const padNotes = this.capabilities.isMobile
+            const padNotes = this.simplePad
                 ? [scale[0] / 2, scale[4] / 2]
                 : chord.notes.slice(0, 3).map(n => scale[n % scale.length] / 2);
 
@@ -477,33 +540,28 @@ export class AudioLayer {
         }
     }
 
-    startBreathing() {
-        const breathe = () => {
-            if (!this.isPlaying) return;
-
-            this.breathPhase += 0.015;
-            const breath = (Math.sin(this.breathPhase) + 1) * 0.5;
+    // Breathing filter sweep, stepped with the scene (stops when it is paused)
+    update(deltaTime) {
+        if (!this.isPlaying || this.isSuspended) return;
 
-            if (this.layers.strings) {
-                this.layers.strings.forEach(s => {
-                    const targetFreq = 600 + breath * 400;
-                    s.filter.frequency.linearRampToValueAtTime(targetFreq, this.ctx.currentTime + 0.15);
-                });
-            }
-
-            if (this.layers.pad && this.capabilities.isMobile) {
-                this.layers.pad.forEach(p => {
-                    const targetFreq = 400 + breath * 200;
-                    p.filter.frequency.linearRampToValueAtTime(targetFreq, this.ctx.currentTime + 0.15);
-                });
-            }
+        this.breathPhase += 0.015 * deltaTime * 0.06;
+        const breath = (Math.sin(this.breathPhase) + 1) * 0.5;
 
-            this.intensity = breath;
+        if (this.layers.strings) {
+            this.layers.strings.forEach(s => {
+                const targetFreq = 600 + breath * 400;
+                s.filter.frequency.linearRampToValueAtTime(targetFreq, this.ctx.currentTime + 0.15);
+            });
+        }
 
-            requestAnimationFrame(breathe);
-        };
+        if (this.layers.pad && this.simplePad) {
+            this.layers.pad.forEach(p => {
+                const targetFreq = 400 + breath * 200;
+                p.filter.frequency.linearRampToValueAtTime(targetFreq, this.ctx.currentTime + 0.15);
+            });
+        }
 
-        breathe();
+        this.intensity = breath;
     }
 
     // ═══════════════════════════════════════════════════════
@@ -513,7 +571,7 @@ export class AudioLayer {
     playHoverBell(pan = 0) {
         if (!this.isInitialized) return;
 
-        const noteIdx = Utils.randomInt(4, 7);
+        const noteIdx = this.random.int(4, 7);
         const freq = this.currentScale[noteIdx % this.currentScale.length] * 2;
 
         const osc = this.ctx.createOscillator();
@@ -528,7 +586,7 @@ export class AudioLayer {
         gain.connect(this.reverbNode.convolver);
         gain.connect(this.compressor);
 
-        osc.start();
+        this.startSource(osc);
 
         const now = this.ctx.currentTime;
         const vol = this.capabilities.isMobile ? 0.03 : 0.05;
@@ -547,12 +605,15 @@ export class AudioLayer {
         // Mobile: fewer notes
         const notes = this.capabilities.isMobile ? chord.notes.slice(0, 2) : chord.notes;
 
+        // Strummed on simulated time, so it slows, pauses and freezes with the scene
         notes.forEach((noteIdx, i) => {
-            setTimeout(() => {
+            const task = this.clock.after(i * 40, () => {
+                this.strumTasks.delete(task);
                 const freq = scale[noteIdx % scale.length];
                 const vol = this.capabilities.isMobile ? 0.04 : 0.06;
                 this.playStringNote(freq, vol, 1.8);
-            }, i * 40);
+            });
+            this.strumTasks.add(task);
         });
     }
 
@@ -575,7 +636,7 @@ export class AudioLayer {
         gain.connect(this.reverbNode.convolver);
         gain.connect(this.compressor);
 
-        osc.start();
+        this.startSource(osc);
 
         const now = this.ctx.currentTime;
         gain.gain.linearRampToValueAtTime(volume, now + 0.05);
@@ -613,7 +674,7 @@ export class AudioLayer {
             gain.connect(this.reverbNode.convolver);
             gain.connect(this.compressor);
 
-            osc.start();
+            this.startSource(osc);
 
             const now = this.ctx.currentTime;
             const vol = 0.03 / (i + 1);
@@ -625,8 +686,8 @@ export class AudioLayer {
     }
 
     addNightLayer() {
-        if (!this.isInitialized || this.layers.night) return;
-        if (this.capabilities.isMobile) return; // Skip on mobile
+        if (!this.isInitialized || !this.isPlaying || this.layers.night) return;
+        if (LAYER_ORDER.indexOf('night') >= this.layerLimit) return;
 
         const droneNotes = [this.currentScale[0] / 8, this.currentScale[4] / 8];
 
@@ -647,7 +708,7 @@ export class AudioLayer {
             filter.connect(gain);
             gain.connect(this.compressor);
 
-            osc.start();
+            this.startSource(osc);
 
             gain.gain.linearRampToValueAtTime(0.03, this.ctx.currentTime + 15);
 
@@ -659,43 +720,144 @@ export class AudioLayer {
         if (!this.isPlaying) return;
         this.isPlaying = false;
 
-        if (this.arpeggioInterval) clearInterval(this.arpeggioInterval);
-        if (this.arpeggioTimeout) clearTimeout(this.arpeggioTimeout);
+        if (this.arpeggioInterval) this.clock.cancel(this.arpeggioInterval);
+        if (this.arpeggioTimeout) this.clock.cancel(this.arpeggioTimeout);
+        if (this.chordTimer) this.clock.cancel(this.chordTimer);
 
         const fadeTime = this.ctx.currentTime + 3;
 
         Object.values(this.layers).forEach(layer => {
-            if (!layer) return;
-            if (Array.isArray(layer)) {
-                layer.forEach(l => {
-                    if (l.gain) l.gain.gain.linearRampToValueAtTime(0, fadeTime);
-                    if (l.osc1) l.osc1.stop(fadeTime + 0.1);
-                    if (l.osc2) l.osc2.stop(fadeTime + 0.1);
-                    if (l.osc) l.osc.stop(fadeTime + 0.1);
-                });
-            } else {
-                if (layer.gain) layer.gain.gain.linearRampToValueAtTime(0, fadeTime);
-                if (layer.noise) layer.noise.stop(fadeTime + 0.1);
-                if (layer.osc) layer.osc.stop(fadeTime + 0.1);
-            }
+            if (layer) this.fadeOutLayer(layer, fadeTime);
         });
+
+        // Stopped nodes fade out on their own; startAmbientPad() builds fresh ones
+        this.layers = { strings: null, pad: null, bass: null, nature: null, night: null };
+    }
+
+    // Ramp a layer to silence and stop its sources at `fadeTime` (context seconds)
+    fadeOutLayer(layer, fadeTime) {
+        if (Array.isArray(layer)) {
+            layer.forEach(l => {
+                if (l.gain) l.gain.gain.linearRampToValueAtTime(0, fadeTime);
+                if (l.osc1) l.osc1.stop(fadeTime + 0.1);
+                if (l.osc2) l.osc2.stop(fadeTime + 0.1);
+                if (l.osc) l.osc.stop(fadeTime + 0.1);
+            });
+        } else {
+            if (layer.gain) layer.gain.gain.linearRampToValueAtTime(0, fadeTime);
+            if (layer.noise) layer.noise.stop(fadeTime + 0.1);
+            if (layer.osc) layer.osc.stop(fadeTime + 0.1);
+        }
+    }
+
+    // Start a source and count it until it ends
+    startSource(source) {
+        this.sources.add(source);
+        source.onended = () => this.sources.delete(source);
+        source.start();
+    }
+
+    getActiveSources() {
+        return this.sources.size;
     }
 
     getIntensity() {
         return this.intensity;
     }
 
+    // 0-1 of the device's full level; remembered until init() if audio isn't up yet
     setVolume(value) {
-        if (this.masterGain) {
-            const targetVol = value * AUDIO.masterVolume * (this.capabilities?.isMobile ? 0.5 : 0.75);
-            this.masterGain.gain.linearRampToValueAtTime(targetVol, this.ctx.currentTime + 0.15);
+        this.volume = Utils.clamp(value, 0, 1);
+        if (!this.masterGain) return;
+
+        this.masterLevel = this.baseLevel * this.volume;
+        if (!this.isSuspended) this.masterGain.gain.linearRampToValueAtTime(this.masterLevel, this.ctx.currentTime + 0.15);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // LIFECYCLE
+    // ═══════════════════════════════════════════════════════
+
+    // Hidden tab / interruption: silence now and stop the audio clock
+    suspend() {
+        if (!this.ctx || this.isSuspended) return;
+        this.isSuspended = true;
+
+        const now = this.ctx.currentTime;
+        this.masterGain.gain.cancelScheduledValues(now);
+        this.masterGain.gain.setValueAtTime(0, now);
+
+        if (this.ctx.state === 'running') this.ctx.suspend();
+    }
+
+    // Back again: restart the context and fade the mix in over `fadeTime` seconds.
+    // Resolves false if the browser still refuses to run audio (needs a gesture)
+    async resume(fadeTime = 2) {
+        if (!this.ctx) return false;
+
+        if (this.ctx.state !== 'running') {
+            try {
+                await this.ctx.resume();
+            } catch (e) {
+                console.warn('Audio resume failed:', e);
+            }
         }
+        if (!this.ctx || this.ctx.state !== 'running') return false;
+
+        if (this.isSuspended) {
+            this.isSuspended = false;
+
+            const now = this.ctx.currentTime;
+            this.masterGain.gain.cancelScheduledValues(now);
+            this.masterGain.gain.setValueAtTime(0, now);
+            this.masterGain.gain.linearRampToValueAtTime(this.masterLevel, now + fadeTime);
+        }
+        return true;
     }
 
     dispose() {
         this.stopAmbientPad();
+
+        this.strumTasks.forEach(task => this.clock.cancel(task));
+        this.strumTasks.clear();
+        this.sources.clear();
+
         if (this.ctx) {
+            // Detach the shared chain; closing the context releases every node
+            if (this.reverbNode) {
+                this.reverbNode.convolver.disconnect();
+                this.reverbNode.wetGain.disconnect();
+            }
+            if (this.compressor) this.compressor.disconnect();
+            if (this.masterGain) this.masterGain.disconnect();
+
             this.ctx.close();
+            this.ctx = null;
         }
+
+        this.isInitialized = false;
+        this.isSuspended = false;
+        this.layers = { strings: null, pad: null, bass: null, nature: null, night: null };
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return {
+            ...Utils.pickState(this, AUDIO_STATE),
+            scale: this.progressions[this.currentChord].scale,
+            random: this.random.state
+        };
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, AUDIO_STATE);
+        this.currentScale = this.scales[state.scale] || this.scales[this.progressions[this.currentChord].scale];
+        this.random.state = state.random;
+
+        // Already playing: move the running layers to the restored chord
+        if (this.isPlaying) this.updateLayersToChord();
     }
 }
@@ -3,14 +3,86 @@
  * Seamless looping day-night, fluffy clouds, responsive design
  */
 
-import { COLORS, PHYSICS, TIMING, Utils, Easing } from '../config.js';
+import { COLORS, PHYSICS, TIMING, Utils, Easing, Random } from '../config.js';
+import { ThemeManager } from './ThemeManager.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { LayerCache } from './LayerCache.js';
+import { Canvas2DRenderer } from './Canvas2DRenderer.js';
+
+// Fields captured by serialize(): the generated meadow plus the day cycle
+const BACKGROUND_STATE = [
+    'time', 'dayProgress', 'offsetX', 'offsetY',
+    'stars', 'clouds', 'hills', 'trees', 'bushes', 'flowers', 'grasses', 'fireflies'
+];
+
+// Color slots for the small meadow flowers; the theme decides the actual colors
+const MEADOW_PETALS = ['#fff8f0', '#f8f0ff', '#f0fff8', '#fffff0', '#ffe8f0'];
+
+// Lower quality tiers draw an evenly spread `share` of a generated list (the list itself
+// stays, so the meadow doesn't change when quality does)
+const isDrawn = (index, share) => share >= 1 || Math.floor((index + 1) * share) > Math.floor(index * share);
+
+// Layers kept as bitmaps: vertical band (fraction of height), parallax (px per px of
+// camera offset, one per layer where trees and hills each had their own) and the
+// method that draws it. Sway and twinkle hold still inside a bitmap
+const STAR_LAYER = { name: 'stars', top: 0, bottom: 0.46, parallax: 0, draw: 'drawStars' };
+const DEPTH_LAYERS = [
+    { name: 'hills', top: 0.3, bottom: 1, parallax: 0.3, draw: 'drawHills' },
+    { name: 'trees', top: 0.55, bottom: 0.78, parallax: 1.05, draw: 'drawTrees' },
+    { name: 'bushes', top: 0.74, bottom: 0.88, parallax: 1.5, draw: 'drawBushes' },
+    { name: 'flowers', top: 0.78, bottom: 1, parallax: 2, draw: 'drawFlowers' },
+    { name: 'grasses', top: 0.88, bottom: 1, parallax: 3, draw: 'drawGrasses' }
+];
+
+// Generated lists: a fixed count, or one element per `per` pixels of width (at least `min`)
+const DENSITY = {
+    stars: { count: 60 },
+    clouds: { count: 7 },
+    trees: { min: 8, per: 80 },
+    bushes: { min: 6, per: 100 },
+    flowers: { min: 10, per: 45 },
+    grasses: { min: 100, per: 4 },
+    fireflies: { count: 15 }
+};
+const ELEMENT_LISTS = Object.keys(DENSITY);
+
+const countFor = (name, width) => {
+    const density = DENSITY[name];
+    return density.count ?? Math.max(density.min, Math.floor(width / density.per));
+};
+
+// Bitmaps are redrawn each time the day moves on by 1/DAY_STEPS of a cycle
+const DAY_STEPS = 240;
+
+// Bitmaps reach this far (fraction of width) past each side for the parallax shift
+const LAYER_BLEED = 0.04;
+
+// Horizon (fraction of height) the generated heights are laid out for; setHorizon()
+// stretches sky and meadow around another one
+const DESIGN_HORIZON = 0.55;
 
 export class BackgroundParallax {
-    constructor(ctx, width, height) {
+    constructor(ctx, width, height, options = {}) {
         this.ctx = ctx;
         this.width = width;
         this.height = height;
 
+        // Own seed so the meadow only depends on the scene's seed (every element
+        // draws from a stream forked off it)
+        this.random = options.random || Random.fork('background');
+
+        // Every color comes from the active theme
+        this.theme = options.theme || new ThemeManager();
+
+        // Star/cloud/grass share and glow passes follow the quality tier
+        this.quality = options.quality || new QualityGovernor();
+
+        // Fireflies and the light around the flower (the rest is Canvas 2D)
+        this.renderer = options.renderer || new Canvas2DRenderer({ theme: this.theme, quality: this.quality });
+
+        // Bitmaps for the slow layers; null draws everything live (headless, or no canvas)
+        this.cache = options.layerCache !== false && LayerCache.isSupported() ? new LayerCache() : null;
+
         this.time = 0;
 
         // Elements
@@ -29,38 +101,39 @@ export class BackgroundParallax {
         // 0.0/1.0 = midnight, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset
         this.dayProgress = 0.25; // Start at sunrise
         this.cycleDuration = 90; // 90 seconds per full cycle
+        this.cycleScale = 1;     // Stretches the cycle for reduced motion
 
-        // Parallax camera
+        // Parallax camera (parallaxAmount 0 = still camera)
         this.offsetX = 0;
         this.offsetY = 0;
+        this.parallaxAmount = 1;
+        this.parallaxEase = 0.03;
 
         // Responsive scaling
         this.scale = Math.min(width, height) / 800;
+
+        // Horizon from the layout (LayoutEngine)
+        this.horizon = DESIGN_HORIZON;
     }
 
     initAllElements() {
-        this.generateStars();
         this.generateHills();
-        this.generateClouds();
-        this.generateTrees();
-        this.generateBushes();
-        this.generateFlowers();
-        this.generateGrasses();
-        this.generateFireflies();
+        ELEMENT_LISTS.forEach(name => {
+            this[name] = [];
+            this.fit(name);
+        });
     }
 
-    generateStars() {
-        this.stars = [];
-        const count = 60;
-
-        for (let i = 0; i < count; i++) {
-            this.stars.push({
-                x: Math.random(),
-                y: Math.random() * 0.45,
-                size: Utils.randomRange(0.5, 1.8),
-                twinklePhase: Utils.randomRange(0, Math.PI * 2),
-                twinkleSpeed: Utils.randomRange(1.5, 3.5)
-            });
+    // Grow or shrink list `name` to its count at the current width. Element i always
+    // comes from its own stream of the seed, so a resize keeps every element that
+    // stays and the same width always gives the same meadow
+    fit(name) {
+        const list = this[name];
+        const count = countFor(name, this.width);
+
+        if (list.length > count) list.length = count;
+        for (let i = list.length; i < count; i++) {
+            list.push(MAKERS[name](this.random.fork(`${name}:${i}`)));
         }
     }
 
@@ -88,138 +161,48 @@ export class BackgroundParallax {
         });
     }
 
-    generateClouds() {
-        this.clouds = [];
-        const count = 7;
-
-        for (let i = 0; i < count; i++) {
-            // Generate fluffy cloud with multiple puffs
-            const puffs = [];
-            const puffCount = Utils.randomInt(4, 7);
-            const baseWidth = Utils.randomRange(0.08, 0.14);
-
-            for (let j = 0; j < puffCount; j++) {
-                puffs.push({
-                    offsetX: (j - puffCount / 2) * baseWidth * 0.5,
-                    offsetY: Math.sin(j * 1.2) * 0.008,
-                    radius: baseWidth * (0.25 + Math.random() * 0.2)
-                });
-            }
-
-            this.clouds.push({
-                x: Utils.randomRange(-0.1, 1.1),
-                y: Utils.randomRange(0.06, 0.18),
-                puffs: puffs,
-                speed: Utils.randomRange(0.003, 0.007),
-                opacity: Utils.randomRange(0.65, 0.9)
-            });
-        }
-    }
-
-    generateTrees() {
-        this.trees = [];
-        const count = Math.max(8, Math.floor(this.width / 80));
-
-        for (let i = 0; i < count; i++) {
-            const depth = Utils.randomRange(0, 1);
-            this.trees.push({
-                nx: Utils.randomRange(0, 1),
-                height: Utils.randomRange(0.06, 0.1) * (1 - depth * 0.3),
-                width: Utils.randomRange(0.025, 0.045) * (1 - depth * 0.3),
-                type: Utils.randomInt(0, 4),
-                parallax: 0.015 + depth * 0.03,
-                swayPhase: Utils.randomRange(0, Math.PI * 2),
-                opacity: 0.3 + depth * 0.25
-            });
-        }
-
-        this.trees.sort((a, b) => a.parallax - b.parallax);
-    }
-
-    generateBushes() {
-        this.bushes = [];
-        const count = Math.max(6, Math.floor(this.width / 100));
-
-        for (let i = 0; i < count; i++) {
-            this.bushes.push({
-                nx: Utils.randomRange(0, 1),
-                ny: Utils.randomRange(0.78, 0.85),
-                width: Utils.randomRange(0.025, 0.05),
-                height: Utils.randomRange(0.015, 0.028),
-                hue: Utils.randomRange(90, 125),
-                swayPhase: Utils.randomRange(0, Math.PI * 2)
-            });
-        }
-    }
-
-    generateFlowers() {
-        this.flowers = [];
-        const count = Math.max(10, Math.floor(this.width / 45));
-
-        for (let i = 0; i < count; i++) {
-            this.flowers.push({
-                nx: Utils.randomRange(0, 1),
-                ny: Utils.randomRange(0.83, 0.94),
-                size: Utils.randomRange(0.006, 0.012),
-                color: ['#fff8f0', '#f8f0ff', '#f0fff8', '#fffff0', '#ffe8f0'][Utils.randomInt(0, 5)],
-                swayPhase: Utils.randomRange(0, Math.PI * 2),
-                stemHeight: Utils.randomRange(0.02, 0.04),
-                petals: Utils.randomInt(4, 7)
-            });
-        }
+    // Positions are fractions of the view, so the same elements are re-projected;
+    // only the lists that follow the width gain or lose elements at their end
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.scale = Math.min(width, height) / 800;
+        ELEMENT_LISTS.forEach(name => this.fit(name));
+        if (this.cache) this.cache.clear();
     }
 
-    generateGrasses() {
-        this.grasses = [];
-        const count = Math.max(100, Math.floor(this.width / 4));
-
-        for (let i = 0; i < count; i++) {
-            this.grasses.push({
-                nx: Utils.randomRange(0, 1),
-                height: Utils.randomRange(0.04, 0.08),
-                thickness: Utils.randomRange(1.2, 2),
-                phase: Utils.randomRange(0, Math.PI * 2),
-                hue: Utils.randomRange(85, 120),
-                saturation: Utils.randomRange(40, 55),
-                lightness: Utils.randomRange(40, 52)
-            });
-        }
+    setHorizon(horizon) {
+        this.horizon = horizon;
     }
 
-    generateFireflies() {
-        this.fireflies = [];
-        const count = 15;
-
-        for (let i = 0; i < count; i++) {
-            this.fireflies.push({
-                nx: Utils.randomRange(0, 1),
-                ny: Utils.randomRange(0.5, 0.88),
-                phase: Utils.randomRange(0, Math.PI * 2),
-                speed: Utils.randomRange(0.02, 0.04),
-                glowPhase: Utils.randomRange(0, Math.PI * 2)
-            });
-        }
+    // Height in pixels of generated fraction `ny`: sky above the design horizon and
+    // meadow below it each stretch so that horizon lands on this.horizon
+    yAt(ny) {
+        const y = ny < DESIGN_HORIZON
+            ? ny * this.horizon / DESIGN_HORIZON
+            : this.horizon + (ny - DESIGN_HORIZON) * (1 - this.horizon) / (1 - DESIGN_HORIZON);
+        return y * this.height;
     }
 
-    resize(width, height) {
-        this.width = width;
-        this.height = height;
-        this.scale = Math.min(width, height) / 800;
-        this.initAllElements();
+    // Reduced motion: a slower day and a camera that barely drifts
+    setReducedMotion(reduced) {
+        this.cycleScale = reduced ? 2 : 1;
+        this.parallaxAmount = reduced ? 0.3 : 1;
+        this.parallaxEase = reduced ? 0.008 : 0.03;
     }
 
     update(deltaTime, cursorX, cursorY, windStrength) {
         this.time += deltaTime * 0.001;
 
         // Day-night cycle - seamless loop
-        this.dayProgress += deltaTime / (this.cycleDuration * 1000);
+        this.dayProgress += deltaTime / (this.cycleDuration * this.cycleScale * 1000);
         if (this.dayProgress >= 1) this.dayProgress -= 1;
 
         // Parallax camera
-        const targetX = (cursorX - this.width / 2) * 0.02;
-        const targetY = (cursorY - this.height / 2) * 0.01;
-        this.offsetX = Utils.lerp(this.offsetX, targetX, 0.03);
-        this.offsetY = Utils.lerp(this.offsetY, targetY, 0.03);
+        const targetX = (cursorX - this.width / 2) * 0.02 * this.parallaxAmount;
+        const targetY = (cursorY - this.height / 2) * 0.01 * this.parallaxAmount;
+        this.offsetX = Utils.damp(this.offsetX, targetX, this.parallaxEase, deltaTime);
+        this.offsetY = Utils.damp(this.offsetY, targetY, this.parallaxEase, deltaTime);
 
         // Move clouds
         this.clouds.forEach(cloud => {
@@ -228,9 +211,10 @@ export class BackgroundParallax {
         });
 
         // Update fireflies
+        const frameScale = deltaTime * 0.06;
         this.fireflies.forEach(ff => {
-            ff.nx += Math.sin(this.time * ff.speed * 8 + ff.phase) * 0.0003;
-            ff.ny += Math.cos(this.time * ff.speed * 6 + ff.phase) * 0.0002;
+            ff.nx += Math.sin(this.time * ff.speed * 8 + ff.phase) * 0.0003 * frameScale;
+            ff.ny += Math.cos(this.time * ff.speed * 6 + ff.phase) * 0.0002 * frameScale;
             ff.glowPhase += deltaTime * 0.004;
 
             if (ff.nx < 0) ff.nx = 1;
@@ -267,6 +251,23 @@ export class BackgroundParallax {
     // ═══════════════════════════════════════════════════════
 
     draw(flowerX, flowerY) {
+        if (!this.cache) {
+            this.drawLive(flowerX, flowerY);
+            return;
+        }
+
+        this.cache.beginFrame();
+
+        this.drawSky();
+        if (this.getDarkness() >= 0.35) this.drawCached(STAR_LAYER);
+        this.drawSunMoon();
+        this.drawClouds();
+        DEPTH_LAYERS.forEach(layer => this.drawCached(layer));
+        this.drawFireflies();
+        this.drawVolumetricLight(flowerX, flowerY);
+    }
+
+    drawLive(flowerX, flowerY) {
         this.drawSky();
         this.drawStars();
         this.drawSunMoon();
@@ -280,49 +281,45 @@ export class BackgroundParallax {
         this.drawVolumetricLight(flowerX, flowerY);
     }
 
+    // Composite a layer's bitmap at its parallax offset, redrawing it once the day,
+    // theme colors (a new values object on every change) or quality tier moved on
+    drawCached(layer) {
+        const bleed = Math.ceil(this.width * LAYER_BLEED);
+        const top = this.yAt(layer.top);
+        const bounds = { x: -bleed, y: top, width: this.width + bleed * 2, height: this.yAt(layer.bottom) - top };
+        const key = [Math.round(this.dayProgress * DAY_STEPS) % DAY_STEPS, this.theme.values, this.quality.tier, this.horizon];
+
+        this.cache.draw(this.ctx, layer.name, bounds, key, this.offsetX * layer.parallax, (ctx) => this.bake(ctx, layer.draw));
+    }
+
+    // Run a draw method into a bitmap: no parallax offset and the clock at rest
+    bake(ctx, method) {
+        const { ctx: live, offsetX, time } = this;
+        this.ctx = ctx;
+        this.offsetX = 0;
+        this.time = 0;
+
+        this[method]();
+
+        this.ctx = live;
+        this.offsetX = offsetX;
+        this.time = time;
+    }
+
     drawSky() {
         const ctx = this.ctx;
         const p = this.dayProgress;
-        const darkness = this.getDarkness();
 
-        const gradient = ctx.createLinearGradient(0, 0, 0, this.height);
+        // Smooth 4-phase sky (night, dawn, day, dusk), held at day from 0.4 to 0.6
+        let stops;
+        if (p < 0.2) stops = this.theme.sky('Night', 'Dawn', p / 0.2);
+        else if (p < 0.4) stops = this.theme.sky('Dawn', 'Day', (p - 0.2) / 0.2);
+        else if (p < 0.6) stops = this.theme.sky('Day', 'Day', 0);
+        else if (p < 0.8) stops = this.theme.sky('Day', 'Dusk', (p - 0.6) / 0.2);
+        else stops = this.theme.sky('Dusk', 'Night', (p - 0.8) / 0.2);
 
-        // Smooth 4-phase sky (dawn, day, dusk, night)
-        if (p < 0.2) {
-            // Night → Dawn (0 - 0.2)
-            const t = p / 0.2;
-            gradient.addColorStop(0, this.lerpColor('#0a1525', '#607090', t));
-            gradient.addColorStop(0.35, this.lerpColor('#152035', '#d89060', t));
-            gradient.addColorStop(0.6, this.lerpColor('#202830', '#f0a070', t));
-            gradient.addColorStop(1, this.lerpColor('#252830', '#80a080', t));
-        } else if (p < 0.4) {
-            // Dawn → Day (0.2 - 0.4)
-            const t = (p - 0.2) / 0.2;
-            gradient.addColorStop(0, this.lerpColor('#607090', '#87ceeb', t));
-            gradient.addColorStop(0.35, this.lerpColor('#d89060', '#a8d8f0', t));
-            gradient.addColorStop(0.6, this.lerpColor('#f0a070', '#b8e0d8', t));
-            gradient.addColorStop(1, this.lerpColor('#80a080', '#c0dcc0', t));
-        } else if (p < 0.6) {
-            // Day (0.4 - 0.6)
-            gradient.addColorStop(0, '#87ceeb');
-            gradient.addColorStop(0.4, '#a8d8f0');
-            gradient.addColorStop(1, '#c0dcc0');
-        } else if (p < 0.8) {
-            // Day → Dusk (0.6 - 0.8)
-            const t = (p - 0.6) / 0.2;
-            gradient.addColorStop(0, this.lerpColor('#87ceeb', '#4a5080', t));
-            gradient.addColorStop(0.25, this.lerpColor('#a8d8f0', '#906070', t));
-            gradient.addColorStop(0.5, this.lerpColor('#b0dce0', '#d07050', t));
-            gradient.addColorStop(0.7, this.lerpColor('#c0dcc0', '#b04530', t));
-            gradient.addColorStop(1, this.lerpColor('#b0d0b0', '#504040', t));
-        } else {
-            // Dusk → Night (0.8 - 1.0)
-            const t = (p - 0.8) / 0.2;
-            gradient.addColorStop(0, this.lerpColor('#4a5080', '#0a1525', t));
-            gradient.addColorStop(0.35, this.lerpColor('#906070', '#152035', t));
-            gradient.addColorStop(0.6, this.lerpColor('#d07050', '#202830', t));
-            gradient.addColorStop(1, this.lerpColor('#504040', '#252830', t));
-        }
+        const gradient = ctx.createLinearGradient(0, 0, 0, this.height);
+        [0, 0.35, 0.6, 1].forEach((offset, i) => gradient.addColorStop(offset, stops[i]));
 
         ctx.fillStyle = gradient;
         ctx.fillRect(0, 0, this.width, this.height);
@@ -334,14 +331,17 @@ export class BackgroundParallax {
 
         const ctx = this.ctx;
         const alpha = Math.min(1, (darkness - 0.35) / 0.35);
+        const share = this.quality.tier.background;
+
+        this.stars.forEach((star, i) => {
+            if (!isDrawn(i, share)) return;
 
-        this.stars.forEach(star => {
             const twinkle = Math.sin(this.time * star.twinkleSpeed + star.twinklePhase);
             const brightness = 0.4 + twinkle * 0.6;
 
-            ctx.fillStyle = `rgba(255, 255, 245, ${alpha * brightness * 0.9})`;
+            ctx.fillStyle = this.theme.color('stars', alpha * brightness * 0.9);
             ctx.beginPath();
-            ctx.arc(star.x * this.width, star.y * this.height, star.size, 0, Math.PI * 2);
+            ctx.arc(star.x * this.width, this.yAt(star.y), star.size, 0, Math.PI * 2);
             ctx.fill();
         });
     }
@@ -349,7 +349,7 @@ export class BackgroundParallax {
     drawSunMoon() {
         const ctx = this.ctx;
         const sunAlt = this.getSunAltitude();
-        const horizonY = this.height * 0.55;
+        const horizonY = this.height * this.horizon;
 
         // Sun position
         const sunY = horizonY - sunAlt * this.height * 0.45;
@@ -360,36 +360,29 @@ export class BackgroundParallax {
             const radius = 25 * this.scale + 5;
             const alpha = Math.min(1, (sunAlt + 0.1) / 0.3);
 
-            // Sun color based on altitude
-            let coreColor, glowColor;
-            if (sunAlt < 0.2) {
-                coreColor = '#ffb060';
-                glowColor = '#ff7030';
-            } else if (sunAlt < 0.6) {
-                coreColor = this.lerpColor('#ffb060', '#fffff0', (sunAlt - 0.2) / 0.4);
-                glowColor = this.lerpColor('#ff7030', '#fff8c0', (sunAlt - 0.2) / 0.4);
-            } else {
-                coreColor = '#fffff0';
-                glowColor = '#fff8c0';
-            }
+            // Sun color based on altitude (low = warm, high = pale)
+            const height = Utils.clamp((sunAlt - 0.2) / 0.4, 0, 1);
+            const glowColor = (a) => this.theme.mix('sunLowGlow', 'sunGlow', height, a);
 
             // Glow
-            const glowRadius = radius * 3.5;
-            const glow = ctx.createRadialGradient(sunX, sunY, 0, sunX, sunY, glowRadius);
-            glow.addColorStop(0, this.hexToRgba(glowColor, 0.4 * alpha));
-            glow.addColorStop(0.5, this.hexToRgba(glowColor, 0.1 * alpha));
-            glow.addColorStop(1, 'rgba(255, 200, 100, 0)');
-
-            ctx.fillStyle = glow;
-            ctx.beginPath();
-            ctx.arc(sunX, sunY, glowRadius, 0, Math.PI * 2);
-            ctx.fill();
+            if (this.quality.tier.glow) {
+                const glowRadius = radius * 3.5;
+                const glow = ctx.createRadialGradient(sunX, sunY, 0, sunX, sunY, glowRadius);
+                glow.addColorStop(0, glowColor(0.4 * alpha));
+                glow.addColorStop(0.5, glowColor(0.1 * alpha));
+                glow.addColorStop(1, glowColor(0));
+
+                ctx.fillStyle = glow;
+                ctx.beginPath();
+                ctx.arc(sunX, sunY, glowRadius, 0, Math.PI * 2);
+                ctx.fill();
+            }
 
             // Core
             const core = ctx.createRadialGradient(sunX, sunY, 0, sunX, sunY, radius);
-            core.addColorStop(0, coreColor);
-            core.addColorStop(0.85, glowColor);
-            core.addColorStop(1, this.hexToRgba(glowColor, 0.6 * alpha));
+            core.addColorStop(0, this.theme.mix('sunLow', 'sun', height));
+            core.addColorStop(0.85, glowColor(1));
+            core.addColorStop(1, glowColor(0.6 * alpha));
 
             ctx.fillStyle = core;
             ctx.beginPath();
@@ -407,17 +400,19 @@ export class BackgroundParallax {
             const moonAlpha = Math.min(1, (moonAlt + 0.1) / 0.3) * Math.min(1, (this.getDarkness() - 0.35) / 0.3);
 
             // Moon glow
-            const moonGlow = ctx.createRadialGradient(moonX, moonY, 0, moonX, moonY, moonRadius * 2.5);
-            moonGlow.addColorStop(0, `rgba(200, 210, 230, ${0.25 * moonAlpha})`);
-            moonGlow.addColorStop(1, 'rgba(200, 210, 230, 0)');
+            if (this.quality.tier.glow) {
+                const moonGlow = ctx.createRadialGradient(moonX, moonY, 0, moonX, moonY, moonRadius * 2.5);
+                moonGlow.addColorStop(0, this.theme.color('moonGlow', 0.25 * moonAlpha));
+                moonGlow.addColorStop(1, this.theme.color('moonGlow', 0));
 
-            ctx.fillStyle = moonGlow;
-            ctx.beginPath();
-            ctx.arc(moonX, moonY, moonRadius * 2.5, 0, Math.PI * 2);
-            ctx.fill();
+                ctx.fillStyle = moonGlow;
+                ctx.beginPath();
+                ctx.arc(moonX, moonY, moonRadius * 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
 
             // Moon
-            ctx.fillStyle = `rgba(235, 240, 250, ${moonAlpha})`;
+            ctx.fillStyle = this.theme.color('moon', moonAlpha);
             ctx.beginPath();
             ctx.arc(moonX, moonY, moonRadius, 0, Math.PI * 2);
             ctx.fill();
@@ -428,12 +423,15 @@ export class BackgroundParallax {
         const ctx = this.ctx;
         const darkness = this.getDarkness();
         const cloudBrightness = 1 - darkness * 0.6;
+        const share = this.quality.tier.background;
+
+        this.clouds.forEach((cloud, i) => {
+            if (!isDrawn(i, share)) return;
 
-        this.clouds.forEach(cloud => {
             const baseX = cloud.x * this.width;
-            const baseY = cloud.y * this.height;
+            const baseY = this.yAt(cloud.y);
 
-            ctx.fillStyle = `rgba(255, 255, 255, ${cloud.opacity * cloudBrightness})`;
+            ctx.fillStyle = this.theme.color('clouds', cloud.opacity * cloudBrightness);
 
             // Draw fluffy cloud with multiple overlapping ellipses
             cloud.puffs.forEach(puff => {
@@ -460,7 +458,7 @@ export class BackgroundParallax {
 
             hill.points.forEach((point, i) => {
                 const x = point.nx * this.width * 1.2 - this.width * 0.1 + offsetX;
-                const y = point.ny * this.height;
+                const y = this.yAt(point.ny);
 
                 if (i === 0) {
                     ctx.lineTo(x, y);
@@ -468,8 +466,9 @@ export class BackgroundParallax {
                     const prev = hill.points[i - 1];
                     const prevX = prev.nx * this.width * 1.2 - this.width * 0.1 + offsetX;
                     const cpX = (prevX + x) / 2;
-                    const cpY = (prev.ny * this.height + y) / 2;
-                    ctx.quadraticCurveTo(prevX, prev.ny * this.height, cpX, cpY);
+                    const prevY = this.yAt(prev.ny);
+                    const cpY = (prevY + y) / 2;
+                    ctx.quadraticCurveTo(prevX, prevY, cpX, cpY);
                 }
             });
 
@@ -477,17 +476,20 @@ export class BackgroundParallax {
             ctx.closePath();
 
             const dimLit = hill.lit * (1 - darkness * 0.4);
-            ctx.fillStyle = `hsla(${hill.hue}, ${hill.sat}%, ${dimLit}%, 0.75)`;
+            ctx.fillStyle = this.theme.land(hill.hue, hill.sat, dimLit, 0.75);
             ctx.fill();
         });
     }
 
     drawTrees() {
         const ctx = this.ctx;
-        const baseY = this.height * 0.77;
+        const baseY = this.yAt(0.77);
         const darkness = this.getDarkness();
 
-        this.trees.forEach(tree => {
+        // Far trees first (the list itself stays in generated order, see fit())
+        const trees = [...this.trees].sort((a, b) => a.parallax - b.parallax);
+
+        trees.forEach(tree => {
             const offsetX = this.offsetX * tree.parallax * 35;
             const sway = Math.sin(this.time * 0.5 + tree.swayPhase) * 2;
             const x = tree.nx * this.width + offsetX + sway;
@@ -497,7 +499,7 @@ export class BackgroundParallax {
             const dimFactor = 1 - darkness * 0.45;
             const alpha = tree.opacity * dimFactor;
 
-            ctx.fillStyle = `rgba(45, 65, 40, ${alpha})`;
+            ctx.fillStyle = this.theme.color('trees', alpha);
 
             if (tree.type === 0) {
                 ctx.fillRect(x - 2, baseY - h * 0.35, 4, h * 0.35);
@@ -537,12 +539,12 @@ export class BackgroundParallax {
         this.bushes.forEach(bush => {
             const sway = Math.sin(this.time * 1.1 + bush.swayPhase) * 1.5;
             const x = bush.nx * this.width + this.offsetX * 0.06 * 25 + sway;
-            const y = bush.ny * this.height;
+            const y = this.yAt(bush.ny);
             const w = bush.width * this.width;
             const h = bush.height * this.height;
 
             const dimFactor = 1 - darkness * 0.4;
-            ctx.fillStyle = `hsla(${bush.hue}, 38%, ${32 * dimFactor}%, 0.55)`;
+            ctx.fillStyle = this.theme.land(bush.hue, 38, 32 * dimFactor, 0.55);
 
             for (let i = 0; i < 3; i++) {
                 const bx = x + (i - 1) * w * 0.4;
@@ -561,14 +563,14 @@ export class BackgroundParallax {
         this.flowers.forEach(flower => {
             const sway = Math.sin(this.time * 1.4 + flower.swayPhase) * 2.5;
             const x = flower.nx * this.width + this.offsetX * 0.08 * 25;
-            const y = flower.ny * this.height;
+            const y = this.yAt(flower.ny);
             const size = flower.size * this.width;
             const stemH = flower.stemHeight * this.height;
 
             const dimFactor = 1 - darkness * 0.35;
 
             // Stem
-            ctx.strokeStyle = `hsla(100, 42%, ${38 * dimFactor}%, 0.55)`;
+            ctx.strokeStyle = this.theme.land(100, 42, 38 * dimFactor, 0.55);
             ctx.lineWidth = 1.2;
             ctx.beginPath();
             ctx.moveTo(x, y + stemH);
@@ -577,7 +579,7 @@ export class BackgroundParallax {
 
             // Petals
             const fx = x + sway;
-            ctx.fillStyle = this.hexToRgba(flower.color, 0.8 * dimFactor);
+            ctx.fillStyle = this.theme.meadowPetal(MEADOW_PETALS.indexOf(flower.color), 0.8 * dimFactor);
 
             for (let i = 0; i < flower.petals; i++) {
                 const angle = (i / flower.petals) * Math.PI * 2;
@@ -589,7 +591,7 @@ export class BackgroundParallax {
             }
 
             // Center
-            ctx.fillStyle = `rgba(255, 215, 90, ${0.75 * dimFactor})`;
+            ctx.fillStyle = this.theme.color('meadowCenter', 0.75 * dimFactor);
             ctx.beginPath();
             ctx.arc(fx, y, size * 0.1, 0, Math.PI * 2);
             ctx.fill();
@@ -600,8 +602,11 @@ export class BackgroundParallax {
         const ctx = this.ctx;
         const baseY = this.height;
         const darkness = this.getDarkness();
+        const share = this.quality.tier.background;
+
+        this.grasses.forEach((grass, i) => {
+            if (!isDrawn(i, share)) return;
 
-        this.grasses.forEach(grass => {
             const sway = Math.sin(this.time * 1.1 + grass.phase) * 0.08;
             const x = grass.nx * this.width + this.offsetX * 0.1 * 30;
             const h = grass.height * this.height;
@@ -610,7 +615,7 @@ export class BackgroundParallax {
             const dimFactor = 1 - darkness * 0.3;
             const lit = grass.lightness * dimFactor;
 
-            ctx.strokeStyle = `hsl(${grass.hue}, ${grass.saturation}%, ${lit}%)`;
+            ctx.strokeStyle = this.theme.land(grass.hue, grass.saturation, lit);
             ctx.lineWidth = grass.thickness;
             ctx.lineCap = 'round';
 
@@ -628,29 +633,23 @@ export class BackgroundParallax {
         const ctx = this.ctx;
         const alpha = Math.min(1, (darkness - 0.45) / 0.35);
 
+        const color = this.theme.rgb('meadowFirefly');
+        const halo = this.theme.rgb('meadowFireflyHalo');
+        const core = this.theme.rgb('meadowFireflyCore');
+
         this.fireflies.forEach(ff => {
             const glow = Math.sin(ff.glowPhase) * 0.5 + 0.5;
             const x = ff.nx * this.width + this.offsetX * 0.08 * 25;
-            const y = ff.ny * this.height;
-
-            const grad = ctx.createRadialGradient(x, y, 0, x, y, 7);
-            grad.addColorStop(0, `rgba(255, 255, 140, ${alpha * glow * 0.75})`);
-            grad.addColorStop(0.6, `rgba(180, 255, 90, ${alpha * glow * 0.25})`);
-            grad.addColorStop(1, 'rgba(180, 255, 90, 0)');
-
-            ctx.fillStyle = grad;
-            ctx.beginPath();
-            ctx.arc(x, y, 7, 0, Math.PI * 2);
-            ctx.fill();
+            const y = this.yAt(ff.ny);
 
-            ctx.fillStyle = `rgba(255, 255, 180, ${alpha * glow})`;
-            ctx.beginPath();
-            ctx.arc(x, y, 1.5, 0, Math.PI * 2);
-            ctx.fill();
+            this.renderer.glow(ctx, x, y, 7, color, alpha * glow * 0.75, 0.6, 1 / 3, halo);
+            this.renderer.dot(ctx, x, y, 1.5, core, alpha * glow);
         });
     }
 
     drawVolumetricLight(flowerX, flowerY) {
+        if (!this.quality.tier.glow) return;
+
         const ctx = this.ctx;
         const darkness = this.getDarkness();
         const alpha = 0.055 * (1 - darkness * 0.7);
@@ -660,47 +659,110 @@ export class BackgroundParallax {
         const y = (flowerY || this.height * 0.5) - this.height * 0.08;
         const radius = Math.min(this.width, this.height) * 0.5;
 
-        const grad = ctx.createRadialGradient(x, y, 0, x, y, radius);
-        grad.addColorStop(0, `rgba(255, 252, 235, ${alpha})`);
-        grad.addColorStop(0.45, `rgba(255, 248, 215, ${alpha * 0.45})`);
-        grad.addColorStop(1, 'rgba(255, 248, 215, 0)');
-
-        ctx.fillStyle = grad;
-        ctx.fillRect(0, 0, this.width, this.height);
+        this.renderer.glow(ctx, x, y, radius, this.theme.rgb('light'), alpha, 0.45, 0.45, this.theme.rgb('lightEdge'));
     }
 
     // ═══════════════════════════════════════════════════════
-    // UTILITIES
+    // SERIALIZATION
     // ═══════════════════════════════════════════════════════
 
-    lerpColor(color1, color2, t) {
-        const c1 = this.hexToRgb(color1);
-        const c2 = this.hexToRgb(color2);
-
-        const r = Math.round(Utils.lerp(c1.r, c2.r, t));
-        const g = Math.round(Utils.lerp(c1.g, c2.g, t));
-        const b = Math.round(Utils.lerp(c1.b, c2.b, t));
-
-        return `rgb(${r}, ${g}, ${b})`;
+    // The seed comes along so that a later resize adds the same elements it
+    // would have added before the snapshot
+    serialize() {
+        return {
+            ...Utils.pickState(this, BACKGROUND_STATE),
+            seed: this.random.initialSeed
+        };
     }
 
-    hexToRgb(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16)
-        } : { r: 0, g: 0, b: 0 };
+    deserialize(state) {
+        Utils.assignState(this, state, BACKGROUND_STATE);
+        if (state.seed !== undefined) this.random.seed(state.seed);
+        if (this.cache) this.cache.clear();
     }
+}
 
-    hexToRgba(hex, alpha) {
-        if (typeof hex === 'string' && hex.startsWith('rgb')) {
-            const match = hex.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-            if (match) {
-                return `rgba(${match[1]}, ${match[2]}, ${match[3]}, ${alpha})`;
-            }
+// One element of each generated list from its own stream (see fit()); positions
+// and sizes are fractions of the view
+const MAKERS = {
+    stars: (random) => ({
+        x: random.next(),
+        y: random.next() * 0.45,
+        size: random.range(0.5, 1.8),
+        twinklePhase: random.range(0, Math.PI * 2),
+        twinkleSpeed: random.range(1.5, 3.5)
+    }),
+
+    // Fluffy cloud from several overlapping puffs
+    clouds: (random) => {
+        const puffs = [];
+        const puffCount = random.int(4, 7);
+        const baseWidth = random.range(0.08, 0.14);
+
+        for (let j = 0; j < puffCount; j++) {
+            puffs.push({
+                offsetX: (j - puffCount / 2) * baseWidth * 0.5,
+                offsetY: Math.sin(j * 1.2) * 0.008,
+                radius: baseWidth * (0.25 + random.next() * 0.2)
+            });
         }
-        const rgb = this.hexToRgb(hex);
-        return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${alpha})`;
-    }
-}
+
+        return {
+            x: random.range(-0.1, 1.1),
+            y: random.range(0.06, 0.18),
+            puffs: puffs,
+            speed: random.range(0.003, 0.007),
+            opacity: random.range(0.65, 0.9)
+        };
+    },
+
+    trees: (random) => {
+        const depth = random.range(0, 1);
+        return {
+            nx: random.range(0, 1),
+            height: random.range(0.06, 0.1) * (1 - depth * 0.3),
+            width: random.range(0.025, 0.045) * (1 - depth * 0.3),
+            type: random.int(0, 4),
+            parallax: 0.015 + depth * 0.03,
+            swayPhase: random.range(0, Math.PI * 2),
+            opacity: 0.3 + depth * 0.25
+        };
+    },
+
+    bushes: (random) => ({
+        nx: random.range(0, 1),
+        ny: random.range(0.78, 0.85),
+        width: random.range(0.025, 0.05),
+        height: random.range(0.015, 0.028),
+        hue: random.range(90, 125),
+        swayPhase: random.range(0, Math.PI * 2)
+    }),
+
+    flowers: (random) => ({
+        nx: random.range(0, 1),
+        ny: random.range(0.83, 0.94),
+        size: random.range(0.006, 0.012),
+        color: MEADOW_PETALS[random.int(0, 5)],
+        swayPhase: random.range(0, Math.PI * 2),
+        stemHeight: random.range(0.02, 0.04),
+        petals: random.int(4, 7)
+    }),
+
+    grasses: (random) => ({
+        nx: random.range(0, 1),
+        height: random.range(0.04, 0.08),
+        thickness: random.range(1.2, 2),
+        phase: random.range(0, Math.PI * 2),
+        hue: random.range(85, 120),
+        saturation: random.range(40, 55),
+        lightness: random.range(40, 52)
+    }),
+
+    fireflies: (random) => ({
+        nx: random.range(0, 1),
+        ny: random.range(0.5, 0.88),
+        phase: random.range(0, Math.PI * 2),
+        speed: random.range(0.02, 0.04),
+        glowPhase: random.range(0, Math.PI * 2)
+    })
+};
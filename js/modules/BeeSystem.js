@@ -1,34 +1,57 @@
 /**
  * BeeSystem Module
- * Animated bees that visit the flower every 10 seconds
- * Follow flower when user moves it, leave after 10 seconds
+ * Animated bees that visit a flower every 10 seconds
+ * Follow flower when user moves it, leave after 10 seconds.
+ * With several flowers (Garden) each visit picks one of them
  */
 
-import { Utils } from '../config.js';
+import { PHYSICS, Utils, Random } from '../config.js';
+import { EventBus } from './EventBus.js';
+import { ThemeManager } from './ThemeManager.js';
+
+// Fields captured by serialize()
+const BEE_STATE = [
+    'bees', 'flowers', 'lastVisitTime', 'time'
+];
+
+// Reduced motion: seconds for a bee to fade in at the flower / fade out again
+const BEE_FADE_TIME = 1.5;
 
 export class BeeSystem {
-    constructor(ctx, width, height) {
+    constructor(ctx, width, height, options = {}) {
         this.ctx = ctx;
         this.width = width;
         this.height = height;
 
+        // Own random stream so visits replay identically for a given seed
+        this.random = options.random || Random.fork('bees');
+        this.events = options.events || new EventBus();
+        this.theme = options.theme || new ThemeManager();
+
         // Bee pool
         this.bees = [];
         this.maxBees = 4;
 
-        // Flower target
-        this.flowerX = width / 2;
-        this.flowerY = height / 2;
+        // Flower heads to visit ({ id, x, y }); each bee keeps the id of its own
+        this.flowers = [{ id: 0, x: width / 2, y: height / 2 }];
 
         // Timing
         this.visitInterval = 10000; // 10 seconds
         this.lastVisitTime = 0;
         this.time = 0;
 
+        // Reduced motion: bees appear and vanish at the flower instead of flying
+        this.calm = false;
+
         // Initialize bees off-screen
         this.initBees();
     }
 
+    // Called when a bee reaches a flower: (index, x, y, flower); returns an unsubscribe function
+    onVisit(callback) {
+        return this.events.on('bee:arrive', ({ bee, x, y, flower }) => callback(bee, x, y, flower));
+    }
+
     initBees() {
         this.bees = [];
 
@@ -58,20 +81,22 @@ export class BeeSystem {
             velocityY: 0,
 
             // Visual
-            wingPhase: Utils.randomRange(0, Math.PI * 2),
-            bobPhase: Utils.randomRange(0, Math.PI * 2),
-            size: Utils.randomRange(6, 10),
+            wingPhase: this.random.range(0, Math.PI * 2),
+            bobPhase: this.random.range(0, Math.PI * 2),
+            size: this.random.range(6, 10),
             rotation: 0,
+            fade: 1,
 
             // State
             state: 'idle', // idle, approaching, hovering, leaving
+            flower: 0,
             hoverTime: 0,
-            hoverDuration: Utils.randomRange(3000, 6000),
-            hoverOffset: { x: Utils.randomRange(-30, 30), y: Utils.randomRange(-20, 20) },
+            hoverDuration: this.random.range(3000, 6000),
+            hoverOffset: { x: this.random.range(-30, 30), y: this.random.range(-20, 20) },
 
             // Physics
-            maxSpeed: Utils.randomRange(0.2, 0.4),
-            acceleration: Utils.randomRange(0.005, 0.01),
+            maxSpeed: this.random.range(0.2, 0.4) * PHYSICS.beeSpeed,
+            acceleration: this.random.range(0.005, 0.01),
             wanderAngle: 0
         };
     }
@@ -81,9 +106,48 @@ export class BeeSystem {
         this.height = height;
     }
 
+    setReducedMotion(reduced) {
+        this.calm = reduced;
+    }
+
+    // Bees currently visiting (not idle off-screen), by index
+    getVisitors() {
+        return this.bees
+            .map((bee, index) => (bee.state === 'idle' ? -1 : index))
+            .filter(index => index >= 0);
+    }
+
+    getBeePosition(index) {
+        const bee = this.bees[index];
+        if (!bee) return null;
+        return { x: bee.x, y: bee.y + Math.sin(bee.bobPhase) * 2, radius: bee.size + 6 };
+    }
+
+    // Keyboard touch: a hovering bee moves to another spot around the flower
+    nudge(index) {
+        const bee = this.bees[index];
+        if (!bee || bee.state !== 'hovering') return;
+
+        bee.hoverOffset = {
+            x: this.random.range(-25, 25),
+            y: this.random.range(-20, 15)
+        };
+        this.events.emit('bee:nudge', { bee: index, x: bee.x, y: bee.y });
+    }
+
     updateFlowerPosition(x, y) {
-        this.flowerX = x;
-        this.flowerY = y;
+        this.updateFlowers([{ id: 0, x, y }]);
+    }
+
+    // Current flower heads ({ id, x, y }, see Garden.getHeads()); bees whose
+    // flower is gone fly off (see updateBee)
+    updateFlowers(flowers) {
+        if (flowers.length > 0) this.flowers = flowers;
+    }
+
+    // Head of the flower `bee` is visiting, or null once that flower is gone
+    getTarget(bee) {
+        return this.flowers.find(flower => flower.id === bee.flower) || null;
     }
 
     update(deltaTime) {
@@ -104,13 +168,15 @@ export class BeeSystem {
         const idleBees = this.bees.filter(b => b.state === 'idle');
 
         if (idleBees.length > 0) {
-            const bee = idleBees[Math.floor(Math.random() * idleBees.length)];
+            const bee = idleBees[Math.floor(this.random.next() * idleBees.length)];
             bee.state = 'approaching';
+            bee.flower = this.flowers[this.flowers.length > 1 ? this.random.int(0, this.flowers.length - 1) : 0].id;
             bee.hoverOffset = {
-                x: Utils.randomRange(-25, 25),
-                y: Utils.randomRange(-20, 15)
+                x: this.random.range(-25, 25),
+                y: this.random.range(-20, 15)
             };
-            bee.hoverDuration = Utils.randomRange(4000, 7000); // 4-7 seconds hover
+            bee.hoverDuration = this.random.range(4000, 7000); // 4-7 seconds hover
+            bee.fade = this.calm ? 0 : 1;
         }
     }
 
@@ -121,10 +187,18 @@ export class BeeSystem {
         bee.wingPhase += dt * 40;
         bee.bobPhase += dt * 3;
 
+        // Switched back from calm mid-fade: show the bee again
+        if (!this.calm) bee.fade = 1;
+
+        // Its flower is gone (restore): fly off rather than visit another one
+        if ((bee.state === 'approaching' || bee.state === 'hovering') && !this.getTarget(bee)) {
+            this.leave(bee);
+        }
+
         switch (bee.state) {
             case 'idle':
                 // Wander off-screen
-                this.updateIdleBee(bee, dt);
+                this.updateIdleBee(bee, dt, deltaTime);
                 break;
 
             case 'approaching':
@@ -146,15 +220,15 @@ export class BeeSystem {
         }
     }
 
-    updateIdleBee(bee, dt) {
+    updateIdleBee(bee, dt, deltaTime) {
         // Gentle wandering off-screen
-        bee.wanderAngle += (Math.random() - 0.5) * 2 * dt;
+        bee.wanderAngle += (this.random.next() - 0.5) * 2 * dt;
 
         const wanderX = Math.cos(bee.wanderAngle) * 0.05;
         const wanderY = Math.sin(bee.wanderAngle) * 0.05;
 
-        bee.velocityX = Utils.lerp(bee.velocityX, wanderX, 0.02);
-        bee.velocityY = Utils.lerp(bee.velocityY, wanderY, 0.02);
+        bee.velocityX = Utils.damp(bee.velocityX, wanderX, 0.02, deltaTime);
+        bee.velocityY = Utils.damp(bee.velocityY, wanderY, 0.02, deltaTime);
 
         bee.x += bee.velocityX * dt * 60;
         bee.y += bee.velocityY * dt * 60;
@@ -162,17 +236,27 @@ export class BeeSystem {
 
     updateApproachingBee(bee, dt) {
         // Target: flower + hover offset
-        const targetX = this.flowerX + bee.hoverOffset.x;
-        const targetY = this.flowerY + bee.hoverOffset.y - 40; // Above flower
+        const flower = this.getTarget(bee);
+        const targetX = flower.x + bee.hoverOffset.x;
+        const targetY = flower.y + bee.hoverOffset.y - 40; // Above flower
+
+        // Calm: fade in on the spot
+        if (this.calm) {
+            bee.x = targetX;
+            bee.y = targetY;
+            bee.velocityX = 0;
+            bee.velocityY = 0;
+            bee.fade = Math.min(1, (bee.fade ?? 1) + dt / BEE_FADE_TIME);
+            if (bee.fade >= 1) this.arrive(bee);
+            return;
+        }
 
         const dx = targetX - bee.x;
         const dy = targetY - bee.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
 
         if (distance < 15) {
-            // Arrived at flower
-            bee.state = 'hovering';
-            bee.hoverTime = 0;
+            this.arrive(bee);
             return;
         }
 
@@ -190,12 +274,20 @@ export class BeeSystem {
         bee.y += bee.velocityY * dt * 60;
     }
 
+    arrive(bee) {
+        bee.state = 'hovering';
+        bee.hoverTime = 0;
+
+        this.events.emit('bee:arrive', { bee: this.bees.indexOf(bee), x: bee.x, y: bee.y, flower: bee.flower });
+    }
+
     updateHoveringBee(bee, dt, deltaTime) {
         bee.hoverTime += deltaTime;
 
         // Hover around the flower, following if it moves
-        const targetX = this.flowerX + bee.hoverOffset.x;
-        const targetY = this.flowerY + bee.hoverOffset.y - 35;
+        const flower = this.getTarget(bee);
+        const targetX = flower.x + bee.hoverOffset.x;
+        const targetY = flower.y + bee.hoverOffset.y - 35;
 
         // Gentle orbiting/bobbing
         const orbitX = Math.cos(this.time * 0.002 + bee.bobPhase) * 8;
@@ -204,32 +296,44 @@ export class BeeSystem {
         const dx = (targetX + orbitX) - bee.x;
         const dy = (targetY + orbitY) - bee.y;
 
-        bee.velocityX = Utils.lerp(bee.velocityX, dx * 0.05, 0.1);
-        bee.velocityY = Utils.lerp(bee.velocityY, dy * 0.05, 0.1);
+        bee.velocityX = Utils.damp(bee.velocityX, dx * 0.05, 0.1, deltaTime);
+        bee.velocityY = Utils.damp(bee.velocityY, dy * 0.05, 0.1, deltaTime);
 
         bee.x += bee.velocityX * dt * 60;
         bee.y += bee.velocityY * dt * 60;
 
         // Leave after hover duration
-        if (bee.hoverTime > bee.hoverDuration) {
-            bee.state = 'leaving';
-            // Pick exit direction
-            bee.targetX = bee.x + (Math.random() > 0.5 ? 1 : -1) * (this.width + 100);
-            bee.targetY = Utils.randomRange(-50, this.height * 0.4);
+        if (bee.hoverTime > bee.hoverDuration) this.leave(bee);
+    }
+
+    // Head off-screen; only a bee that arrived announces it (bee:depart)
+    leave(bee) {
+        if (bee.state === 'hovering') {
+            this.events.emit('bee:depart', { bee: this.bees.indexOf(bee), x: bee.x, y: bee.y, flower: bee.flower });
         }
+        bee.state = 'leaving';
+
+        // Pick exit direction
+        bee.targetX = bee.x + (this.random.next() > 0.5 ? 1 : -1) * (this.width + 100);
+        bee.targetY = this.random.range(-50, this.height * 0.4);
     }
 
     updateLeavingBee(bee, dt) {
+        // Calm: fade out where it hovers, then go back off-screen unseen
+        if (this.calm) {
+            bee.velocityX = 0;
+            bee.velocityY = 0;
+            bee.fade = Math.max(0, (bee.fade ?? 1) - dt / BEE_FADE_TIME);
+            if (bee.fade <= 0) this.resetBee(bee);
+            return;
+        }
+
         const dx = bee.targetX - bee.x;
         const dy = bee.targetY - bee.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
 
         if (distance < 20 || bee.x < -60 || bee.x > this.width + 60 || bee.y < -60) {
-            // Reset bee to idle position
-            bee.state = 'idle';
-            bee.x = bee.targetX;
-            bee.y = bee.targetY;
-            bee.hoverDuration = Utils.randomRange(3000, 6000);
+            this.resetBee(bee);
             return;
         }
 
@@ -243,6 +347,15 @@ export class BeeSystem {
         bee.y += bee.velocityY * dt * 60;
     }
 
+    // Back to an idle position off-screen
+    resetBee(bee) {
+        bee.state = 'idle';
+        bee.x = bee.targetX;
+        bee.y = bee.targetY;
+        bee.fade = 1;
+        bee.hoverDuration = this.random.range(3000, 6000);
+    }
+
     draw() {
         this.bees.forEach(bee => this.drawBee(bee));
     }
@@ -259,6 +372,7 @@ export class BeeSystem {
         const y = bee.y + bob;
 
         ctx.save();
+        ctx.globalAlpha = bee.fade ?? 1;
         ctx.translate(x, y);
         ctx.rotate(bee.rotation);
 
@@ -267,7 +381,7 @@ export class BeeSystem {
         // Wings (animated)
         const wingAngle = Math.sin(bee.wingPhase) * 0.4;
 
-        ctx.fillStyle = 'rgba(200, 220, 255, 0.6)';
+        ctx.fillStyle = this.theme.color('beeWings', 0.6);
 
         // Top wings
         ctx.save();
@@ -285,13 +399,14 @@ export class BeeSystem {
         ctx.restore();
 
         // Body
-        ctx.fillStyle = '#2a2a2a';
+        ctx.fillStyle = this.theme.color('beeBody');
         ctx.beginPath();
         ctx.ellipse(0, 0, size * 0.5, size * 0.35, 0, 0, Math.PI * 2);
         ctx.fill();
+        this.theme.outline(ctx, 1.2);
 
         // Stripes
-        ctx.fillStyle = '#f0c040';
+        ctx.fillStyle = this.theme.color('beeStripe');
         ctx.beginPath();
         ctx.ellipse(size * 0.1, 0, size * 0.15, size * 0.3, 0, 0, Math.PI * 2);
         ctx.fill();
@@ -300,13 +415,14 @@ export class BeeSystem {
         ctx.fill();
 
         // Head
-        ctx.fillStyle = '#3a3a3a';
+        ctx.fillStyle = this.theme.color('beeHead');
         ctx.beginPath();
         ctx.arc(size * 0.5, 0, size * 0.22, 0, Math.PI * 2);
         ctx.fill();
+        this.theme.outline(ctx, 1.2);
 
         // Eyes
-        ctx.fillStyle = '#ffffff';
+        ctx.fillStyle = this.theme.color('beeEye');
         ctx.beginPath();
         ctx.arc(size * 0.55, -size * 0.08, size * 0.06, 0, Math.PI * 2);
         ctx.fill();
@@ -316,4 +432,20 @@ export class BeeSystem {
 
         ctx.restore();
     }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return {
+            ...Utils.pickState(this, BEE_STATE),
+            random: this.random.state
+        };
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, BEE_STATE);
+        this.random.state = state.random;
+    }
 }
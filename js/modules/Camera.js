@@ -0,0 +1,220 @@
+/**
+ * Camera Module
+ * The scene's coordinate spaces and the zoom between them:
+ *   world  - where modules lay out, hit-test and draw (flower, petals, bees, particles)
+ *   screen - CSS pixels from the canvas' top-left corner (pointer positions)
+ *   device - backing-store pixels (screen times the pixel ratio)
+ * At zoom 1 world and screen are the same. Zooming in scales the world around an
+ * anchor (the flower head, or a focus() target) and eases that anchor toward the
+ * middle of the view; the view never leaves the world rectangle
+ */
+
+import { Utils } from '../config.js';
+import { EventBus } from './EventBus.js';
+
+// Zoom range; at CENTERED_ZOOM the anchor sits in the middle of the view
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 3;
+const CENTERED_ZOOM = 2;
+
+// Keyboard step, and wheel zoom per pixel scrolled
+const ZOOM_STEP = 1.25;
+const WHEEL_ZOOM = 0.0015;
+
+// Per-frame easing toward the target zoom and anchor
+const EASE = 0.12;
+
+// Fields captured by serialize()
+const CAMERA_STATE = ['zoom', 'targetZoom', 'target', 'anchorX', 'anchorY'];
+
+export class Camera {
+    constructor(options = {}) {
+        this.events = options.events || new EventBus();
+
+        // View size (CSS pixels) and device pixels per CSS pixel
+        this.width = options.width || 0;
+        this.height = options.height || 0;
+        this.pixelRatio = options.pixelRatio || 1;
+
+        // Zooming closes in on `anchor()` ({ x, y } in world space) unless
+        // focus() picked a target
+        this.anchor = options.anchor || null;
+        this.target = null;
+
+        // Eased anchor (null until the first update) and zoom
+        this.anchorX = null;
+        this.anchorY = null;
+        this.zoom = MIN_ZOOM;
+        this.targetZoom = MIN_ZOOM;
+
+        // screen = world * zoom + offset
+        this.offsetX = 0;
+        this.offsetY = 0;
+
+        // Reduced motion: zoom changes jump instead of gliding
+        this.reducedMotion = !!options.reducedMotion;
+    }
+
+    // Zoom target changed: ({ zoom }); returns an unsubscribe function
+    onZoom(callback) {
+        return this.events.on('camera:zoom', callback);
+    }
+
+    // Zoom factor for a wheel event's deltaY (line and page modes scaled to pixels)
+    static wheelFactor(deltaY, deltaMode = 0) {
+        const pixels = deltaY * (deltaMode === 1 ? 16 : deltaMode === 2 ? 400 : 1);
+        return Math.exp(-pixels * WHEEL_ZOOM);
+    }
+
+    // Distance between the first two touches (pinch)
+    static pinchDistance(touches) {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
+    static clampZoom(zoom) {
+        return Utils.clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+    }
+
+    resize(width, height, pixelRatio = this.pixelRatio) {
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.updateOffset();
+    }
+
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // ZOOM & FOCUS
+    // ═══════════════════════════════════════════════════════
+
+    zoomTo(zoom) {
+        const next = Camera.clampZoom(zoom);
+        if (next === this.targetZoom) return;
+
+        this.targetZoom = next;
+        this.events.emit('camera:zoom', { zoom: next });
+    }
+
+    zoomBy(factor) {
+        this.zoomTo(this.targetZoom * factor);
+    }
+
+    zoomIn() {
+        this.zoomBy(ZOOM_STEP);
+    }
+
+    zoomOut() {
+        this.zoomBy(1 / ZOOM_STEP);
+    }
+
+    // Glide to world point `target` ({ x, y }) at `zoom`
+    focus(target, zoom = CENTERED_ZOOM) {
+        this.target = { x: target.x, y: target.y };
+        this.zoomTo(zoom);
+    }
+
+    // Back to the whole scene; zooming in again closes in on the anchor
+    reset() {
+        this.target = null;
+        this.zoomTo(MIN_ZOOM);
+    }
+
+    // Whether a wheel or pinch by `factor` would change anything (at a limit the
+    // page may scroll instead)
+    canZoom(factor) {
+        return Camera.clampZoom(this.targetZoom * factor) !== this.targetZoom;
+    }
+
+    update(deltaTime) {
+        const point = this.target || (this.anchor && this.anchor()) || { x: this.width / 2, y: this.height / 2 };
+        const snap = this.reducedMotion || this.anchorX === null;
+
+        if (snap) {
+            this.anchorX = point.x;
+            this.anchorY = point.y;
+            this.zoom = this.targetZoom;
+        } else {
+            this.anchorX = Utils.damp(this.anchorX, point.x, EASE, deltaTime);
+            this.anchorY = Utils.damp(this.anchorY, point.y, EASE, deltaTime);
+            this.zoom = Utils.damp(this.zoom, this.targetZoom, EASE, deltaTime);
+            if (Math.abs(this.zoom - this.targetZoom) < 0.001) this.zoom = this.targetZoom;
+        }
+
+        this.updateOffset();
+    }
+
+    // Zoom around the anchor while moving it toward the middle of the view,
+    // kept inside the world rectangle
+    updateOffset() {
+        if (this.anchorX === null) return;
+
+        const zoom = this.zoom;
+        const t = Utils.clamp((zoom - MIN_ZOOM) / (CENTERED_ZOOM - MIN_ZOOM), 0, 1);
+        const x = Utils.lerp(this.anchorX, this.width / 2, t) - this.anchorX * zoom;
+        const y = Utils.lerp(this.anchorY, this.height / 2, t) - this.anchorY * zoom;
+
+        this.offsetX = Utils.clamp(x, this.width * (1 - zoom), 0);
+        this.offsetY = Utils.clamp(y, this.height * (1 - zoom), 0);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SPACES
+    // ═══════════════════════════════════════════════════════
+
+    worldToScreen(x, y) {
+        return { x: x * this.zoom + this.offsetX, y: y * this.zoom + this.offsetY };
+    }
+
+    screenToWorld(x, y) {
+        return { x: (x - this.offsetX) / this.zoom, y: (y - this.offsetY) / this.zoom };
+    }
+
+    screenToDevice(x, y) {
+        return { x: x * this.pixelRatio, y: y * this.pixelRatio };
+    }
+
+    deviceToScreen(x, y) {
+        return { x: x / this.pixelRatio, y: y / this.pixelRatio };
+    }
+
+    // Viewport coordinates (clientX/Y) over the canvas' bounding rect -> screen.
+    // Scales by CSS size only, so the backing store's pixel ratio never leaks in
+    clientToScreen(clientX, clientY, rect) {
+        const scaleX = rect.width ? (this.width || rect.width) / rect.width : 1;
+        const scaleY = rect.height ? (this.height || rect.height) / rect.height : 1;
+
+        return { x: (clientX - rect.left) * scaleX, y: (clientY - rect.top) * scaleY };
+    }
+
+    // World point in the middle of the view
+    getCenter() {
+        return this.screenToWorld(this.width / 2, this.height / 2);
+    }
+
+    // ctx draws in world space from here (zoom, pan and pixel ratio)
+    apply(ctx) {
+        const scale = this.pixelRatio * this.zoom;
+        ctx.setTransform(scale, 0, 0, scale, this.offsetX * this.pixelRatio, this.offsetY * this.pixelRatio);
+    }
+
+    // ctx draws in screen space from here (pixel ratio only)
+    applyScreen(ctx) {
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return Utils.pickState(this, CAMERA_STATE);
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, CAMERA_STATE);
+        this.updateOffset();
+    }
+}
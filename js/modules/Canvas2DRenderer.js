@@ -0,0 +1,130 @@
+/**
+ * Canvas2DRenderer Module
+ * The renderer interface the scene's glowing and many-instance shapes are drawn
+ * through: petals, dots and radial glows. This backend draws them straight onto
+ * the 2D context and is the fallback for WebGLRenderer. Colors are [r, g, b]
+ * (0-255), positions and sizes in the context's current (scene) coordinates
+ */
+
+import { Utils } from '../config.js';
+import { ThemeManager } from './ThemeManager.js';
+import { QualityGovernor } from './QualityGovernor.js';
+
+const TAU = Math.PI * 2;
+
+export class Canvas2DRenderer {
+    constructor(options = {}) {
+        this.name = 'canvas';
+
+        // Petal outline, vein and hover colors; petal detail and glow per tier
+        this.theme = options.theme || new ThemeManager();
+        this.quality = options.quality || new QualityGovernor();
+    }
+
+    // Solid disc
+    dot(ctx, x, y, radius, rgb, alpha) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, TAU);
+        ctx.fillStyle = Utils.rgba(rgb, alpha);
+        ctx.fill();
+    }
+
+    // Radial falloff: `alpha` in the middle, `alpha * midAlpha` at `mid` (0-1 of the
+    // radius), clear at the edge. The color turns into `edge` on the way to `mid`
+    glow(ctx, x, y, radius, rgb, alpha, mid = 0.5, midAlpha = 0.3, edge = rgb) {
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, Utils.rgba(rgb, alpha));
+        gradient.addColorStop(mid, Utils.rgba(edge, alpha * midAlpha));
+        gradient.addColorStop(1, Utils.rgba(edge, 0));
+
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, TAU);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+    }
+
+    // Petal from its base at (x, y) pointing along `angle`.
+    // look: { hue, sat, lit, highlight, shape, base } (HSL of the body, hover glow 0-1,
+    // half-width at 0.3 and 0.7 of the length as fractions of `width`, HSL shift at the base)
+    petal(ctx, x, y, angle, length, width, look) {
+        const { hue, sat, lit, highlight } = look;
+        const [belly, shoulder] = look.shape;
+        const [baseHue, baseSat, baseLit] = look.base;
+        const { petalDetail, glow } = this.quality.tier;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+
+        // Petal shape
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+
+        // Create petal with bezier curves
+        ctx.bezierCurveTo(
+            length * 0.3, -width * belly,
+            length * 0.7, -width * shoulder,
+            length, 0
+        );
+        ctx.bezierCurveTo(
+            length * 0.7, width * shoulder,
+            length * 0.3, width * belly,
+            0, 0
+        );
+
+        // Gradient fill for translucent effect (flat on lower quality tiers)
+        if (petalDetail) {
+            const gradient = ctx.createLinearGradient(0, 0, length, 0);
+            gradient.addColorStop(0, `hsl(${hue + baseHue}, ${sat + baseSat}%, ${lit + baseLit}%)`);
+            gradient.addColorStop(0.3, `hsl(${hue}, ${sat}%, ${lit}%)`);
+            gradient.addColorStop(0.7, `hsl(${hue}, ${sat}%, ${lit}%)`);
+            gradient.addColorStop(1, `hsl(${hue}, ${sat + 5}%, ${lit - 2}%)`);
+            ctx.fillStyle = gradient;
+        } else {
+            ctx.fillStyle = `hsl(${hue}, ${sat}%, ${lit}%)`;
+        }
+
+        ctx.fill();
+        this.theme.outline(ctx, 1.2);
+
+        // Subtle shadow
+        if (glow) {
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.05)';
+            ctx.shadowBlur = 3;
+            ctx.shadowOffsetY = 2;
+        }
+
+        // Edge glow on hover
+        if (highlight > 0.01) {
+            ctx.strokeStyle = this.theme.color('petalGlow', highlight);
+            ctx.lineWidth = 2;
+            ctx.stroke();
+
+            // Outer glow
+            if (glow) {
+                ctx.shadowColor = this.theme.color('glow', highlight * 0.5);
+                ctx.shadowBlur = 10;
+                ctx.stroke();
+            }
+        }
+
+        // Petal vein (subtle)
+        if (petalDetail) {
+            ctx.beginPath();
+            ctx.moveTo(length * 0.1, 0);
+            ctx.lineTo(length * 0.85, 0);
+            ctx.strokeStyle = this.theme.color('petalVein', 0.2);
+            ctx.lineWidth = 0.5;
+            ctx.shadowBlur = 0;
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    // Shapes are drawn as they come; call before drawing on `ctx` directly so
+    // queued shapes of a batching backend stay underneath
+    flush(ctx) {}
+
+    destroy() {}
+}
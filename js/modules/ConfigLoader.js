@@ -0,0 +1,258 @@
+/**
+ * ConfigLoader Module
+ * Overrides for COLORS, TIMING, PHYSICS and AUDIO without touching config.js.
+ * Sources, later ones win:
+ *
+ *   1. daisy.config.json next to the page        { "PHYSICS": { "petalCount": 12 } }
+ *   2. <script type="application/json" id="daisy-config"> with the same shape
+ *   3. URL params                                 ?PHYSICS.petalCount=12&TIMING.stageB.start=800
+ *
+ * Values are checked against the shape of the built-in config; unknown keys and
+ * bad values are skipped with a warning. Load before creating a scene: modules
+ * read these objects when they build the flower.
+ */
+
+import { COLORS, TIMING, PHYSICS, AUDIO } from '../config.js';
+
+const SECTIONS = { COLORS, TIMING, PHYSICS, AUDIO };
+
+// Built-in values: the schema every override is checked against, and what resetConfig() restores
+const DEFAULTS = JSON.parse(JSON.stringify(SECTIONS));
+
+// Limits beyond "a finite number >= 0"
+const CONFIG_RULES = {
+    'PHYSICS.petalCount': { min: 3, max: 120, integer: true },
+    'PHYSICS.maxDustParticles': { max: 500, integer: true },
+    'PHYSICS.maxPollenParticles': { max: 500, integer: true },
+    'PHYSICS.maxBokehParticles': { max: 500, integer: true },
+    'PHYSICS.maxFireflies': { max: 100, integer: true },
+    'PHYSICS.stemDamping': { max: 1 },
+    'PHYSICS.petalReboundDamping': { max: 1 },
+    'PHYSICS.pollenDissipateSpeed': { max: 1 },
+    'AUDIO.masterVolume': { max: 1 },
+    'AUDIO.bpm': { min: 20, max: 300 }
+};
+
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|rgba|hsl|hsla)\(.+\))$/i;
+
+// Merge `overrides` ({ SECTION: { key: value } }) into the live config.
+// Returns the readable warnings (also logged) for everything that was skipped
+export const applyConfig = (overrides, source = 'config') => {
+    const warnings = [];
+    const warn = (message) => warnings.push(`Daisy ${source}: ${message}`);
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        warn('expected an object like { "PHYSICS": { "petalCount": 12 } }');
+    } else {
+        Object.entries(overrides).forEach(([name, values]) => {
+            const section = findKey(DEFAULTS, name);
+            if (!section) {
+                warn(`unknown section "${name}"${suggest(name, Object.keys(DEFAULTS))} (sections: ${Object.keys(DEFAULTS).join(', ')})`);
+                return;
+            }
+            mergeSection(SECTIONS[section], DEFAULTS[section], values, section, warn);
+        });
+    }
+
+    warnings.forEach(message => console.warn(message));
+    return warnings;
+};
+
+// Put every section back to the built-in values
+export const resetConfig = () => {
+    Object.keys(SECTIONS).forEach(section => {
+        const target = SECTIONS[section];
+        Object.keys(target).forEach(key => delete target[key]);
+        Object.assign(target, JSON.parse(JSON.stringify(DEFAULTS[section])));
+    });
+};
+
+// Read all three sources and apply them in order. Resolves to { warnings }
+export const loadConfig = async (options = {}) => {
+    const url = options.url === undefined ? 'daisy.config.json' : options.url;
+    const search = options.search ?? (typeof location !== 'undefined' ? location.search : '');
+    const scriptId = options.scriptId || 'daisy-config';
+
+    const warnings = [];
+
+    if (url) {
+        const fromFile = await fetchConfig(url, warnings);
+        if (fromFile) warnings.push(...applyConfig(fromFile, url));
+    }
+
+    const script = typeof document !== 'undefined' ? document.getElementById(scriptId) : null;
+    if (script) {
+        try {
+            warnings.push(...applyConfig(JSON.parse(script.textContent), `#${scriptId}`));
+        } catch (e) {
+            warnings.push(report(`Daisy #${scriptId}: invalid JSON (${e.message})`));
+        }
+    }
+
+    if (search) warnings.push(...applyConfig(parseParams(search), 'URL'));
+
+    return { warnings };
+};
+
+// ═══════════════════════════════════════════════════════
+// SOURCES
+// ═══════════════════════════════════════════════════════
+
+// The file is optional: a missing file is not an error, a broken one is
+const fetchConfig = async (url, warnings) => {
+    if (typeof fetch === 'undefined') return null;
+
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (e) {
+        return null;
+    }
+    if (!response.ok) return null;
+
+    try {
+        return await response.json();
+    } catch (e) {
+        warnings.push(report(`Daisy ${url}: invalid JSON (${e.message})`));
+        return null;
+    }
+};
+
+// ?PHYSICS.petalCount=12 -> { PHYSICS: { petalCount: '12' } }; params without a dot (seed, ...) are
+// ignored, dotted ones under an unknown section (?PHYSIC.petalCount) are kept so applyConfig warns.
+// Strings are converted against the schema when merged
+const parseParams = (search) => {
+    const overrides = {};
+
+    new URLSearchParams(search).forEach((value, param) => {
+        const path = param.split('.');
+        if (path.length < 2) return;
+
+        let node = overrides;
+        path.slice(0, -1).forEach(key => {
+            if (typeof node[key] !== 'object') node[key] = {};
+            node = node[key];
+        });
+        node[path[path.length - 1]] = value;
+    });
+
+    return overrides;
+};
+
+// ═══════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════
+
+const mergeSection = (target, schema, values, path, warn) => {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        warn(`"${path}" must be an object`);
+        return;
+    }
+
+    Object.entries(values).forEach(([name, value]) => {
+        const key = findKey(schema, name);
+        const keyPath = `${path}.${key || name}`;
+
+        if (!key) {
+            warn(`unknown key "${path}.${name}"${suggest(name, Object.keys(schema))}`);
+            return;
+        }
+
+        const expected = schema[key];
+
+        // Nested groups (TIMING.stageA = { start, end })
+        if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+            const merged = { ...target[key] };
+            mergeSection(merged, expected, value, keyPath, warn);
+
+            if ('start' in merged && 'end' in merged && merged.end < merged.start) {
+                warn(`"${keyPath}" ends (${merged.end}) before it starts (${merged.start}); ignored`);
+                return;
+            }
+            target[key] = merged;
+            return;
+        }
+
+        const result = coerce(value, expected, keyPath);
+        if (result.error) {
+            warn(`"${keyPath}" ${result.error}; keeping ${JSON.stringify(target[key])}`);
+            return;
+        }
+        target[key] = result.value;
+    });
+};
+
+// Convert (URL strings) and check one value against its default. Returns { value } or { error }
+const coerce = (value, expected, path) => {
+    if (Array.isArray(expected)) {
+        const list = typeof value === 'string' ? value.split(',') : value;
+        if (!Array.isArray(list) || list.length === 0) return { error: 'must be a non-empty list of numbers' };
+
+        const numbers = list.map(Number);
+        if (numbers.some(n => !Number.isFinite(n))) return { error: `must be a list of numbers, got ${JSON.stringify(value)}` };
+        return { value: numbers };
+    }
+
+    if (typeof expected === 'number') {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            return { error: `must be a number, got ${JSON.stringify(value)}` };
+        }
+
+        const rule = CONFIG_RULES[path] || {};
+        const min = rule.min ?? 0;
+        if (number < min) return { error: `must be at least ${min}, got ${number}` };
+        if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}, got ${number}` };
+        if (rule.integer && !Number.isInteger(number)) return { error: `must be a whole number, got ${number}` };
+        return { value: number };
+    }
+
+    // Colors
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) {
+        return { error: `must be a CSS color (#rrggbb, rgb() or hsl()), got ${JSON.stringify(value)}` };
+    }
+    return { value: value.trim() };
+};
+
+// Keys match case-insensitively (?physics.petalcount=12 works too)
+const findKey = (object, name) => {
+    const lower = String(name).toLowerCase();
+    return Object.keys(object).find(key => key.toLowerCase() === lower);
+};
+
+// ' (did you mean "petalCount"?)' for near misses
+const suggest = (name, candidates) => {
+    const lower = String(name).toLowerCase();
+    let best = null;
+    let bestDistance = 3;
+
+    candidates.forEach(candidate => {
+        const distance = editDistance(lower, candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+
+    return best ? ` (did you mean "${best}"?)` : '';
+};
+
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+const report = (message) => {
+    console.warn(message);
+    return message;
+};
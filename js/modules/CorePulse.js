@@ -1,22 +1,46 @@
 /**
  * CorePulse Module
- * Flower center with micro-texture, breathing pulsation, and shimmer effects
+ * Flower center with micro-texture, breathing pulsation, and shimmer effects.
+ * The texture follows the species: scattered dots or a spiral of florets
  */
 
-import { COLORS, PHYSICS, TIMING, Utils } from '../config.js';
+import { PALETTES, PHYSICS, TIMING, Utils, Random, getSpecies } from '../config.js';
+import { ThemeManager } from './ThemeManager.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { Canvas2DRenderer } from './Canvas2DRenderer.js';
+
+// Fields captured by serialize()
+const CORE_STATE = [
+    'x', 'y', 'radius', 'baseRadius', 'pulsePhase', 'pulseIntensity', 'breathingDepth',
+    'shimmerActive', 'shimmerProgress', 'shimmerParticles', 'glowIntensity', 'targetGlow',
+    'magnetOffset', 'visible', 'fillProgress', 'textureSeeds', 'orbitParticles', 'orbitActive',
+    'pulseResetAt'
+];
+
+// Spiral florets sit this far apart in angle (sunflower phyllotaxis)
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
 
 export class CorePulse {
-    constructor(x, y, radius) {
+    constructor(x, y, radius, options = {}) {
         this.x = x;
         this.y = y;
         this.radius = radius;
         this.baseRadius = radius;
+        this.random = options.random || Random;
+        this.clock = options.clock;
+        this.palette = options.palette || PALETTES.classic;
+        this.theme = options.theme || new ThemeManager();
+        this.quality = options.quality || new QualityGovernor();
+        this.renderer = options.renderer || new Canvas2DRenderer({ theme: this.theme, quality: this.quality });
 
         // Pulsation state
         this.pulsePhase = 0;
         this.pulseIntensity = PHYSICS.centerPulseAmount;
         this.breathingDepth = 1; // Multiplier for breathing
 
+        // Simulated time a click's stronger pulse calms down (null = none pending)
+        this.pulseResetAt = null;
+
         // Shimmer effect
         this.shimmerActive = false;
         this.shimmerProgress = 0;
@@ -26,6 +50,9 @@ export class CorePulse {
         this.glowIntensity = 0;
         this.targetGlow = 0;
 
+        // Reduced motion: no shimmer bursts on click
+        this.reducedMotion = !!options.reducedMotion;
+
         // Magnetism (weak cursor attraction)
         this.magnetOffset = { x: 0, y: 0 };
 
@@ -34,13 +61,14 @@ export class CorePulse {
         this.fillProgress = 0;
 
         // Micro-texture seeds
+        const { texture, dots } = (options.species || getSpecies()).core;
         this.textureSeeds = [];
-        for (let i = 0; i < 50; i++) {
-            this.textureSeeds.push({
-                angle: Utils.randomRange(0, Math.PI * 2),
-                distance: Utils.randomRange(0.2, 0.9),
-                size: Utils.randomRange(1, 3),
-                brightness: Utils.randomRange(0.8, 1.2)
+        for (let i = 0; i < dots; i++) {
+            this.textureSeeds.push(texture === 'spiral' ? this.floret(i, dots) : {
+                angle: this.random.range(0, Math.PI * 2),
+                distance: this.random.range(0.2, 0.9),
+                size: this.random.range(1, 3),
+                brightness: this.random.range(0.8, 1.2)
             });
         }
 
@@ -49,16 +77,38 @@ export class CorePulse {
         this.orbitActive = false;
     }
 
+    // Floret `i` of `count` on the golden-angle spiral, larger toward the rim
+    floret(i, count) {
+        const distance = Math.sqrt((i + 0.5) / count) * 0.92;
+        return {
+            angle: i * GOLDEN_ANGLE,
+            distance,
+            size: 0.8 + distance * 1.6,
+            brightness: this.random.range(0.8, 1.2)
+        };
+    }
+
     updatePosition(x, y) {
         this.x = x;
         this.y = y;
     }
 
+    // New layout (breathing and fill scale from the base radius)
+    setRadius(radius) {
+        this.baseRadius = radius;
+    }
+
     startFill() {
         this.visible = true;
         this.fillProgress = 0;
     }
 
+    // Filled at once (a head rebuilt for another species after the bloom)
+    open() {
+        this.visible = true;
+        this.fillProgress = 1;
+    }
+
     // Check if point is within center
     containsPoint(px, py) {
         if (!this.visible || this.fillProgress < 0.5) return false;
@@ -92,13 +142,13 @@ export class CorePulse {
     triggerClick() {
         this.triggerShimmer();
         this.pulseIntensity = PHYSICS.centerPulseAmount * 2;
-        setTimeout(() => {
-            this.pulseIntensity = PHYSICS.centerPulseAmount;
-        }, 500);
+        this.pulseResetAt = this.clock.now + 500;
     }
 
     // Shimmer effect
     triggerShimmer() {
+        if (this.reducedMotion) return;
+
         this.shimmerActive = true;
         this.shimmerProgress = 0;
 
@@ -124,9 +174,9 @@ export class CorePulse {
         for (let i = 0; i < 6; i++) {
             this.orbitParticles.push({
                 angle: (i / 6) * Math.PI * 2,
-                speed: Utils.randomRange(0.5, 1),
+                speed: this.random.range(0.5, 1),
                 distance: this.radius * 1.2,
-                size: Utils.randomRange(1, 2),
+                size: this.random.range(1, 2),
                 alpha: 0
             });
         }
@@ -142,6 +192,11 @@ export class CorePulse {
     }
 
     update(deltaTime, musicIntensity = 0) {
+        if (this.pulseResetAt !== null && this.clock.now >= this.pulseResetAt) {
+            this.pulseIntensity = PHYSICS.centerPulseAmount;
+            this.pulseResetAt = null;
+        }
+
         if (!this.visible) return;
 
         // Fill animation
@@ -161,18 +216,19 @@ export class CorePulse {
         }
 
         // Glow lerp
-        this.glowIntensity = Utils.lerp(this.glowIntensity, this.targetGlow, 0.1);
+        this.glowIntensity = Utils.damp(this.glowIntensity, this.targetGlow, 0.1, deltaTime);
 
         // Magnetism decay
-        this.magnetOffset.x *= 0.95;
-        this.magnetOffset.y *= 0.95;
+        const magnetDecay = Math.pow(0.95, deltaTime * 0.06);
+        this.magnetOffset.x *= magnetDecay;
+        this.magnetOffset.y *= magnetDecay;
 
         // Shimmer update
         if (this.shimmerActive) {
             this.shimmerProgress += deltaTime / TIMING.shimmerDuration;
 
             this.shimmerParticles.forEach(p => {
-                p.distance = Utils.lerp(p.distance, p.targetDistance, 0.1);
+                p.distance = Utils.damp(p.distance, p.targetDistance, 0.1, deltaTime);
                 p.alpha = 1 - this.shimmerProgress;
             });
 
@@ -186,11 +242,11 @@ export class CorePulse {
         if (this.orbitActive) {
             this.orbitParticles.forEach(p => {
                 p.angle += deltaTime * 0.002 * p.speed;
-                p.alpha = Utils.lerp(p.alpha, 0.6, 0.05);
+                p.alpha = Utils.damp(p.alpha, 0.6, 0.05, deltaTime);
             });
         } else {
             this.orbitParticles.forEach(p => {
-                p.alpha *= 0.9;
+                p.alpha *= Math.pow(0.9, deltaTime * 0.06);
             });
             if (this.orbitParticles.length && this.orbitParticles[0].alpha < 0.01) {
                 this.orbitParticles = [];
@@ -203,37 +259,36 @@ export class CorePulse {
 
         const cx = this.x + this.magnetOffset.x;
         const cy = this.y + this.magnetOffset.y;
+        const renderer = this.renderer;
+        const outer = Utils.parseColor(this.palette.centerOuter);
+        const dark = Utils.parseColor(this.palette.centerDark);
 
-        ctx.save();
-
-        // Radial glow (hover effect)
-        if (this.glowIntensity > 0.01) {
-            const glowGradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, this.radius * 2);
-            glowGradient.addColorStop(0, `rgba(230, 200, 74, ${this.glowIntensity * 0.3})`);
-            glowGradient.addColorStop(0.5, `rgba(230, 200, 74, ${this.glowIntensity * 0.1})`);
-            glowGradient.addColorStop(1, 'rgba(230, 200, 74, 0)');
-
-            ctx.beginPath();
-            ctx.arc(cx, cy, this.radius * 2, 0, Math.PI * 2);
-            ctx.fillStyle = glowGradient;
-            ctx.fill();
+        // Radial glow (hover effect; off on lower quality tiers)
+        if (this.glowIntensity > 0.01 && this.quality.tier.glow) {
+            renderer.glow(ctx, cx, cy, this.radius * 2, outer, this.glowIntensity * 0.3, 0.5, 1 / 3);
         }
 
+        // The disc is Canvas 2D: petals and glow go down first
+        renderer.flush(ctx);
+
         // Main center gradient
+        ctx.save();
         const gradient = ctx.createRadialGradient(
             cx - this.radius * 0.2,
             cy - this.radius * 0.2,
             0,
             cx, cy, this.radius
         );
-        gradient.addColorStop(0, COLORS.centerOuter);
-        gradient.addColorStop(0.6, COLORS.centerInner);
-        gradient.addColorStop(1, COLORS.centerDark);
+        gradient.addColorStop(0, this.palette.centerOuter);
+        gradient.addColorStop(0.6, this.palette.centerInner);
+        gradient.addColorStop(1, this.palette.centerDark);
 
         ctx.beginPath();
         ctx.arc(cx, cy, this.radius, 0, Math.PI * 2);
         ctx.fillStyle = gradient;
         ctx.fill();
+        this.theme.outline(ctx, 2);
+        ctx.restore();
 
         // Micro-texture (small dots)
         this.textureSeeds.forEach(seed => {
@@ -241,46 +296,39 @@ export class CorePulse {
 
             const x = cx + Math.cos(seed.angle) * seed.distance * this.radius;
             const y = cy + Math.sin(seed.angle) * seed.distance * this.radius;
-
-            ctx.beginPath();
-            ctx.arc(x, y, seed.size * this.fillProgress, 0, Math.PI * 2);
-
-            const brightness = seed.brightness > 1
-                ? COLORS.centerOuter
-                : COLORS.centerDark;
-            ctx.fillStyle = brightness;
-            ctx.globalAlpha = 0.3;
-            ctx.fill();
+            renderer.dot(ctx, x, y, seed.size * this.fillProgress, seed.brightness > 1 ? outer : dark, 0.3);
         });
 
-        ctx.globalAlpha = 1;
-
         // Shimmer particles
+        const shimmer = this.theme.rgb('coreShimmer');
         this.shimmerParticles.forEach(p => {
             if (p.alpha <= 0) return;
 
             const x = cx + Math.cos(p.angle) * p.distance;
             const y = cy + Math.sin(p.angle) * p.distance;
-
-            ctx.beginPath();
-            ctx.arc(x, y, 2, 0, Math.PI * 2);
-            ctx.fillStyle = `rgba(255, 250, 200, ${p.alpha})`;
-            ctx.fill();
+            renderer.dot(ctx, x, y, 2, shimmer, p.alpha);
         });
 
         // Orbit particles
+        const orbit = this.theme.rgb('coreOrbit');
         this.orbitParticles.forEach(p => {
             if (p.alpha <= 0.01) return;
 
             const x = cx + Math.cos(p.angle) * p.distance;
             const y = cy + Math.sin(p.angle) * p.distance;
-
-            ctx.beginPath();
-            ctx.arc(x, y, p.size, 0, Math.PI * 2);
-            ctx.fillStyle = `rgba(230, 200, 100, ${p.alpha})`;
-            ctx.fill();
+            renderer.dot(ctx, x, y, p.size, orbit, p.alpha);
         });
+    }
 
-        ctx.restore();
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return Utils.pickState(this, CORE_STATE);
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, CORE_STATE);
     }
 }
@@ -1,22 +1,55 @@
 /**
  * DaisyFlower Module
- * Main controller coordinating stem, petals, and center
+ * Main controller coordinating stem, petals, and center. Despite the name it grows
+ * any species (see SPECIES in config.js); the interactions stay the same
  */
 
-import { COLORS, PHYSICS, Utils } from '../config.js';
+import { COLORS, PHYSICS, Utils, Random, getPalette, getSpecies } from '../config.js';
+import { EventBus } from './EventBus.js';
 import { Stem } from './Stem.js';
 import { PetalManager } from './PetalModule.js';
 import { CorePulse } from './CorePulse.js';
+import { ThemeManager } from './ThemeManager.js';
+import { QualityGovernor } from './QualityGovernor.js';
+
+// Fields captured by serialize(); base, stem height and radius follow the layout
+const FLOWER_STATE = [
+    'visible', 'growthStage', 'flowerX', 'flowerY', 'flowerAngle', 'hoveredPetalIndex', 'centerHovered'
+];
 
 export class DaisyFlower {
-    constructor(baseX, baseY, stemHeight, flowerRadius) {
+    constructor(baseX, baseY, stemHeight, flowerRadius, options = {}) {
         this.baseX = baseX;
         this.baseY = baseY;
         this.stemHeight = stemHeight;
         this.flowerRadius = flowerRadius;
 
+        // Position in the Garden (0 = the main flower); sent along with every event
+        this.id = options.id ?? 0;
+
+        // Shared by stem, petals and core so the whole flower follows the seed
+        this.random = options.random || Random.fork('flower');
+        this.clock = options.clock;
+        this.events = options.events || new EventBus();
+        this.theme = options.theme || new ThemeManager();
+        this.quality = options.quality || new QualityGovernor();
+
+        // Species name or object; its own colors unless a palette is given
+        this.species = getSpecies(options.species);
+        this.palette = getPalette(options.palette || this.species.palette);
+        this.partOptions = {
+            species: this.species,
+            random: this.random,
+            clock: this.clock,
+            palette: this.palette,
+            theme: this.theme,
+            quality: this.quality,
+            renderer: options.renderer,
+            reducedMotion: !!options.reducedMotion
+        };
+
         // Components
-        this.stem = new Stem(baseX, baseY, stemHeight);
+        this.stem = new Stem(baseX, baseY, stemHeight, this.partOptions);
         this.petalManager = null;
         this.core = null;
 
@@ -24,6 +57,10 @@ export class DaisyFlower {
         this.visible = false;
         this.growthStage = 'waiting'; // waiting, stem, flower, complete
 
+        // Last reported hover target (events fire on change only)
+        this.hoveredPetalIndex = null;
+        this.centerHovered = false;
+
         // Flower head position (updated from stem)
         this.flowerX = baseX;
         this.flowerY = baseY - stemHeight;
@@ -37,6 +74,57 @@ export class DaisyFlower {
         this.stem.baseY = baseY;
     }
 
+    // Stem height and head radius from the layout (LayoutEngine)
+    setSize(stemHeight, flowerRadius) {
+        if (stemHeight !== this.stemHeight) {
+            this.stemHeight = stemHeight;
+            this.stem.setHeight(stemHeight);
+        }
+
+        if (flowerRadius !== this.flowerRadius) {
+            this.flowerRadius = flowerRadius;
+            if (this.petalManager) this.petalManager.setRadius(flowerRadius);
+            if (this.core) this.core.setRadius(flowerRadius * this.species.core.size);
+        }
+    }
+
+    // Another species (name or object) with the same interactions: new leaves and
+    // head; a head that already bloomed comes back open. Colors stay (setPalette)
+    setSpecies(species) {
+        this.species = getSpecies(species);
+        this.partOptions.species = this.species;
+        this.stem.setSpecies(this.species);
+
+        if (!this.petalManager) return;
+
+        this.hoveredPetalIndex = null;
+        this.centerHovered = false;
+        this.createHead();
+
+        if (this.growthStage === 'complete') {
+            this.petalManager.open();
+            this.core.open();
+        } else {
+            this.startHeadBloom();
+        }
+    }
+
+    // Recolor petals and center (name from PALETTES or a palette object)
+    setPalette(palette) {
+        this.palette = getPalette(palette);
+        this.partOptions.palette = this.palette;
+
+        if (this.petalManager) this.petalManager.setPalette(this.palette);
+        if (this.core) this.core.palette = this.palette;
+    }
+
+    // Calm profile: damped stem sway, no shimmer bursts from the center
+    setReducedMotion(reduced) {
+        this.partOptions.reducedMotion = reduced;
+        this.stem.setReducedMotion(reduced);
+        if (this.core) this.core.reducedMotion = reduced;
+    }
+
     // Stage B: Start stem growth
     startStemGrowth() {
         this.visible = true;
@@ -47,20 +135,28 @@ export class DaisyFlower {
     // Stage C: Start flower bloom
     startFlowerBloom() {
         this.growthStage = 'flower';
+        this.createHead();
+        this.startHeadBloom();
+    }
 
-        // Initialize flower components at current stem position
-        const pos = this.stem.getFlowerPosition();
-
-        this.petalManager = new PetalManager(pos.x, pos.y, this.flowerRadius);
-        this.core = new CorePulse(pos.x, pos.y, this.flowerRadius * 0.25);
+    startHeadBloom() {
+        const { core } = this;
 
         // Start animations
         this.petalManager.startBloom();
 
         // Delay core fill for dramatic effect
-        setTimeout(() => {
-            this.core.startFill();
-        }, 800);
+        this.clock.after(this.species.bloom.coreDelay, () => {
+            core.startFill();
+        });
+    }
+
+    // Initialize flower components at current stem position
+    createHead() {
+        const pos = this.stem.getFlowerPosition();
+
+        this.petalManager = new PetalManager(pos.x, pos.y, this.flowerRadius, this.partOptions);
+        this.core = new CorePulse(pos.x, pos.y, this.flowerRadius * this.species.core.size, this.partOptions);
     }
 
     // Complete growth
@@ -83,6 +179,24 @@ export class DaisyFlower {
         return this.core && this.core.containsPoint(x, y);
     }
 
+    // Whether (x, y) is on the head (center or a petal), without hovering anything
+    containsPoint(x, y) {
+        if (!this.petalManager || !this.core) return false;
+        return this.core.containsPoint(x, y) || this.petalManager.getPetalAtPoint(x, y) !== null;
+    }
+
+    // Pointer went to another flower (or off every flower)
+    clearHover() {
+        if (!this.petalManager || !this.core) return;
+
+        this.core.setHovered(false);
+        if (this.petalManager.hoveredPetal) {
+            this.petalManager.hoveredPetal.setHovered(false);
+            this.petalManager.hoveredPetal = null;
+        }
+        this.reportHover(null, false);
+    }
+
     // Handle hover
     handleHover(x, y) {
         if (!this.petalManager || !this.core) return { petal: null, center: false };
@@ -103,24 +217,95 @@ export class DaisyFlower {
             }
         }
 
+        this.reportHover(hoveredPetal, centerHovered);
+
         return { petal: hoveredPetal, center: centerHovered };
     }
 
+    reportHover(petal, center) {
+        const petalIndex = petal ? petal.index : null;
+
+        if (petalIndex !== this.hoveredPetalIndex) {
+            this.hoveredPetalIndex = petalIndex;
+            this.events.emit('petal:hover', { petal: petalIndex, flower: this.id });
+        }
+
+        if (center !== this.centerHovered) {
+            this.centerHovered = center;
+            this.events.emit('core:hover', { hovered: center, flower: this.id });
+        }
+    }
+
     // Handle click
     handleClick(x, y) {
         if (!this.petalManager || !this.core) return { petal: null, center: false };
 
         // Check center first
-        if (this.core.containsPoint(x, y)) {
-            this.triggerCenterClick();
-            return { petal: null, center: true };
-        }
+        if (this.core.containsPoint(x, y)) return this.activateCenter(x, y);
 
         // Check petals
         const clickedPetal = this.petalManager.handleClick(x, y);
+        if (clickedPetal) {
+            this.events.emit('petal:click', { petal: clickedPetal.index, x, y, flower: this.id });
+        }
         return { petal: clickedPetal, center: false };
     }
 
+    // Keyboard / programmatic equivalents of clicking a part
+    activateCenter(x = this.flowerX, y = this.flowerY) {
+        if (!this.core) return { petal: null, center: false };
+
+        this.triggerCenterClick();
+        this.events.emit('core:click', { x, y, flower: this.id });
+        return { petal: null, center: true };
+    }
+
+    activatePetal(index) {
+        const petal = this.petalManager && this.petalManager.petals[index];
+        if (!petal) return { petal: null, center: false };
+
+        const { x, y } = this.getPartPosition('petal', index);
+        this.petalManager.clickPetal(petal);
+        this.events.emit('petal:click', { petal: index, x, y, flower: this.id });
+        return { petal, center: false };
+    }
+
+    touchLeaf(index) {
+        if (!this.stem.getLeafPosition(index)) return;
+
+        this.stem.flutterLeaf(index);
+        this.events.emit('leaf:click', { leaf: index, flower: this.id });
+    }
+
+    // Screen position of a part ('core', 'petal', 'leaf') as { x, y, radius }, or null
+    getPartPosition(type, index) {
+        if (type === 'core') {
+            if (!this.core) return null;
+            return {
+                x: this.core.x + this.core.magnetOffset.x,
+                y: this.core.y + this.core.magnetOffset.y,
+                radius: this.core.radius + 6
+            };
+        }
+
+        if (type === 'petal') {
+            const petal = this.petalManager && this.petalManager.petals[index];
+            if (!petal) return null;
+
+            // Middle of the petal, in the head's rotated frame
+            const distance = petal.length * petal.scale * petal.bloomProgress * 0.6;
+            const angle = petal.angle + petal.spinAngle + petal.tiltAngle + this.flowerAngle;
+            return {
+                x: this.petalManager.centerX + Math.cos(angle) * distance,
+                y: this.petalManager.centerY + Math.sin(angle) * distance,
+                radius: Math.max(8, petal.width * petal.scale * 1.2)
+            };
+        }
+
+        if (type === 'leaf') return this.stem.getLeafPosition(index);
+        return null;
+    }
+
     // Center click effects
     triggerCenterClick() {
         this.core.triggerClick();
@@ -199,4 +384,46 @@ export class DaisyFlower {
             ctx.restore();
         }
     }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return {
+            ...Utils.pickState(this, FLOWER_STATE),
+            random: this.random.state,
+            palette: this.palette,
+            species: this.species,
+            stem: this.stem.serialize(),
+            petals: this.petalManager ? this.petalManager.serialize() : null,
+            core: this.core ? this.core.serialize() : null
+        };
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, FLOWER_STATE);
+        if (state.palette) this.setPalette(state.palette);
+
+        // Leaves come with the stem state; a head of another species is rebuilt
+        const species = state.species ? getSpecies(state.species) : this.species;
+        const rebuild = JSON.stringify(species) !== JSON.stringify(this.species);
+        this.species = species;
+        this.partOptions.species = species;
+        this.stem.species = species;
+
+        this.stem.deserialize(state.stem);
+
+        if (state.petals && state.core) {
+            if (!this.petalManager || rebuild) this.createHead();
+            this.petalManager.deserialize(state.petals);
+            this.core.deserialize(state.core);
+        } else {
+            this.petalManager = null;
+            this.core = null;
+        }
+
+        // Last: building the head above draws from this stream
+        this.random.state = state.random;
+    }
 }
@@ -3,22 +3,24 @@
  * Orchestrates the cinematic entrance sequence (Stages A-D)
  */
 
-import { TIMING, Easing } from '../config.js';
+import { TIMING, Easing, Utils } from '../config.js';
+import { EventBus } from './EventBus.js';
+
+// Fields captured by serialize()
+const ENTRANCE_STATE = [
+    'startTime', 'isPlaying', 'isComplete', 'currentStage', 'triggeredStages'
+];
 
 export class EntranceAnimation {
-    constructor() {
+    constructor(options = {}) {
+        this.clock = options.clock;
+        this.events = options.events || new EventBus();
+
         this.startTime = 0;
         this.isPlaying = false;
         this.isComplete = false;
 
         this.currentStage = null;
-        this.stageCallbacks = {
-            stageA: null,
-            stageB: null,
-            stageC: null,
-            stageD: null,
-            complete: null
-        };
 
         // Track which stages have been triggered
         this.triggeredStages = {
@@ -29,65 +31,61 @@ export class EntranceAnimation {
         };
     }
 
-    // Register callbacks for each stage
-    onStageA(callback) { this.stageCallbacks.stageA = callback; }
-    onStageB(callback) { this.stageCallbacks.stageB = callback; }
-    onStageC(callback) { this.stageCallbacks.stageC = callback; }
-    onStageD(callback) { this.stageCallbacks.stageD = callback; }
-    onComplete(callback) { this.stageCallbacks.complete = callback; }
+    // Subscribe to one stage ('A'-'D' or 'complete'); returns an unsubscribe function
+    onStage(stage, callback) {
+        return this.events.on('entrance:stage', (event) => {
+            if (event.stage === stage) callback();
+        });
+    }
+
+    onStageA(callback) { return this.onStage('A', callback); }
+    onStageB(callback) { return this.onStage('B', callback); }
+    onStageC(callback) { return this.onStage('C', callback); }
+    onStageD(callback) { return this.onStage('D', callback); }
+    onComplete(callback) { return this.onStage('complete', callback); }
+
+    enterStage(stage) {
+        this.currentStage = stage;
+        this.events.emit('entrance:stage', { stage });
+    }
 
     start() {
-        this.startTime = performance.now();
+        this.startTime = this.clock.now;
         this.isPlaying = true;
-        this.currentStage = 'A';
 
         // Trigger Stage A immediately
-        if (this.stageCallbacks.stageA) {
-            this.stageCallbacks.stageA();
-        }
         this.triggeredStages.A = true;
+        this.enterStage('A');
     }
 
     update() {
         if (!this.isPlaying || this.isComplete) return;
 
-        const elapsed = performance.now() - this.startTime;
+        const elapsed = this.clock.now - this.startTime;
 
         // Stage B: Stem growth (1.5s - 4s)
         if (!this.triggeredStages.B && elapsed >= TIMING.stageB.start) {
-            this.currentStage = 'B';
             this.triggeredStages.B = true;
-            if (this.stageCallbacks.stageB) {
-                this.stageCallbacks.stageB();
-            }
+            this.enterStage('B');
         }
 
         // Stage C: Flower bloom (4s - 7s)
         if (!this.triggeredStages.C && elapsed >= TIMING.stageC.start) {
-            this.currentStage = 'C';
             this.triggeredStages.C = true;
-            if (this.stageCallbacks.stageC) {
-                this.stageCallbacks.stageC();
-            }
+            this.enterStage('C');
         }
 
         // Stage D: Wind gust and settle (7s - 9s)
         if (!this.triggeredStages.D && elapsed >= TIMING.stageD.start) {
-            this.currentStage = 'D';
             this.triggeredStages.D = true;
-            if (this.stageCallbacks.stageD) {
-                this.stageCallbacks.stageD();
-            }
+            this.enterStage('D');
         }
 
         // Complete
         if (elapsed >= TIMING.stageD.end) {
             this.isPlaying = false;
             this.isComplete = true;
-            this.currentStage = 'complete';
-            if (this.stageCallbacks.complete) {
-                this.stageCallbacks.complete();
-            }
+            this.enterStage('complete');
         }
     }
 
@@ -95,7 +93,7 @@ export class EntranceAnimation {
     getStageProgress(stage) {
         if (!this.isPlaying && !this.isComplete) return 0;
 
-        const elapsed = performance.now() - this.startTime;
+        const elapsed = this.clock.now - this.startTime;
         const timing = TIMING[`stage${stage}`];
 
         if (!timing) return 0;
@@ -117,4 +115,16 @@ export class EntranceAnimation {
     getIsComplete() {
         return this.isComplete;
     }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return Utils.pickState(this, ENTRANCE_STATE);
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, ENTRANCE_STATE);
+    }
 }
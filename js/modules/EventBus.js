@@ -0,0 +1,104 @@
+/**
+ * EventBus Module
+ * Shared publish/subscribe hub: every module publishes here, and any number of
+ * listeners (scene wiring, plugins, analytics) can subscribe to the same event.
+ *
+ * Events and payloads:
+ *   input:move, input:click      { x, y, velocity }
+ *   input:dwell                  { x, y, duration }
+ *   input:zoom                   { factor }           (wheel or pinch; > 1 zooms in)
+ *   camera:zoom                  { zoom }             (new target zoom, 1-3)
+ *   layout:change                { composition, breakpoint } ('portrait', 'landscape', 'ultrawide'; BREAKPOINTS name)
+ *   garden:plant                 { flower, x, y }     (new flower's id; Garden)
+ *   petal:hover                  { petal, flower }    (index, or null on leave; flower id, 0 = main)
+ *   petal:click                  { petal, x, y, flower }
+ *   core:hover                   { hovered, flower }
+ *   core:click                   { x, y, flower }
+ *   leaf:click                   { leaf, flower }     (keyboard touch)
+ *   bee:arrive, bee:depart       { bee, x, y, flower }
+ *   bee:nudge                    { bee, x, y }        (keyboard touch on a hovering bee)
+ *   focus:change                 { type, index, label } (type null when focus clears)
+ *   focus:activate               { type, index }      (Enter/Space; 'core', 'petal', 'leaf', 'bee')
+ *   idle:start, idle:end         {}
+ *   curiosity:start              { x, y }
+ *   curiosity:end                {}
+ *   night:progress               { progress }         (0-1 during the night shift)
+ *   day:phase                    { phase, progress }  ('dusk' or 'night')
+ *   chord:change                 { chord }            (progression index)
+ *   entrance:stage               { stage }            ('A'-'D', then 'complete')
+ *   lifecycle:suspend            { reason }           ('hidden', 'pagehide', 'audio')
+ *   lifecycle:resume             { reason }           (the last reason to clear)
+ *   settings:change              { key, value }       (see SETTING_FIELDS in Settings.js)
+ *   theme:change                 { theme, mode }      (theme name or 'custom'; mode from COLOR_MODES)
+ *   quality:change               { tier, previous, reason }  (QUALITY_TIERS names; 'slow', 'fast' or 'manual')
+ *
+ * Listeners get (payload, type). Subscribe to 'petal:*' for one namespace,
+ * or '*' for everything.
+ */
+
+export class EventBus {
+    constructor() {
+        // type -> [{ handler, once }]
+        this.listeners = new Map();
+    }
+
+    // Returns an unsubscribe function that removes this subscription only (the
+    // same handler subscribed elsewhere keeps listening)
+    on(type, handler, options = {}) {
+        const entry = { handler, once: !!options.once };
+
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(entry);
+
+        return () => this.removeEntry(type, entry);
+    }
+
+    once(type, handler) {
+        return this.on(type, handler, { once: true });
+    }
+
+    // Without a handler, removes every listener of `type`
+    off(type, handler) {
+        const list = this.listeners.get(type);
+        if (!list) return;
+
+        const remaining = handler ? list.filter(entry => entry.handler !== handler) : [];
+        if (remaining.length) this.listeners.set(type, remaining);
+        else this.listeners.delete(type);
+    }
+
+    emit(type, payload = {}) {
+        const separator = type.indexOf(':');
+        const keys = separator > 0 ? [type, `${type.slice(0, separator)}:*`, '*'] : [type, '*'];
+
+        keys.forEach(key => {
+            const list = this.listeners.get(key);
+            if (!list) return;
+
+            // Copy: listeners may subscribe or unsubscribe while we dispatch
+            [...list].forEach(entry => {
+                if (entry.once) this.removeEntry(key, entry);
+
+                // One broken listener must not stop the frame or the others
+                try {
+                    entry.handler(payload, type);
+                } catch (error) {
+                    console.error(`EventBus: listener for "${type}" failed`, error);
+                }
+            });
+        });
+    }
+
+    clear() {
+        this.listeners.clear();
+    }
+
+    removeEntry(type, entry) {
+        const list = this.listeners.get(type);
+        if (!list) return;
+
+        const remaining = list.filter(e => e !== entry);
+        if (remaining.length) this.listeners.set(type, remaining);
+        else this.listeners.delete(type);
+    }
+}
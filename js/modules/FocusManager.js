@@ -0,0 +1,253 @@
+/**
+ * FocusManager Module
+ * Keyboard access to the canvas: focus moves over the center, petals, leaves and
+ * visiting bees, a ring marks the focused part and Enter/Space touches it.
+ * Left/Right step to the neighbor, Up/Down to the next kind of part
+ */
+
+import { EventBus } from './EventBus.js';
+import { ThemeManager } from './ThemeManager.js';
+
+// Up/Down walk these groups in order, skipping empty ones
+const GROUPS = ['core', 'petal', 'leaf', 'bee'];
+
+const BEE_STATES = {
+    approaching: 'arriving',
+    hovering: 'at the flower',
+    leaving: 'leaving'
+};
+
+export class FocusManager {
+    constructor(canvas, flower, bees, options = {}) {
+        this.canvas = canvas;
+        this.flower = flower;
+        this.bees = bees;
+        this.events = options.events || new EventBus();
+        this.theme = options.theme || new ThemeManager();
+
+        // Focused part ({ type, index }) and whether to show the ring (keyboard focus)
+        this.target = null;
+        this.ringVisible = false;
+
+        // Headless runs drive move()/moveGroup()/activate() directly
+        if (options.bindEvents !== false) {
+            this.bindEvents();
+        }
+    }
+
+    // Enter/Space on a part: (type, index); returns an unsubscribe function
+    onActivate(callback) {
+        return this.events.on('focus:activate', ({ type, index }) => callback(type, index));
+    }
+
+    // Focusable canvas with its role and key help (also the page side of a worker scene)
+    static labelCanvas(canvas) {
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-roledescription', 'interactive flower');
+        canvas.setAttribute('aria-label',
+            'Daisy. Arrow keys move between the center, petals, leaves and visiting bees; ' +
+            'Enter or Space touches the focused part.');
+    }
+
+    bindEvents() {
+        FocusManager.labelCanvas(this.canvas);
+
+        // Kept as [type, handler] so unbindEvents() can remove them
+        this.boundEvents = [
+            ['keydown', this.handleKey.bind(this)],
+            ['focus', this.handleFocus.bind(this)],
+            ['blur', () => this.setRingVisible(false)]
+        ];
+
+        this.boundEvents.forEach(([type, handler]) => {
+            this.canvas.addEventListener(type, handler);
+        });
+    }
+
+    unbindEvents() {
+        if (!this.boundEvents) return;
+
+        this.boundEvents.forEach(([type, handler]) => {
+            this.canvas.removeEventListener(type, handler);
+        });
+        this.boundEvents = null;
+    }
+
+    destroy() {
+        this.unbindEvents();
+    }
+
+    // The ring is for keyboard users; a mouse click that focuses the canvas hides it
+    handleFocus() {
+        let visible;
+        try {
+            visible = this.canvas.matches(':focus-visible');
+        } catch (e) {
+            visible = true;
+        }
+
+        this.setRingVisible(visible);
+    }
+
+    // Keyboard focus arriving starts on the center
+    setRingVisible(visible) {
+        this.ringVisible = visible;
+        if (visible && !this.target) this.moveGroup(0);
+    }
+
+    handleKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        switch (e.key) {
+            case 'ArrowRight': this.move(1); break;
+            case 'ArrowLeft': this.move(-1); break;
+            case 'ArrowDown': this.moveGroup(1); break;
+            case 'ArrowUp': this.moveGroup(-1); break;
+            case 'Home': this.focus('core', 0); break;
+            case 'Enter':
+            case ' ':
+                this.activate();
+                break;
+            case 'Escape':
+                this.clear();
+                break;
+            default:
+                return;
+        }
+
+        // Keys we handle don't scroll the page
+        e.preventDefault();
+        this.ringVisible = true;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // NAVIGATION
+    // ═══════════════════════════════════════════════════════
+
+    // Focusable indices of one group, in ring order
+    getParts(type) {
+        const flower = this.flower;
+
+        switch (type) {
+            case 'core':
+                return flower.core ? [0] : [];
+            case 'petal':
+                return flower.petalManager ? flower.petalManager.petals.map((petal, i) => i) : [];
+            case 'leaf':
+                return flower.stem.leaves
+                    .map((leaf, i) => i)
+                    .filter(i => flower.stem.getLeafPosition(i));
+            case 'bee':
+                return this.bees.getVisitors();
+            default:
+                return [];
+        }
+    }
+
+    // Neighbor within the focused group (wraps around the flower)
+    move(step) {
+        if (!this.target) {
+            this.moveGroup(0);
+            return;
+        }
+
+        const parts = this.getParts(this.target.type);
+        if (parts.length === 0) {
+            this.moveGroup(1);
+            return;
+        }
+
+        const position = Math.max(0, parts.indexOf(this.target.index));
+        this.focus(this.target.type, parts[(position + step + parts.length) % parts.length]);
+    }
+
+    // Next non-empty group (step 0 = the current or first one)
+    moveGroup(step) {
+        const current = this.target ? GROUPS.indexOf(this.target.type) : 0;
+
+        for (let i = 0; i < GROUPS.length; i++) {
+            const offset = step === 0 ? i : step * (i + 1);
+            const type = GROUPS[((current + offset) % GROUPS.length + GROUPS.length) % GROUPS.length];
+            const parts = this.getParts(type);
+
+            if (parts.length > 0) {
+                this.focus(type, parts[0]);
+                return;
+            }
+        }
+
+        this.events.emit('focus:change', { type: null, index: null, label: 'The flower is still growing' });
+    }
+
+    focus(type, index) {
+        if (!this.getParts(type).includes(index)) return;
+
+        this.target = { type, index };
+        this.events.emit('focus:change', { type, index, label: this.describe(type, index) });
+    }
+
+    clear() {
+        if (!this.target) return;
+
+        this.target = null;
+        this.events.emit('focus:change', { type: null, index: null, label: null });
+    }
+
+    activate() {
+        if (!this.target) return;
+        this.events.emit('focus:activate', { ...this.target });
+    }
+
+    describe(type, index) {
+        const parts = this.getParts(type);
+        const position = `${parts.indexOf(index) + 1} of ${parts.length}`;
+
+        switch (type) {
+            case 'core': return 'Flower center';
+            case 'petal': return `Petal ${position}`;
+            case 'leaf': return `Leaf ${position}`;
+            case 'bee': return `Bee ${position}, ${BEE_STATES[this.bees.bees[index].state]}`;
+            default: return '';
+        }
+    }
+
+    getPosition(type, index) {
+        return type === 'bee'
+            ? this.bees.getBeePosition(index)
+            : this.flower.getPartPosition(type, index);
+    }
+
+    // A focused bee that flew off hands focus back to the center
+    update() {
+        if (!this.target || this.getParts(this.target.type).includes(this.target.index)) return;
+
+        this.target = null;
+        this.moveGroup(0);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // DRAWING
+    // ═══════════════════════════════════════════════════════
+
+    // Two-tone ring so it reads on light and dark skies
+    draw(ctx) {
+        if (!this.ringVisible || !this.target) return;
+
+        const position = this.getPosition(this.target.type, this.target.index);
+        if (!position) return;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(position.x, position.y, position.radius, 0, Math.PI * 2);
+
+        ctx.strokeStyle = this.theme.color('focusHalo', 0.9);
+        ctx.lineWidth = 5;
+        ctx.stroke();
+
+        ctx.strokeStyle = this.theme.color('focus');
+        ctx.lineWidth = 2.5;
+        ctx.stroke();
+        ctx.restore();
+    }
+}
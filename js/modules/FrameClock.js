@@ -0,0 +1,209 @@
+/**
+ * FrameClock Module
+ * Simulation clock owned by DaisyExperience, with a small scheduler
+ * (delays, intervals, tweens) that runs on simulated time instead of setTimeout
+ */
+
+import { Utils, Easing } from '../config.js';
+
+// Fields captured by serialize() (scheduled tasks hold closures and are not saved;
+// the slow-motion effect is saved apart and rebuilt)
+const CLOCK_STATE = ['now', 'timeScale', 'paused', 'effectScale'];
+
+export class FrameClock {
+    constructor(options = {}) {
+        // Simulated time (ms) since the clock was created
+        this.now = 0;
+        this.deltaTime = 0;
+
+        // Longest step one frame may take, so a hitch never teleports the scene
+        this.maxDelta = options.maxDelta ?? 50;
+
+        // Playback speed (1 = real time)
+        this.timeScale = 1;
+        this.minTimeScale = 0.05;
+        this.maxTimeScale = 8;
+        this.paused = false;
+
+        // Held by the page lifecycle (hidden tab, audio interruption); kept
+        // apart from `paused` so resuming never undoes a user's pause
+        this.frozen = false;
+
+        // Transient multiplier on top of timeScale (center-click slow motion);
+        // `effect` ({ scale, start, duration }) describes the running one
+        this.effectScale = 1;
+        this.effect = null;
+        this.effectTween = null;
+
+        // Scheduled tasks, keyed by id (Map keeps insertion order)
+        this.tasks = new Map();
+        this.nextTaskId = 1;
+    }
+
+    // Advance from a real frame delta (ms), returns the simulated delta
+    tick(realDelta) {
+        const clamped = Utils.clamp(realDelta, 0, this.maxDelta);
+        return this.advance(clamped * this.getScale());
+    }
+
+    // Advance simulated time directly and run whatever became due
+    advance(delta) {
+        this.deltaTime = delta;
+        this.now += delta;
+        this.runTasks();
+        return delta;
+    }
+
+    // Simulated time in seconds (for sin/cos driven motion)
+    getSeconds() {
+        return this.now * 0.001;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // TIME SCALE
+    // ═══════════════════════════════════════════════════════
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    freeze() {
+        this.frozen = true;
+    }
+
+    unfreeze() {
+        this.frozen = false;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Utils.clamp(scale, this.minTimeScale, this.maxTimeScale);
+        return this.timeScale;
+    }
+
+    // Effective simulated ms per real ms
+    getScale() {
+        return this.paused || this.frozen ? 0 : this.timeScale * this.effectScale;
+    }
+
+    // Dip into slow motion, then ease back to full speed over `duration` simulated ms
+    slowMotion(scale, duration) {
+        this.effectScale = scale;
+        this.startEffect(scale, duration, 0);
+    }
+
+    // Slow-motion tween `elapsed` ms into its `duration` (restore resumes mid-way)
+    startEffect(scale, duration, elapsed) {
+        if (this.effectTween) this.cancel(this.effectTween);
+
+        this.effect = { scale, start: this.now - elapsed, duration };
+        this.effectTween = this.tween({
+            duration,
+            delay: -elapsed,
+            easing: Easing.cubicIn,
+            onUpdate: (t) => { this.effectScale = Utils.lerp(scale, 1, t); },
+            onComplete: () => {
+                this.effect = null;
+                this.effectTween = null;
+            }
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SCHEDULER
+    // ═══════════════════════════════════════════════════════
+
+    // Run callback once after `delay` simulated ms
+    after(delay, callback) {
+        return this.addTask({ time: this.now + delay, callback });
+    }
+
+    // Run callback every `interval` simulated ms until cancelled
+    every(interval, callback) {
+        return this.addTask({ time: this.now + interval, interval, callback });
+    }
+
+    // Animate from 0 to 1 over `duration` ms, onUpdate gets the eased value
+    tween({ duration, delay = 0, easing = t => t, onUpdate = null, onComplete = null }) {
+        const start = this.now + delay;
+        return this.addTask({ time: start, start, duration, easing, onUpdate, onComplete, isTween: true });
+    }
+
+    cancel(id) {
+        this.tasks.delete(id);
+    }
+
+    clear() {
+        this.tasks.clear();
+    }
+
+    addTask(task) {
+        task.id = this.nextTaskId++;
+        this.tasks.set(task.id, task);
+        return task.id;
+    }
+
+    runTasks() {
+        // Snapshot in due order; tasks added by callbacks wait for the next advance
+        const due = [...this.tasks.values()]
+            .filter(task => task.time <= this.now)
+            .sort((a, b) => a.time - b.time || a.id - b.id);
+
+        due.forEach(task => {
+            // Cancelled by an earlier callback this frame
+            if (!this.tasks.has(task.id)) return;
+
+            if (task.isTween) {
+                const progress = task.duration > 0
+                    ? Utils.clamp((this.now - task.start) / task.duration, 0, 1)
+                    : 1;
+
+                if (task.onUpdate) task.onUpdate(task.easing(progress), progress);
+
+                if (progress >= 1) {
+                    this.tasks.delete(task.id);
+                    if (task.onComplete) task.onComplete();
+                }
+            } else if (task.interval) {
+                // Fire at most once per advance, then re-arm
+                task.time = Math.max(task.time + task.interval, this.now);
+                task.callback();
+            } else {
+                this.tasks.delete(task.id);
+                task.callback();
+            }
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        const { effect } = this;
+        return {
+            ...Utils.pickState(this, CLOCK_STATE),
+            effect: effect ? { scale: effect.scale, duration: effect.duration, elapsed: this.now - effect.start } : null
+        };
+    }
+
+    // Jump to a saved time; pending tasks keep their remaining delay, and a saved
+    // slow motion carries on where it was
+    deserialize(state) {
+        const offset = state.now - this.now;
+        Utils.assignState(this, state, CLOCK_STATE);
+
+        this.tasks.forEach(task => {
+            task.time += offset;
+            if (task.isTween) task.start += offset;
+        });
+
+        if (this.effectTween) this.cancel(this.effectTween);
+        this.effect = null;
+        this.effectTween = null;
+        if (state.effect) this.startEffect(state.effect.scale, state.effect.duration, state.effect.elapsed);
+    }
+}
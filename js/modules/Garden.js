@@ -0,0 +1,229 @@
+/**
+ * Garden Module
+ * The flowers of the scene: the main flower (placed by the layout, grown by the
+ * entrance) plus the ones planted by tapping the ground. Each DaisyFlower keeps
+ * its own stem physics and petals; the garden updates and draws them back to
+ * front and routes hover and clicks to the front-most flower under the pointer
+ */
+
+import { TIMING, SPECIES, Utils, Random, getSpecies } from '../config.js';
+import { EventBus } from './EventBus.js';
+import { DaisyFlower } from './DaisyFlower.js';
+
+// Planted flowers against the main one, from far (depth 0) to near (depth 1)
+const STEM_SCALE = { far: 0.45, near: 0.9 };
+const RADIUS_SCALE = { far: 0.5, near: 0.85 };
+
+export class Garden {
+    constructor(options = {}) {
+        this.events = options.events || new EventBus();
+
+        // The scene's seeded stream; the garden and every flower fork their own from
+        // it, so planted sizes replay identically for a given seed
+        this.rootRandom = options.random || Random;
+        this.random = this.rootRandom.fork('garden');
+
+        // Passed on to every flower (palette, species, theme, quality, renderer, ...)
+        this.flowerOptions = options;
+
+        // Main flower first, then planted ones in planting order
+        this.flowers = [];
+        this.setSpecies(options.species);
+
+        // Planted flowers: { flower, nx, ny, stemScale, radiusScale, age }. Base as
+        // fractions of the view and size against the main flower, so they follow
+        // resizes; age (ms) drives the grow-and-bloom sequence
+        this.plants = [];
+        this.maxFlowers = options.maxFlowers ?? 8;
+
+        // View size (CSS pixels) and the flower under the pointer
+        this.width = options.width || 0;
+        this.height = options.height || 0;
+        this.hovered = null;
+    }
+
+    // A flower was planted: ({ flower, x, y }); returns an unsubscribe function
+    onPlant(callback) {
+        return this.events.on('garden:plant', callback);
+    }
+
+    get main() {
+        return this.flowers[0] || null;
+    }
+
+    createFlower(baseX, baseY, stemHeight, flowerRadius) {
+        const id = this.flowers.length;
+        const flower = new DaisyFlower(baseX, baseY, stemHeight, flowerRadius, {
+            ...this.flowerOptions,
+            id,
+            // The main flower keeps the stream it always had
+            random: this.rootRandom.fork(id === 0 ? 'flower' : `flower:${id}`)
+        });
+
+        this.flowers.push(flower);
+        return flower;
+    }
+
+    isFull() {
+        return this.flowers.length >= this.maxFlowers;
+    }
+
+    // Plant at ground point (x, y). `depth` (0 at the back of the meadow, 1 at the
+    // front edge) sizes it against the main flower. Returns the flower, or null
+    // without a main flower or once the garden is full
+    plant(x, y, depth) {
+        if (!this.main || this.isFull()) return null;
+
+        const t = Utils.clamp(depth, 0, 1);
+        const plant = {
+            nx: x / this.width,
+            ny: y / this.height,
+            stemScale: Utils.lerp(STEM_SCALE.far, STEM_SCALE.near, t) * this.random.range(0.85, 1.1),
+            radiusScale: Utils.lerp(RADIUS_SCALE.far, RADIUS_SCALE.near, t) * this.random.range(0.85, 1.1),
+            age: 0
+        };
+
+        plant.flower = this.createFlower(x, y, this.main.stemHeight * plant.stemScale, this.main.flowerRadius * plant.radiusScale);
+        plant.flower.startStemGrowth();
+        this.plants.push(plant);
+
+        this.events.emit('garden:plant', { flower: plant.flower.id, x, y });
+        return plant.flower;
+    }
+
+    // Main flower moved or resized (layout): planted ones follow
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+
+        const main = this.main;
+        this.plants.forEach(plant => {
+            plant.flower.resize(plant.nx * width, plant.ny * height);
+            plant.flower.setSize(main.stemHeight * plant.stemScale, main.flowerRadius * plant.radiusScale);
+        });
+    }
+
+    setPalette(palette) {
+        this.flowers.forEach(flower => flower.setPalette(palette));
+    }
+
+    // Every flower, planted ones included, turns into `species` (name or object)
+    setSpecies(species) {
+        if (typeof species === 'string' && !SPECIES[species]) {
+            console.warn(`Daisy: unknown species "${species}" (species: ${Object.keys(SPECIES).join(', ')})`);
+        }
+
+        this.flowerOptions.species = getSpecies(species);
+        this.flowers.forEach(flower => flower.setSpecies(this.flowerOptions.species));
+    }
+
+    setReducedMotion(reduced) {
+        this.flowerOptions.reducedMotion = reduced;
+        this.flowers.forEach(flower => flower.setReducedMotion(reduced));
+    }
+
+    // Flowers that bees may visit: { id, x, y } of every head (flowers still
+    // growing their stem have none yet)
+    getHeads() {
+        return this.flowers
+            .filter(flower => flower.core)
+            .map(flower => ({ id: flower.id, ...flower.getFlowerHeadPosition() }));
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // POINTER ROUTING
+    // ═══════════════════════════════════════════════════════
+
+    // Front-most flower whose head is at (x, y), or null. Nearer flowers stand
+    // lower and are drawn later
+    flowerAt(x, y) {
+        const hits = this.flowers.filter(flower => flower.containsPoint(x, y));
+        return hits.length ? hits.reduce((front, flower) => (flower.baseY > front.baseY ? flower : front)) : null;
+    }
+
+    // Hover the front-most flower only; returns { flower, petal, center }
+    handleHover(x, y) {
+        const target = this.flowerAt(x, y);
+
+        if (this.hovered && this.hovered !== target) this.hovered.clearHover();
+        this.hovered = target;
+
+        if (!target) return { flower: null, petal: null, center: false };
+        return { flower: target, ...target.handleHover(x, y) };
+    }
+
+    // Click the front-most flower; returns { flower, petal, center } (flower null
+    // when the click missed every flower)
+    handleClick(x, y) {
+        const target = this.flowerAt(x, y);
+        if (!target) return { flower: null, petal: null, center: false };
+        return { flower: target, ...target.handleClick(x, y) };
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // UPDATE & DRAW
+    // ═══════════════════════════════════════════════════════
+
+    // Each flower sways in the wind at its own head (WindField)
+    update(deltaTime, wind, audioIntensity = 0) {
+        this.plants.forEach(plant => this.grow(plant, deltaTime));
+
+        this.flowers.forEach(flower => {
+            flower.update(deltaTime, wind.getWindAt(flower.flowerX, flower.flowerY));
+            flower.syncWithAudio(audioIntensity);
+        });
+    }
+
+    // Stem, then bloom, then complete: the entrance's stages on the plant's own
+    // clock. TIMING is read here so loaded overrides (loadConfig) apply
+    grow(plant, deltaTime) {
+        const { flower } = plant;
+        if (flower.growthStage === 'complete') return;
+
+        const bloomAt = TIMING.stageC.start - TIMING.stageB.start;
+        const completeAt = TIMING.stageD.start - TIMING.stageB.start;
+
+        plant.age += deltaTime;
+        if (flower.growthStage === 'stem' && plant.age >= bloomAt) flower.startFlowerBloom();
+        if (flower.growthStage === 'flower' && plant.age >= completeAt) flower.completeGrowth();
+    }
+
+    // Back to front
+    draw(ctx) {
+        [...this.flowers]
+            .sort((a, b) => a.baseY - b.baseY)
+            .forEach(flower => flower.draw(ctx));
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    // Planted flowers only (the main flower is saved on its own)
+    serialize() {
+        return {
+            random: this.random.state,
+            plants: this.plants.map(({ flower, ...plant }) => ({ ...plant, flower: flower.serialize() }))
+        };
+    }
+
+    // After the main flower's own deserialize (planted flowers take its species)
+    deserialize(state) {
+        this.flowers.length = 1;
+        this.plants = [];
+        this.hovered = null;
+
+        const main = this.main;
+        this.flowerOptions.species = main.species;
+        state.plants.forEach(({ flower: flowerState, ...plant }) => {
+            plant.flower = this.createFlower(
+                plant.nx * this.width, plant.ny * this.height,
+                main.stemHeight * plant.stemScale, main.flowerRadius * plant.radiusScale
+            );
+            plant.flower.deserialize(flowerState);
+            this.plants.push(plant);
+        });
+
+        this.random.state = state.random;
+    }
+}
@@ -1,13 +1,24 @@
 /**
  * InputHandler Module
- * Handles pointer events with velocity tracking and hit detection
+ * Handles pointer events with velocity tracking and hit detection.
+ * Positions are in world space (see Camera); wheel and pinch report zoom
  */
 
 import { Utils } from '../config.js';
+import { EventBus } from './EventBus.js';
+import { Camera } from './Camera.js';
+
+// Fields captured by serialize()
+const INPUT_STATE = [
+    'x', 'y', 'lastX', 'lastY', 'velocity', 'dwellStartTime', 'dwellPosition', 'dwellReported', 'hasMoved'
+];
 
 export class InputHandler {
-    constructor(canvas) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
+        this.clock = options.clock;
+        this.events = options.events || new EventBus();
+        this.camera = options.camera || new Camera({ width: canvas.width, height: canvas.height });
 
         // Cursor state
         this.x = 0;
@@ -21,46 +32,64 @@ export class InputHandler {
         this.dwellStartTime = 0;
         this.dwellPosition = { x: 0, y: 0 };
         this.dwellThreshold = 50; // pixels
+        this.dwellDuration = 2000; // ms still before input:dwell
+        this.dwellReported = false;
+        this.hasMoved = false;
 
-        // Touch support
+        // Touch support (pinch: distance between two fingers, null otherwise)
         this.isTouch = false;
+        this.pinchDistance = null;
+        this.pinched = false;
 
-        // Callbacks
-        this.callbacks = {
-            onMove: null,
-            onClick: null,
-            onDwell: null
-        };
-
-        this.bindEvents();
+        // Headless runs have no DOM to listen to; drive with moveTo()/clickAt()
+        if (options.bindEvents !== false) {
+            this.bindEvents();
+        }
     }
 
     bindEvents() {
-        // Mouse events
-        this.canvas.addEventListener('mousemove', this.handleMove.bind(this));
-        this.canvas.addEventListener('mousedown', this.handleDown.bind(this));
-        this.canvas.addEventListener('mouseup', this.handleUp.bind(this));
-        this.canvas.addEventListener('click', this.handleClick.bind(this));
-        this.canvas.addEventListener('mouseleave', this.handleLeave.bind(this));
+        // Kept as [type, handler, options] so unbindEvents() can remove them
+        this.boundEvents = [
+            // Mouse events
+            ['mousemove', this.handleMove.bind(this)],
+            ['mousedown', this.handleDown.bind(this)],
+            ['mouseup', this.handleUp.bind(this)],
+            ['click', this.handleClick.bind(this)],
+            ['mouseleave', this.handleLeave.bind(this)],
+            ['wheel', this.handleWheel.bind(this), { passive: false }],
+
+            // Touch events
+            ['touchstart', this.handleTouchStart.bind(this), { passive: true }],
+            ['touchmove', this.handleTouchMove.bind(this), { passive: true }],
+            ['touchend', this.handleTouchEnd.bind(this)],
 
-        // Touch events
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: true });
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: true });
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+            // Prevent context menu
+            ['contextmenu', e => e.preventDefault()]
+        ];
+
+        this.boundEvents.forEach(([type, handler, options]) => {
+            this.canvas.addEventListener(type, handler, options);
+        });
+    }
+
+    unbindEvents() {
+        if (!this.boundEvents) return;
+
+        this.boundEvents.forEach(([type, handler, options]) => {
+            this.canvas.removeEventListener(type, handler, options);
+        });
+        this.boundEvents = null;
+    }
 
-        // Prevent context menu
-        this.canvas.addEventListener('contextmenu', e => e.preventDefault());
+    destroy() {
+        this.unbindEvents();
     }
 
+    // Pointer event -> world space (CSS pixels through the camera)
     getCanvasPosition(e) {
         const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-
-        return {
-            x: (e.clientX - rect.left) * scaleX,
-            y: (e.clientY - rect.top) * scaleY
-        };
+        const screen = this.camera.clientToScreen(e.clientX, e.clientY, rect);
+        return this.camera.screenToWorld(screen.x, screen.y);
     }
 
     handleMove(e) {
@@ -79,20 +108,29 @@ export class InputHandler {
 
     handleClick(e) {
         const pos = this.getCanvasPosition(e);
-        if (this.callbacks.onClick) {
-            this.callbacks.onClick(pos.x, pos.y, this.velocity);
-        }
+        this.emitClick(pos.x, pos.y);
     }
 
     handleLeave(e) {
         // Reset to center when leaving
-        this.x = this.canvas.width / 2;
-        this.y = this.canvas.height / 2;
+        this.park();
+    }
+
+    // Zoom in and out; at a zoom limit the page scrolls as usual
+    handleWheel(e) {
+        const factor = Camera.wheelFactor(e.deltaY, e.deltaMode);
+        if (!this.camera.canZoom(factor)) return;
+
+        e.preventDefault();
+        this.emitZoom(factor);
     }
 
     handleTouchStart(e) {
         this.isTouch = true;
-        if (e.touches.length > 0) {
+        if (e.touches.length >= 2) {
+            this.pinchDistance = Camera.pinchDistance(e.touches);
+            this.pinched = true;
+        } else if (e.touches.length > 0) {
             const touch = e.touches[0];
             const pos = this.getCanvasPosition(touch);
             this.updatePosition(pos.x, pos.y);
@@ -100,7 +138,11 @@ export class InputHandler {
     }
 
     handleTouchMove(e) {
-        if (e.touches.length > 0) {
+        if (e.touches.length >= 2 && this.pinchDistance) {
+            const distance = Camera.pinchDistance(e.touches);
+            this.emitZoom(distance / this.pinchDistance);
+            this.pinchDistance = distance;
+        } else if (e.touches.length > 0 && !this.pinched) {
             const touch = e.touches[0];
             const pos = this.getCanvasPosition(touch);
             this.updatePosition(pos.x, pos.y);
@@ -108,13 +150,19 @@ export class InputHandler {
     }
 
     handleTouchEnd(e) {
-        // Treat touch end as click at last position
-        if (this.callbacks.onClick) {
-            this.callbacks.onClick(this.x, this.y, this.velocity);
+        // A pinch isn't a tap; wait for every finger to lift
+        if (this.pinched) {
+            this.pinchDistance = null;
+            if (e.touches.length === 0) this.pinched = false;
+            return;
         }
+
+        // Treat touch end as click at last position
+        this.emitClick(this.x, this.y);
     }
 
     updatePosition(x, y) {
+        this.hasMoved = true;
         this.lastX = this.x;
         this.lastY = this.y;
         this.x = x;
@@ -128,35 +176,84 @@ export class InputHandler {
         // Check dwell
         const dwellDist = Utils.distance(x, y, this.dwellPosition.x, this.dwellPosition.y);
         if (dwellDist > this.dwellThreshold) {
-            this.dwellStartTime = performance.now();
+            this.dwellStartTime = this.clock.now;
             this.dwellPosition = { x, y };
+            this.dwellReported = false;
         }
 
-        if (this.callbacks.onMove) {
-            this.callbacks.onMove(x, y, this.velocity);
-        }
+        this.events.emit('input:move', { x, y, velocity: this.velocity });
+    }
+
+    emitClick(x, y) {
+        this.events.emit('input:click', { x, y, velocity: this.velocity });
+    }
+
+    // factor > 1 zooms in
+    emitZoom(factor) {
+        this.events.emit('input:zoom', { factor });
+    }
+
+    // Report a long dwell once per resting spot (call each frame)
+    update() {
+        const duration = this.getDwellTime();
+        if (!this.hasMoved || this.dwellReported || duration < this.dwellDuration) return;
+
+        this.dwellReported = true;
+        this.events.emit('input:dwell', { x: this.dwellPosition.x, y: this.dwellPosition.y, duration });
+    }
+
+    // Programmatic input (headless tests, replays)
+    moveTo(x, y) {
+        this.updatePosition(x, y);
+    }
+
+    clickAt(x, y) {
+        this.updatePosition(x, y);
+        this.emitClick(x, y);
+    }
+
+    // Pointer gone: rest the cursor at (x, y), by default the middle of the
+    // view, without a move event
+    park(x, y) {
+        const center = this.camera.getCenter();
+        this.x = x ?? center.x;
+        this.y = y ?? center.y;
     }
 
     // Get dwell time at current position (ms)
     getDwellTime() {
-        return performance.now() - this.dwellStartTime;
+        return this.clock.now - this.dwellStartTime;
     }
 
-    // Register callbacks
-    onMove(callback) { this.callbacks.onMove = callback; }
-    onClick(callback) { this.callbacks.onClick = callback; }
-    onDwell(callback) { this.callbacks.onDwell = callback; }
+    // Subscribe helpers (each returns an unsubscribe function)
+    onMove(callback) { return this.events.on('input:move', ({ x, y, velocity }) => callback(x, y, velocity)); }
+    onClick(callback) { return this.events.on('input:click', ({ x, y, velocity }) => callback(x, y, velocity)); }
+    onDwell(callback) { return this.events.on('input:dwell', ({ x, y, duration }) => callback(x, y, duration)); }
+    onZoom(callback) { return this.events.on('input:zoom', ({ factor }) => callback(factor)); }
 
-    // Get normalized position (-1 to 1, center is 0)
+    // Get normalized position on screen (-1 to 1, center is 0)
     getNormalizedPosition() {
+        const screen = this.camera.worldToScreen(this.x, this.y);
         return {
-            x: (this.x / this.canvas.width) * 2 - 1,
-            y: (this.y / this.canvas.height) * 2 - 1
+            x: (screen.x / this.camera.width) * 2 - 1,
+            y: (screen.y / this.camera.height) * 2 - 1
         };
     }
 
-    // Get pan value for audio (-1 to 1)
+    // Get pan value for audio (-1 to 1, from the on-screen position)
     getPan() {
-        return Utils.clamp((this.x / this.canvas.width) * 2 - 1, -1, 1);
+        return Utils.clamp(this.getNormalizedPosition().x, -1, 1);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return Utils.pickState(this, INPUT_STATE);
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, INPUT_STATE);
     }
 }
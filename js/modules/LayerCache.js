@@ -0,0 +1,78 @@
+/**
+ * LayerCache Module
+ * Offscreen bitmaps for scene layers that change slowly. Each layer is drawn once
+ * into its own bitmap and only composited after that; it is drawn again when its
+ * key changes (time of day, theme, quality) or its size or pixel ratio does
+ */
+
+export class LayerCache {
+    constructor() {
+        // name -> { canvas, ctx, key, index }
+        this.layers = new Map();
+        this.frame = 0;
+    }
+
+    // Needs OffscreenCanvas or a DOM canvas (not in plain Node)
+    static isSupported() {
+        return typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined';
+    }
+
+    // Once per frame, before the layers are drawn
+    beginFrame() {
+        this.frame++;
+    }
+
+    // Composite layer `name` over `bounds` ({ x, y, width, height } in scene units),
+    // shifted right by `offsetX`. `render(ctx)` draws the layer in scene coordinates.
+    // A missing bitmap is drawn at once; outdated ones take turns, one per frame,
+    // so a theme fade doesn't redraw every layer on every frame
+    draw(ctx, name, bounds, key, offsetX, render) {
+        const ratio = pixelRatio(ctx);
+        const width = Math.max(1, Math.ceil(bounds.width * ratio));
+        const height = Math.max(1, Math.ceil(bounds.height * ratio));
+        let layer = this.layers.get(name);
+
+        if (!layer || layer.canvas.width !== width || layer.canvas.height !== height) {
+            const canvas = createCanvas(width, height);
+            layer = { canvas, ctx: canvas.getContext('2d'), key: null, index: layer ? layer.index : this.layers.size };
+            this.layers.set(name, layer);
+            this.paint(layer, bounds, ratio, key, render);
+        } else if (!sameKey(layer.key, key) && this.frame % this.layers.size === layer.index) {
+            this.paint(layer, bounds, ratio, key, render);
+        }
+
+        ctx.drawImage(layer.canvas, bounds.x + offsetX, bounds.y, bounds.width, bounds.height);
+    }
+
+    paint(layer, bounds, ratio, key, render) {
+        const ctx = layer.ctx;
+
+        ctx.setTransform(ratio, 0, 0, ratio, -bounds.x * ratio, -bounds.y * ratio);
+        ctx.clearRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        ctx.save();
+        render(ctx);
+        ctx.restore();
+
+        layer.key = key;
+    }
+
+    // Drop every bitmap (resize, regenerated content); they are drawn again on next use
+    clear() {
+        this.layers.clear();
+    }
+}
+
+const createCanvas = (width, height) => {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+// Device pixels per scene unit on the target (the camera's pixel ratio)
+const pixelRatio = (ctx) => (ctx.getTransform ? ctx.getTransform().a : 1) || 1;
+
+// Keys are lists compared item by item (objects by identity)
+const sameKey = (a, b) => !!a && a.length === b.length && a.every((value, i) => value === b[i]);
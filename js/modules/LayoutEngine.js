@@ -0,0 +1,149 @@
+/**
+ * LayoutEngine Module
+ * Where the flower stands and where the horizon lies for the current viewport:
+ * picks the COMPOSITION rules (config.js) for its aspect ratio and breakpoint,
+ * fits them inside the CSS safe-area insets and glides from one composition to
+ * the next (orientation changes) instead of jumping
+ */
+
+import { COMPOSITION, BREAKPOINTS, Utils, Easing } from '../config.js';
+import { EventBus } from './EventBus.js';
+
+const NO_INSETS = { top: 0, right: 0, bottom: 0, left: 0 };
+
+// Rule fields that glide during a change of composition
+const RULE_KEYS = ['flowerX', 'baseY', 'stem', 'maxStem', 'radius', 'horizon'];
+
+export class LayoutEngine {
+    constructor(options = {}) {
+        this.events = options.events || new EventBus();
+
+        // View size (CSS pixels) and safe-area insets
+        this.width = 0;
+        this.height = 0;
+        this.insets = NO_INSETS;
+
+        // Active composition ('portrait', 'landscape', 'ultrawide') and breakpoint
+        this.composition = null;
+        this.breakpoint = null;
+
+        // Glide between rule sets (simulated ms, so it pauses with the scene)
+        this.duration = options.duration ?? 900;
+        this.from = null;
+        this.to = null;
+        this.rule = null;
+        this.progress = 1;
+
+        // Reduced motion: a new composition applies at once
+        this.reducedMotion = !!options.reducedMotion;
+    }
+
+    // Composition or breakpoint changed: ({ composition, breakpoint }); returns an unsubscribe function
+    onChange(callback) {
+        return this.events.on('layout:change', callback);
+    }
+
+    // CSS safe-area insets (notches, home indicator) that overlap `container`, in CSS
+    // pixels. Zero without a DOM, or where the page lacks viewport-fit=cover
+    static readInsets(container) {
+        if (typeof document === 'undefined' || !container || !container.getBoundingClientRect) return NO_INSETS;
+
+        const probe = document.createElement('div');
+        probe.style.cssText = 'position: fixed; visibility: hidden; pointer-events: none; padding: '
+            + 'env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) '
+            + 'env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px);';
+        document.body.appendChild(probe);
+
+        const style = getComputedStyle(probe);
+        const rect = container.getBoundingClientRect();
+        const insets = {
+            top: Math.max(0, parseFloat(style.paddingTop) - rect.top),
+            right: Math.max(0, parseFloat(style.paddingRight) - (window.innerWidth - rect.right)),
+            bottom: Math.max(0, parseFloat(style.paddingBottom) - (window.innerHeight - rect.bottom)),
+            left: Math.max(0, parseFloat(style.paddingLeft) - rect.left)
+        };
+
+        probe.remove();
+        return insets;
+    }
+
+    static compositionFor(width, height) {
+        const aspect = width / Math.max(1, height);
+        if (aspect < COMPOSITION.aspect.portrait) return 'portrait';
+        if (aspect >= COMPOSITION.aspect.ultrawide) return 'ultrawide';
+        return 'landscape';
+    }
+
+    // First breakpoint at or above `width`; wider views count as the widest
+    static breakpointFor(width) {
+        const names = Object.keys(BREAKPOINTS);
+        return names.find(name => width <= BREAKPOINTS[name]) || names[names.length - 1];
+    }
+
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+    }
+
+    // Returns true when the composition or breakpoint changed (the first call
+    // applies at once, later ones glide)
+    resize(width, height, insets = NO_INSETS) {
+        this.width = width;
+        this.height = height;
+        this.insets = { ...NO_INSETS, ...insets };
+
+        const composition = LayoutEngine.compositionFor(width, height);
+        const breakpoint = LayoutEngine.breakpointFor(width);
+        if (composition === this.composition && breakpoint === this.breakpoint) return false;
+
+        const target = { ...COMPOSITION.rules[composition], ...COMPOSITION.breakpoints[breakpoint] };
+        const glide = this.rule !== null && !this.reducedMotion && this.duration > 0;
+
+        this.from = glide ? this.rule : null;
+        this.to = target;
+        this.rule = glide ? this.rule : target;
+        this.progress = glide ? 0 : 1;
+
+        this.composition = composition;
+        this.breakpoint = breakpoint;
+        this.events.emit('layout:change', { composition, breakpoint });
+        return true;
+    }
+
+    isAnimating() {
+        return this.progress < 1;
+    }
+
+    // Returns true while the layout moved this frame
+    update(deltaTime) {
+        if (!this.isAnimating()) return false;
+
+        this.progress = Math.min(1, this.progress + deltaTime / this.duration);
+
+        if (this.progress >= 1) {
+            this.rule = this.to;
+            this.from = null;
+        } else {
+            const t = Easing.smoothStep(this.progress);
+            this.rule = {};
+            RULE_KEYS.forEach(key => { this.rule[key] = Utils.lerp(this.from[key], this.to[key], t); });
+        }
+        return true;
+    }
+
+    // Layout in CSS pixels: { baseX, baseY, stemHeight, flowerRadius, horizon }
+    // (horizon as a fraction of the full height)
+    get() {
+        const rule = this.rule || COMPOSITION.rules.landscape;
+        const { top, right, bottom, left } = this.insets;
+        const width = Math.max(1, this.width - left - right);
+        const height = Math.max(1, this.height - top - bottom);
+
+        return {
+            baseX: left + width * rule.flowerX,
+            baseY: top + height * rule.baseY,
+            stemHeight: Math.min(height * rule.stem, rule.maxStem),
+            flowerRadius: Math.min(width, height) * rule.radius,
+            horizon: rule.horizon
+        };
+    }
+}
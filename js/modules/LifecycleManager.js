@@ -0,0 +1,147 @@
+/**
+ * LifecycleManager Module
+ * Watches the page and the AudioContext (hidden tab, pagehide / bfcache,
+ * phone calls and other audio interruptions) and publishes
+ * lifecycle:suspend / lifecycle:resume so the scene can freeze and fade back in
+ */
+
+import { EventBus } from './EventBus.js';
+
+export class LifecycleManager {
+    constructor(options = {}) {
+        this.events = options.events || new EventBus();
+
+        // Why we are suspended: 'hidden', 'pagehide', 'audio'.
+        // The scene resumes only once every reason has cleared
+        this.reasons = new Set();
+
+        this.audioCtx = null;
+        this.boundEvents = [];
+        this.gestureBound = false;
+
+        this.handleVisibility = this.handleVisibility.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+        this.handlePageShow = this.handlePageShow.bind(this);
+        this.handleAudioState = this.handleAudioState.bind(this);
+        this.handleGesture = this.handleGesture.bind(this);
+    }
+
+    bindEvents() {
+        this.addListener(document, 'visibilitychange', this.handleVisibility);
+        this.addListener(window, 'pagehide', this.handlePageHide);
+        this.addListener(window, 'pageshow', this.handlePageShow);
+
+        // Opened in a background tab
+        if (document.hidden) this.suspend('hidden');
+    }
+
+    // Follow an AudioContext once it exists (it is created after the first tap)
+    watchAudio(ctx) {
+        if (!ctx || this.audioCtx === ctx) return;
+
+        this.audioCtx = ctx;
+        this.addListener(ctx, 'statechange', this.handleAudioState);
+    }
+
+    addListener(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.boundEvents.push([target, type, handler]);
+    }
+
+    removeListener(target, type, handler) {
+        target.removeEventListener(type, handler);
+        this.boundEvents = this.boundEvents.filter(([t, ty, h]) => t !== target || ty !== type || h !== handler);
+    }
+
+    destroy() {
+        this.boundEvents.forEach(([target, type, handler]) => {
+            target.removeEventListener(type, handler);
+        });
+        this.boundEvents = [];
+        this.gestureBound = false;
+        this.audioCtx = null;
+        this.reasons.clear();
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // STATE
+    // ═══════════════════════════════════════════════════════
+
+    suspend(reason) {
+        if (this.reasons.has(reason)) return;
+
+        const wasRunning = this.reasons.size === 0;
+        this.reasons.add(reason);
+
+        if (wasRunning) this.events.emit('lifecycle:suspend', { reason });
+    }
+
+    release(reason) {
+        if (!this.reasons.delete(reason)) return;
+
+        if (this.reasons.size === 0) this.events.emit('lifecycle:resume', { reason });
+    }
+
+    isSuspended() {
+        return this.reasons.size > 0;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // HANDLERS
+    // ═══════════════════════════════════════════════════════
+
+    handleVisibility() {
+        if (document.hidden) this.suspend('hidden');
+        else this.release('hidden');
+    }
+
+    handlePageHide() {
+        this.suspend('pagehide');
+    }
+
+    // Also fires when the page comes back from the back/forward cache
+    handlePageShow() {
+        this.release('pagehide');
+    }
+
+    handleAudioState() {
+        const state = this.audioCtx.state;
+
+        if (state === 'running') {
+            this.release('audio');
+            return;
+        }
+
+        // We suspend the context ourselves while hidden; that's not an interruption
+        if (state === 'closed' || (this.isSuspended() && !this.reasons.has('audio'))) return;
+
+        // 'interrupted' (Safari: call, Siri, other app) or 'suspended' by the system
+        this.suspend('audio');
+
+        // The interruption is over once Safari reports 'suspended' again; iOS often
+        // needs a fresh tap before it lets the context run
+        if (state === 'suspended') {
+            this.audioCtx.resume().catch(() => {});
+            this.waitForGesture();
+        }
+    }
+
+    waitForGesture() {
+        if (this.gestureBound) return;
+        this.gestureBound = true;
+
+        this.addListener(window, 'pointerdown', this.handleGesture);
+        this.addListener(window, 'keydown', this.handleGesture);
+    }
+
+    handleGesture() {
+        this.removeListener(window, 'pointerdown', this.handleGesture);
+        this.removeListener(window, 'keydown', this.handleGesture);
+        this.gestureBound = false;
+
+        // statechange -> 'running' releases the 'audio' reason
+        if (this.audioCtx && this.audioCtx.state !== 'running') {
+            this.audioCtx.resume().catch(() => {});
+        }
+    }
+}
@@ -4,7 +4,10 @@
  * Optimized with batching and particle cap
  */
 
-import { COLORS, PHYSICS, Utils } from '../config.js';
+import { COLORS, PHYSICS, Utils, Random } from '../config.js';
+import { ThemeManager } from './ThemeManager.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { Canvas2DRenderer } from './Canvas2DRenderer.js';
 
 class Particle {
     constructor(type, x, y, options = {}) {
@@ -19,13 +22,16 @@ class Particle {
         this.size = options.size || 2;
         this.color = options.color || COLORS.dustMote;
         this.alpha = options.alpha || 0.5;
-        this.phase = Math.random() * Math.PI * 2;
+        this.random = options.random || Random;
+        this.phase = this.random.next() * Math.PI * 2;
     }
 
-    update(deltaTime, wind) {
+    update(deltaTime, wind, time) {
+        const frameScale = deltaTime * 0.06;
+
         // Apply wind
-        this.vx += wind.x * 0.01;
-        this.vy += wind.y * 0.01;
+        this.vx += wind.x * 0.01 * frameScale;
+        this.vy += wind.y * 0.01 * frameScale;
 
         // Apply velocity
         this.x += this.vx * deltaTime * 0.05;
@@ -38,17 +44,18 @@ class Particle {
         if (this.type === 'dust') {
             // Gentle floating
             this.vy -= 0.001 * deltaTime;
-            this.x += Math.sin(performance.now() * 0.001 + this.phase) * 0.1;
+            this.x += Math.sin(time + this.phase) * 0.1 * frameScale;
         } else if (this.type === 'pollen') {
             // Quick dissipation
-            this.vx *= PHYSICS.pollenDissipateSpeed;
-            this.vy *= PHYSICS.pollenDissipateSpeed;
+            const dissipation = Math.pow(PHYSICS.pollenDissipateSpeed, frameScale);
+            this.vx *= dissipation;
+            this.vy *= dissipation;
         } else if (this.type === 'firefly') {
             // Gentle random motion
-            this.vx += (Math.random() - 0.5) * 0.02;
-            this.vy += (Math.random() - 0.5) * 0.02;
-            this.vx *= 0.98;
-            this.vy *= 0.98;
+            this.vx += (this.random.next() - 0.5) * 0.02 * frameScale;
+            this.vy += (this.random.next() - 0.5) * 0.02 * frameScale;
+            this.vx *= Math.pow(0.98, frameScale);
+            this.vy *= Math.pow(0.98, frameScale);
         }
 
         return this.life > 0;
@@ -56,11 +63,17 @@ class Particle {
 }
 
 export class ParticleSystem {
-    constructor(ctx, width, height, capabilities) {
+    constructor(ctx, width, height, options = {}) {
         this.ctx = ctx;
         this.width = width;
         this.height = height;
-        this.capabilities = capabilities;
+        this.clock = options.clock;
+        this.theme = options.theme || new ThemeManager();
+        this.quality = options.quality || new QualityGovernor();
+        this.renderer = options.renderer || new Canvas2DRenderer({ theme: this.theme, quality: this.quality });
+
+        // The scene's seeded stream
+        this.random = options.random || Random;
 
         // Particle pools
         this.dustParticles = [];
@@ -68,17 +81,18 @@ export class ParticleSystem {
         this.bokehParticles = [];
         this.fireflies = [];
 
-        // Caps based on device capability
-        this.maxDust = capabilities.maxParticles;
-        this.maxPollen = Math.floor(PHYSICS.maxPollenParticles * (capabilities.isLowEnd ? 0.5 : 1));
-        this.maxFireflies = capabilities.isLowEnd ? 4 : PHYSICS.maxFireflies;
-
         // Cursor tracking for fade
         this.cursorX = width / 2;
         this.cursorY = height / 2;
 
         // Night mode
         this.nightMode = false;
+
+        // Reduced motion: no pollen bursts
+        this.reducedMotion = false;
+
+        // Caps scaled by the quality tier and the density setting
+        this.setDensity(options.density ?? 1);
     }
 
     resize(width, height) {
@@ -86,25 +100,45 @@ export class ParticleSystem {
         this.height = height;
     }
 
+    // 1 = tier default, 0 = no ambient particles; trims live pools to the new caps.
+    // Call again after a quality change
+    setDensity(density) {
+        this.density = Math.max(0, density);
+        const scale = this.quality.tier.particles * this.density;
+
+        this.maxDust = Math.round(PHYSICS.maxDustParticles * scale);
+        this.maxPollen = Math.floor(PHYSICS.maxPollenParticles * scale);
+        this.maxFireflies = Math.round(PHYSICS.maxFireflies * scale);
+
+        this.dustParticles.length = Math.min(this.dustParticles.length, this.maxDust);
+        this.fireflies.length = Math.min(this.fireflies.length, this.maxFireflies);
+        if (this.nightMode) this.spawnFireflies();
+    }
+
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+    }
+
     // Spawn ambient dust particles
     spawnDust(count = 1) {
         for (let i = 0; i < count && this.dustParticles.length < this.maxDust; i++) {
-            const edge = Math.floor(Math.random() * 4);
+            const edge = Math.floor(this.random.next() * 4);
             let x, y;
 
             switch (edge) {
-                case 0: x = Math.random() * this.width; y = -10; break;
-                case 1: x = this.width + 10; y = Math.random() * this.height; break;
-                case 2: x = Math.random() * this.width; y = this.height + 10; break;
-                default: x = -10; y = Math.random() * this.height;
+                case 0: x = this.random.next() * this.width; y = -10; break;
+                case 1: x = this.width + 10; y = this.random.next() * this.height; break;
+                case 2: x = this.random.next() * this.width; y = this.height + 10; break;
+                default: x = -10; y = this.random.next() * this.height;
             }
 
             this.dustParticles.push(new Particle('dust', x, y, {
-                vx: Utils.randomRange(-0.5, 0.5),
-                vy: Utils.randomRange(-0.3, -0.1),
-                size: Utils.randomRange(1, 3),
-                alpha: Utils.randomRange(0.1, 0.3),
-                decay: Utils.randomRange(0.002, 0.005),
+                random: this.random,
+                vx: this.random.range(-0.5, 0.5),
+                vy: this.random.range(-0.3, -0.1),
+                size: this.random.range(1, 3),
+                alpha: this.random.range(0.1, 0.3),
+                decay: this.random.range(0.002, 0.005),
                 color: COLORS.dustMote
             }));
         }
@@ -118,11 +152,12 @@ export class ParticleSystem {
 
         for (let i = 0; i < count; i++) {
             this.pollenParticles.push(new Particle('pollen', x, y, {
-                vx: Utils.randomRange(-1, 1) * velocity,
-                vy: Utils.randomRange(-1, 0.5) * velocity,
-                size: Utils.randomRange(2, 4),
-                alpha: Utils.randomRange(0.4, 0.7),
-                decay: Utils.randomRange(0.02, 0.04),
+                random: this.random,
+                vx: this.random.range(-1, 1) * velocity,
+                vy: this.random.range(-1, 0.5) * velocity,
+                size: this.random.range(2, 4),
+                alpha: this.random.range(0.4, 0.7),
+                decay: this.random.range(0.02, 0.04),
                 color: COLORS.pollenGold
             }));
         }
@@ -130,16 +165,19 @@ export class ParticleSystem {
 
     // Spawn radial pollen burst (for center click)
     spawnPollenBurst(x, y, count = 15) {
+        if (this.reducedMotion) return;
+
         for (let i = 0; i < count && this.pollenParticles.length < this.maxPollen * 2; i++) {
-            const angle = (i / count) * Math.PI * 2 + Utils.randomRange(-0.2, 0.2);
-            const speed = Utils.randomRange(1, 3);
+            const angle = (i / count) * Math.PI * 2 + this.random.range(-0.2, 0.2);
+            const speed = this.random.range(1, 3);
 
             this.pollenParticles.push(new Particle('pollen', x, y, {
+                random: this.random,
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
-                size: Utils.randomRange(2, 5),
-                alpha: Utils.randomRange(0.5, 0.8),
-                decay: Utils.randomRange(0.015, 0.025),
+                size: this.random.range(2, 5),
+                alpha: this.random.range(0.5, 0.8),
+                decay: this.random.range(0.015, 0.025),
                 color: COLORS.pollenGold
             }));
         }
@@ -149,14 +187,15 @@ export class ParticleSystem {
     spawnFireflies() {
         while (this.fireflies.length < this.maxFireflies) {
             // Only spawn at edges
-            const edge = Math.random() > 0.5;
-            const x = edge ? Utils.randomRange(0, this.width * 0.2) : Utils.randomRange(this.width * 0.8, this.width);
-            const y = Utils.randomRange(this.height * 0.3, this.height * 0.8);
+            const edge = this.random.next() > 0.5;
+            const x = edge ? this.random.range(0, this.width * 0.2) : this.random.range(this.width * 0.8, this.width);
+            const y = this.random.range(this.height * 0.3, this.height * 0.8);
 
             this.fireflies.push(new Particle('firefly', x, y, {
-                vx: Utils.randomRange(-0.2, 0.2),
-                vy: Utils.randomRange(-0.1, 0.1),
-                size: Utils.randomRange(3, 6),
+                random: this.random,
+                vx: this.random.range(-0.2, 0.2),
+                vy: this.random.range(-0.1, 0.1),
+                size: this.random.range(3, 6),
                 alpha: 0,
                 decay: -0.005, // Negative = fade in
                 maxLife: 3,
@@ -180,19 +219,21 @@ export class ParticleSystem {
     }
 
     update(deltaTime, wind) {
+        const time = this.clock.getSeconds();
+
         // Spawn ambient dust occasionally
-        if (Math.random() < 0.02 && this.dustParticles.length < this.maxDust) {
+        if (this.random.next() < 0.02 * deltaTime * 0.06 && this.dustParticles.length < this.maxDust) {
             this.spawnDust();
         }
 
         // Update dust
         this.dustParticles = this.dustParticles.filter(p => {
-            if (!p.update(deltaTime, wind)) return false;
+            if (!p.update(deltaTime, wind, time)) return false;
 
             // Fade near cursor
             const distToCursor = Utils.distance(p.x, p.y, this.cursorX, this.cursorY);
             if (distToCursor < 100) {
-                p.alpha *= 0.95;
+                p.alpha *= Math.pow(0.95, deltaTime * 0.06);
             }
 
             // Remove if off screen
@@ -204,16 +245,16 @@ export class ParticleSystem {
         });
 
         // Update pollen
-        this.pollenParticles = this.pollenParticles.filter(p => p.update(deltaTime, wind));
+        this.pollenParticles = this.pollenParticles.filter(p => p.update(deltaTime, wind, time));
 
         // Update fireflies
         if (this.nightMode) {
             this.fireflies = this.fireflies.filter(p => {
-                const alive = p.update(deltaTime, { x: 0, y: 0 });
+                const alive = p.update(deltaTime, { x: 0, y: 0 }, time);
 
                 // Pulsing glow
                 p.currentAlpha = Math.max(0, Math.min(0.8,
-                    p.alpha + Math.sin(performance.now() * 0.003 + p.phase) * 0.3
+                    p.alpha + Math.sin(time * 3 + p.phase) * 0.3
                 ));
 
                 // Fade near cursor
@@ -225,8 +266,8 @@ export class ParticleSystem {
                 // Wrap around screen edges
                 if (p.x < -20) p.x = this.width + 20;
                 if (p.x > this.width + 20) p.x = -20;
-                if (p.y < this.height * 0.2) p.vy += 0.01;
-                if (p.y > this.height * 0.9) p.vy -= 0.01;
+                if (p.y < this.height * 0.2) p.vy += 0.01 * deltaTime * 0.06;
+                if (p.y > this.height * 0.9) p.vy -= 0.01 * deltaTime * 0.06;
 
                 return alive || p.life < -2;
             });
@@ -240,59 +281,39 @@ export class ParticleSystem {
 
     draw() {
         const ctx = this.ctx;
+        const renderer = this.renderer;
+        const glow = this.quality.tier.glow;
 
         // Draw dust
+        const dust = this.theme.rgb('dust');
         this.dustParticles.forEach(p => {
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
-            ctx.fillStyle = `rgba(200, 192, 168, ${p.alpha * p.life})`;
-            ctx.fill();
+            renderer.dot(ctx, p.x, p.y, p.size, dust, p.alpha * p.life);
         });
 
         // Draw pollen with glow
+        const pollen = this.theme.rgb('pollen');
+        const pollenCore = this.theme.rgb('glow');
         this.pollenParticles.forEach(p => {
             const alpha = p.alpha * p.life;
 
-            // Outer glow
-            const gradient = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.size * 3);
-            gradient.addColorStop(0, `rgba(212, 184, 74, ${alpha})`);
-            gradient.addColorStop(0.5, `rgba(212, 184, 74, ${alpha * 0.3})`);
-            gradient.addColorStop(1, 'rgba(212, 184, 74, 0)');
-
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, p.size * 3, 0, Math.PI * 2);
-            ctx.fillStyle = gradient;
-            ctx.fill();
+            // Outer glow (skipped on lower quality tiers)
+            if (glow) renderer.glow(ctx, p.x, p.y, p.size * 3, pollen, alpha);
 
             // Core
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
-            ctx.fillStyle = `rgba(255, 240, 180, ${alpha})`;
-            ctx.fill();
+            renderer.dot(ctx, p.x, p.y, p.size, pollenCore, alpha);
         });
 
         // Draw fireflies
         if (this.nightMode) {
+            const firefly = this.theme.rgb('fireflies');
+            const fireflyCore = this.theme.rgb('fireflyCore');
             this.fireflies.forEach(p => {
                 const alpha = p.currentAlpha || p.alpha;
                 if (alpha <= 0) return;
 
-                // Glow
-                const gradient = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.size * 4);
-                gradient.addColorStop(0, `rgba(255, 232, 152, ${alpha})`);
-                gradient.addColorStop(0.3, `rgba(255, 232, 152, ${alpha * 0.5})`);
-                gradient.addColorStop(1, 'rgba(255, 232, 152, 0)');
-
-                ctx.beginPath();
-                ctx.arc(p.x, p.y, p.size * 4, 0, Math.PI * 2);
-                ctx.fillStyle = gradient;
-                ctx.fill();
-
-                // Bright core
-                ctx.beginPath();
-                ctx.arc(p.x, p.y, p.size * 0.5, 0, Math.PI * 2);
-                ctx.fillStyle = `rgba(255, 255, 220, ${alpha})`;
-                ctx.fill();
+                // Glow, then a bright core
+                renderer.glow(ctx, p.x, p.y, p.size * 4, firefly, alpha, 0.3, 0.5);
+                renderer.dot(ctx, p.x, p.y, p.size * 0.5, fireflyCore, alpha);
             });
         }
     }
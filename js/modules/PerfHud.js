@@ -0,0 +1,209 @@
+/**
+ * PerfHud Module
+ * Developer overlay (?debug, or the ` key): FPS, a frame-time graph, update and
+ * draw time per module, particle counts, playing audio sources, the quality tier,
+ * the StateManager state and the seed. While shown it wraps the profiled
+ * modules' update()/draw() with timers; hidden, the modules run untouched.
+ * Split across a worker (OffscreenDaisy): the scene's HUD has no container and
+ * hands each report to `options.report`; the page's has no modules and show()s it
+ */
+
+// Modules timed per frame, in the order they are drawn
+const PROFILED = ['background', 'particles', 'garden', 'pollenTrail', 'bees'];
+
+// Frame-time graph length (frames) and its top (ms)
+const HISTORY = 120;
+const GRAPH_MAX = 50;
+
+// Text and graph redraw interval (ms); timings are averaged over it
+const REFRESH = 250;
+
+export class PerfHud {
+    // `modules`: { background, particles, garden, pollenTrail, bees, audio, stateManager, quality, renderer }
+    // (null: only show() reports measured elsewhere)
+    constructor(container, modules, options = {}) {
+        this.container = container;
+        this.modules = modules;
+        this.visible = false;
+
+        // Shown so a scene can be replayed (?seed=)
+        this.seed = options.seed ?? null;
+
+        // (text, history) of each refresh, instead of drawing it here
+        this.report = options.report || null;
+
+        this.history = [];
+        this.resetWindow();
+
+        this.element = null;
+        if (container) this.build();
+        if (options.visible) this.setVisible(true);
+    }
+
+    build() {
+        this.element = document.createElement('div');
+        this.element.className = 'daisy-hud';
+        this.element.setAttribute('aria-hidden', 'true');
+        this.element.hidden = true;
+
+        this.graph = document.createElement('canvas');
+        this.graph.className = 'daisy-hud-graph';
+        this.graph.width = HISTORY * 2;
+        this.graph.height = 48;
+
+        this.text = document.createElement('pre');
+        this.text.className = 'daisy-hud-text';
+
+        this.element.appendChild(this.graph);
+        this.element.appendChild(this.text);
+        this.container.appendChild(this.element);
+    }
+
+    setVisible(visible) {
+        if (visible === this.visible) return;
+        this.visible = visible;
+        if (this.element) this.element.hidden = !visible;
+        if (!this.modules) return;
+
+        if (visible) {
+            this.instrument();
+            this.history = [];
+            this.resetWindow();
+        } else {
+            this.restore();
+        }
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    destroy() {
+        if (this.modules) this.restore();
+        if (this.element) this.element.remove();
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // MEASUREMENT
+    // ═══════════════════════════════════════════════════════
+
+    // Own update()/draw() on each module that add their time to this window.
+    // Substeps (fast-forward) add up within a frame
+    instrument() {
+        PROFILED.forEach(name => {
+            const module = this.modules[name];
+            ['update', 'draw'].forEach(method => {
+                const original = module[method];
+                module[method] = (...args) => {
+                    const start = performance.now();
+                    const result = original.apply(module, args);
+                    this.timings[name][method] += performance.now() - start;
+                    return result;
+                };
+            });
+        });
+    }
+
+    // Back to the prototype methods
+    restore() {
+        PROFILED.forEach(name => {
+            delete this.modules[name].update;
+            delete this.modules[name].draw;
+        });
+    }
+
+    resetWindow() {
+        this.windowStart = performance.now();
+        this.windowFrames = 0;
+        this.windowTime = 0;
+        this.windowWork = 0;
+        this.timings = {};
+        PROFILED.forEach(name => { this.timings[name] = { update: 0, draw: 0 }; });
+    }
+
+    // Once per rendered frame: ms since the previous frame and ms spent on this one
+    frame(frameTime, workTime) {
+        if (!this.visible) return;
+
+        this.history.push(frameTime);
+        if (this.history.length > HISTORY) this.history.shift();
+
+        this.windowFrames++;
+        this.windowTime += frameTime;
+        this.windowWork += workTime;
+
+        const elapsed = performance.now() - this.windowStart;
+        if (elapsed < REFRESH) return;
+
+        this.render(elapsed);
+        this.resetWindow();
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // DRAWING
+    // ═══════════════════════════════════════════════════════
+
+    render(elapsed) {
+        const { particles, pollenTrail, audio, stateManager, quality, renderer } = this.modules;
+        const frames = this.windowFrames;
+        const ms = (value) => (value / frames).toFixed(2).padStart(7);
+
+        const fps = Math.round(frames * 1000 / elapsed);
+
+        const state = [
+            stateManager.dayPhase,
+            stateManager.getIsIdle() && 'idle',
+            stateManager.getCuriosityActive() && 'curious'
+        ].filter(Boolean).join(' · ');
+
+        const text = [
+            `${fps} fps · ${(this.windowTime / frames).toFixed(1)} ms · work ${(this.windowWork / frames).toFixed(1)} ms`,
+            `quality ${quality.getName()}${quality.adaptive ? ' (auto)' : ''} · ${renderer.name}`,
+            '',
+            `${'ms/frame'.padEnd(12)} update    draw`,
+            ...PROFILED.map(name => `${name.padEnd(12)}${ms(this.timings[name].update)} ${ms(this.timings[name].draw)}`),
+            '',
+            `dust      ${particles.dustParticles.length}/${particles.maxDust}`,
+            `pollen    ${particles.pollenParticles.length}/${particles.maxPollen}`,
+            `fireflies ${particles.fireflies.length}/${particles.maxFireflies}`,
+            `trail     ${pollenTrail.particles.length}/${pollenTrail.maxParticles}`,
+            `audio     ${audio.isInitialized ? `${audio.getActiveSources()} sources` : 'off'}`,
+            `state     ${state} · night ${Math.round(stateManager.getNightProgress() * 100)}%`,
+            `seed      ${this.seed}`
+        ].join('\n');
+
+        if (this.report) this.report(text, this.history);
+        else this.show(text, this.history);
+    }
+
+    show(text, history) {
+        this.history = history;
+        this.text.textContent = text;
+        this.drawGraph();
+    }
+
+    // Bars per frame; lines at the 60 and 30 fps budgets
+    drawGraph() {
+        const ctx = this.graph.getContext('2d');
+        if (!ctx) return;
+
+        const { width, height } = this.graph;
+        const y = (ms) => height - Math.min(ms, GRAPH_MAX) / GRAPH_MAX * height;
+
+        ctx.clearRect(0, 0, width, height);
+
+        this.history.forEach((t, i) => {
+            ctx.fillStyle = t > 1000 / 30 ? '#e66' : (t > 1000 / 55 ? '#eb4' : '#6c6');
+            ctx.fillRect(i * 2, y(t), 2, height - y(t));
+        });
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 1;
+        [1000 / 60, 1000 / 30].forEach(ms => {
+            ctx.beginPath();
+            ctx.moveTo(0, Math.round(y(ms)) + 0.5);
+            ctx.lineTo(width, Math.round(y(ms)) + 0.5);
+            ctx.stroke();
+        });
+    }
+}
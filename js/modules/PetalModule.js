@@ -1,35 +1,66 @@
 /**
  * PetalModule
- * Individual petal with unique properties and interaction states
+ * Individual petal with unique properties and interaction states. PetalManager
+ * lays them out in the species' rings (see SPECIES in config.js)
  */
 
-import { COLORS, PHYSICS, TIMING, Utils, Easing } from '../config.js';
+import { PALETTES, PHYSICS, TIMING, Utils, Easing, Random, getSpecies } from '../config.js';
+import { ThemeManager } from './ThemeManager.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { Canvas2DRenderer } from './Canvas2DRenderer.js';
+
+// Fields captured by Petal.serialize() (per-petal variation included, so a
+// restored flower keeps its exact shape)
+const PETAL_STATE = [
+    'angle', 'hueOffset', 'lengthVariation', 'widthVariation', 'phase', 'naturalFreq',
+    'length', 'width', 'tiltAngle', 'tiltVelocity', 'targetTilt', 'tiltStiffness',
+    'spinAngle', 'spinVelocity', 'bendAngle', 'bendVelocity', 'bendStiffness',
+    'scale', 'scaleVelocity', 'targetScale', 'isHovered', 'glowIntensity', 'hueShift',
+    'vibrationPhase', 'bloomProgress', 'visible', 'rippleActive', 'rippleProgress', 'rippleIntensity',
+    'scaleResetAt'
+];
 
 export class Petal {
-    constructor(index, totalPetals, centerX, centerY, baseRadius) {
+    // `ring`: a resolved ring of the species plus { index, slot } (which ring, which
+    // place in it)
+    constructor(index, ring, centerX, centerY, baseRadius, options = {}) {
         this.index = index;
-        this.totalPetals = totalPetals;
+        this.ring = ring.index;
+        this.slot = ring.slot;
+        this.totalPetals = ring.count;
+        this.species = options.species || getSpecies();
+        this.random = options.random || Random;
+        this.clock = options.clock;
+        this.palette = options.palette || PALETTES.classic;
+        this.theme = options.theme || new ThemeManager();
+        this.quality = options.quality || new QualityGovernor();
+        this.renderer = options.renderer || new Canvas2DRenderer({ theme: this.theme, quality: this.quality });
 
         // Position (angle around center)
-        this.baseAngle = (index / totalPetals) * Math.PI * 2;
+        this.baseAngle = ((ring.slot + ring.offset) / ring.count) * Math.PI * 2;
         this.angle = this.baseAngle;
 
+        // Outline and base-to-tip color of the species
+        this.shape = ring.shape;
+        this.gradient = this.species.petals.gradient;
+        this.bloomSpeed = this.species.bloom.speed;
+
         // Unique properties per petal
-        this.hueOffset = Utils.randomRange(-8, 8);
-        this.lengthVariation = Utils.randomRange(0.88, 1.12);
-        this.widthVariation = Utils.randomRange(0.9, 1.1);
-        this.phase = Utils.randomRange(0, Math.PI * 2);
-        this.naturalFreq = Utils.randomRange(2.5, 4.5); // Natural oscillation frequency
+        this.hueOffset = this.random.range(-8, 8);
+        this.lengthVariation = this.random.range(0.88, 1.12);
+        this.widthVariation = this.random.range(0.9, 1.1);
+        this.phase = this.random.range(0, Math.PI * 2);
+        this.naturalFreq = this.random.range(2.5, 4.5); // Natural oscillation frequency
 
         // Dimensions
-        this.length = baseRadius * 0.8 * this.lengthVariation;
-        this.width = baseRadius * 0.15 * this.widthVariation;
+        this.length = baseRadius * ring.length * this.lengthVariation;
+        this.width = baseRadius * ring.width * this.widthVariation;
 
         // Spring-damper physics system
         this.tiltAngle = 0;
         this.tiltVelocity = 0;
         this.targetTilt = 0;
-        this.tiltStiffness = 0.15 * Utils.randomRange(0.8, 1.2);
+        this.tiltStiffness = 0.15 * this.random.range(0.8, 1.2);
         this.tiltDamping = 0.12;
 
         this.spinAngle = 0;
@@ -38,7 +69,7 @@ export class Petal {
 
         this.bendAngle = 0; // Additional bend from wind
         this.bendVelocity = 0;
-        this.bendStiffness = Utils.randomRange(0.08, 0.15);
+        this.bendStiffness = this.random.range(0.08, 0.15);
 
         this.scale = 1;
         this.scaleVelocity = 0;
@@ -58,13 +89,17 @@ export class Petal {
         this.rippleActive = false;
         this.rippleProgress = 0;
         this.rippleIntensity = 0;
+
+        // Simulated time a click or bloom swell settles back (null = none pending);
+        // kept as state rather than a clock task so snapshots carry it
+        this.scaleResetAt = null;
     }
 
     // Start bloom animation with delay based on index
     startBloom(delay = 0) {
-        setTimeout(() => {
+        this.clock.after(delay, () => {
             this.visible = true;
-        }, delay);
+        });
     }
 
     // Get petal tip position for hit detection
@@ -106,7 +141,7 @@ export class Petal {
     setHovered(hovered) {
         this.isHovered = hovered;
         if (hovered) {
-            this.targetTilt = Utils.degToRad(Utils.randomRange(2, PHYSICS.petalTiltMax));
+            this.targetTilt = Utils.degToRad(this.random.range(2, PHYSICS.petalTiltMax));
             this.hueShift = 2;
         } else {
             this.targetTilt = 0;
@@ -116,35 +151,39 @@ export class Petal {
 
     // Click effect
     triggerClick() {
-        const spinDirection = Math.random() > 0.5 ? 1 : -1;
+        const spinDirection = this.random.next() > 0.5 ? 1 : -1;
         this.spinVelocity = Utils.degToRad(PHYSICS.petalSpinAngle) * spinDirection;
         this.targetScale = 1.05;
-        setTimeout(() => { this.targetScale = 1; }, 200);
+        this.scaleResetAt = this.clock.now + 200;
     }
 
     // Ripple from neighboring petal
     triggerRipple() {
         this.rippleActive = true;
         this.rippleProgress = 0;
-        this.spinVelocity = Utils.degToRad(3) * (Math.random() > 0.5 ? 1 : -1);
+        this.spinVelocity = Utils.degToRad(3) * (this.random.next() > 0.5 ? 1 : -1);
     }
 
     // Bloom effect (center click)
     triggerBloom() {
         this.targetScale = PHYSICS.centerBloomScale;
-        setTimeout(() => { this.targetScale = 1; }, 400);
+        this.scaleResetAt = this.clock.now + 400;
     }
 
     update(deltaTime, wind) {
+        if (this.scaleResetAt !== null && this.clock.now >= this.scaleResetAt) {
+            this.targetScale = 1;
+            this.scaleResetAt = null;
+        }
+
         if (!this.visible) return;
 
         const dt = deltaTime * 0.001; // Convert to seconds
-        const time = performance.now() * 0.001;
+        const time = this.clock.getSeconds();
 
         // Bloom animation with spring overshoot
         if (this.bloomProgress < 1) {
-            const bloomSpeed = 0.8;
-            this.bloomProgress += dt * bloomSpeed;
+            this.bloomProgress += dt * this.bloomSpeed;
             this.bloomProgress = Math.min(1, this.bloomProgress);
 
             // Elastic overshoot at end
@@ -198,12 +237,12 @@ export class Petal {
         // Scale spring
         const scaleDiff = this.targetScale - this.scale;
         this.scaleVelocity += scaleDiff * 0.15 * dt * 60;
-        this.scaleVelocity *= 0.85; // Damping
+        this.scaleVelocity *= Math.pow(0.85, dt * 60); // Damping
         this.scale += this.scaleVelocity * dt * 60;
 
         // Glow intensity with smooth easing
         const targetGlow = this.isHovered ? 0.7 : 0;
-        this.glowIntensity += (targetGlow - this.glowIntensity) * 0.08;
+        this.glowIntensity = Utils.damp(this.glowIntensity, targetGlow, 0.08, deltaTime);
 
         // Ripple effect with decay
         if (this.rippleActive) {
@@ -224,90 +263,58 @@ export class Petal {
         const currentLength = this.length * this.scale * this.bloomProgress;
         const currentWidth = this.width * this.scale * this.bloomProgress;
 
-        ctx.save();
-        ctx.translate(centerX, centerY);
-        ctx.rotate(displayAngle);
-        ctx.rotate(this.tiltAngle);
-
-        // Petal shape
-        ctx.beginPath();
-        ctx.moveTo(0, 0);
-
-        // Create petal with bezier curves
-        ctx.bezierCurveTo(
-            currentLength * 0.3, -currentWidth * 0.8,
-            currentLength * 0.7, -currentWidth * 0.6,
-            currentLength, 0
-        );
-        ctx.bezierCurveTo(
-            currentLength * 0.7, currentWidth * 0.6,
-            currentLength * 0.3, currentWidth * 0.8,
-            0, 0
-        );
-
-        // Gradient fill for translucent effect
-        const gradient = ctx.createLinearGradient(0, 0, currentLength, 0);
-
-        // Apply hue shift
-        const baseHue = 50 + this.hueOffset + this.hueShift;
-        const baseSat = 5;
-        const baseLit = 98;
-
-        gradient.addColorStop(0, `hsl(${baseHue}, ${baseSat + 10}%, ${baseLit - 5}%)`);
-        gradient.addColorStop(0.3, `hsl(${baseHue}, ${baseSat}%, ${baseLit}%)`);
-        gradient.addColorStop(0.7, `hsl(${baseHue}, ${baseSat}%, ${baseLit}%)`);
-        gradient.addColorStop(1, `hsl(${baseHue}, ${baseSat + 5}%, ${baseLit - 2}%)`);
-
-        ctx.fillStyle = gradient;
-        ctx.fill();
-
-        // Subtle shadow
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.05)';
-        ctx.shadowBlur = 3;
-        ctx.shadowOffsetY = 2;
-
-        // Edge glow on hover
-        if (this.glowIntensity > 0.01) {
-            ctx.strokeStyle = `rgba(255, 250, 220, ${this.glowIntensity})`;
-            ctx.lineWidth = 2;
-            ctx.stroke();
-
-            // Outer glow
-            ctx.shadowColor = `rgba(255, 240, 180, ${this.glowIntensity * 0.5})`;
-            ctx.shadowBlur = 10;
-            ctx.stroke();
-        }
+        this.renderer.petal(ctx, centerX, centerY, displayAngle + this.tiltAngle, currentLength, currentWidth, {
+            hue: this.palette.petalHue + this.hueOffset + this.hueShift,
+            sat: this.palette.petalSat,
+            lit: this.palette.petalLit,
+            highlight: this.glowIntensity,
+            shape: this.shape,
+            base: this.gradient
+        });
+    }
+
+    serialize() {
+        return Utils.pickState(this, PETAL_STATE);
+    }
 
-        // Petal vein (subtle)
-        ctx.beginPath();
-        ctx.moveTo(currentLength * 0.1, 0);
-        ctx.lineTo(currentLength * 0.85, 0);
-        ctx.strokeStyle = `rgba(200, 190, 160, 0.2)`;
-        ctx.lineWidth = 0.5;
-        ctx.shadowBlur = 0;
-        ctx.stroke();
+    deserialize(state) {
+        Utils.assignState(this, state, PETAL_STATE);
+    }
 
-        ctx.restore();
+    // New layout: scale length and width with the flower
+    resize(ratio) {
+        this.length *= ratio;
+        this.width *= ratio;
     }
 }
 
 export class PetalManager {
-    constructor(centerX, centerY, radius) {
+    constructor(centerX, centerY, radius, options = {}) {
         this.centerX = centerX;
         this.centerY = centerY;
         this.radius = radius;
+        this.random = options.random || Random;
+        this.clock = options.clock;
+        this.palette = options.palette || PALETTES.classic;
+        this.species = options.species || getSpecies();
 
+        // Create petals ring by ring, outside in; `rings` keeps where each ring starts
         this.petals = [];
-        this.petalCount = PHYSICS.petalCount;
-
-        // Create petals
-        for (let i = 0; i < this.petalCount; i++) {
-            this.petals.push(new Petal(i, this.petalCount, centerX, centerY, radius));
-        }
+        this.rings = this.species.petals.rings.map((ring, r) => {
+            const start = this.petals.length;
+            for (let slot = 0; slot < ring.count; slot++) {
+                this.petals.push(new Petal(start + slot, { ...ring, index: r, slot }, centerX, centerY, radius, options));
+            }
+            return { start, count: ring.count };
+        });
+        this.petalCount = this.petals.length;
 
         // Interaction tracking
         this.hoveredPetal = null;
         this.lastClickedIndex = -1;
+
+        // Pending ripple steps: { index, direction, level, at } (simulated ms)
+        this.ripples = [];
     }
 
     updatePosition(centerX, centerY) {
@@ -315,18 +322,36 @@ export class PetalManager {
         this.centerY = centerY;
     }
 
+    setRadius(radius) {
+        const ratio = radius / this.radius;
+        this.radius = radius;
+        this.petals.forEach(petal => petal.resize(ratio));
+    }
+
+    setPalette(palette) {
+        this.palette = palette;
+        this.petals.forEach(petal => { petal.palette = palette; });
+    }
+
     // Start sequential bloom animation
     startBloom() {
-        const baseDelay = 50;
-        const randomOffset = 30;
+        const { stagger, jitter } = this.species.bloom;
 
         // Bloom in circular pattern with random offsets
         this.petals.forEach((petal, i) => {
-            const delay = i * baseDelay + Utils.randomRange(0, randomOffset);
+            const delay = i * stagger + this.random.range(0, jitter);
             petal.startBloom(delay);
         });
     }
 
+    // Fully open at once (a head rebuilt for another species after the bloom)
+    open() {
+        this.petals.forEach(petal => {
+            petal.visible = true;
+            petal.bloomProgress = 1;
+        });
+    }
+
     // Find petal at point
     getPetalAtPoint(x, y) {
         for (let i = this.petals.length - 1; i >= 0; i--) {
@@ -357,35 +382,50 @@ export class PetalManager {
     // Handle click
     handleClick(x, y) {
         const petal = this.getPetalAtPoint(x, y);
+        return petal ? this.clickPetal(petal) : null;
+    }
 
-        if (petal) {
-            petal.triggerClick();
-            this.lastClickedIndex = petal.index;
-
-            // Ripple to neighbors
-            this.triggerRipple(petal.index);
+    // Spin one petal and ripple to its neighbors (pointer or keyboard)
+    clickPetal(petal) {
+        petal.triggerClick();
+        this.lastClickedIndex = petal.index;
 
-            return petal;
-        }
+        // Ripple to neighbors
+        this.triggerRipple(petal.index);
 
-        return null;
+        return petal;
     }
 
-    // Propagate ripple to neighboring petals
+    // Propagate ripple to neighboring petals (in the same ring), two levels out
     triggerRipple(sourceIndex) {
         const delays = [TIMING.rippleDelay, TIMING.rippleDelay * 2];
 
         [-1, 1].forEach((direction, i) => {
-            setTimeout(() => {
-                const neighborIndex = (sourceIndex + direction + this.petalCount) % this.petalCount;
-                this.petals[neighborIndex].triggerRipple();
-
-                // Second level ripple
-                setTimeout(() => {
-                    const neighbor2Index = (neighborIndex + direction + this.petalCount) % this.petalCount;
-                    this.petals[neighbor2Index].triggerRipple();
-                }, TIMING.rippleDelay);
-            }, delays[i]);
+            this.ripples.push({ index: sourceIndex, direction, level: 1, at: this.clock.now + delays[i] });
+        });
+    }
+
+    // Neighbor of petal `index` in its ring, one step in `direction`
+    neighbor(index, direction) {
+        const { start, count } = this.rings[this.petals[index].ring];
+        return start + (index - start + direction + count) % count;
+    }
+
+    // Run the ripple steps that came due (state rather than clock tasks, so
+    // snapshots carry them)
+    updateRipples() {
+        const due = this.ripples.filter(ripple => ripple.at <= this.clock.now);
+        if (!due.length) return;
+
+        this.ripples = this.ripples.filter(ripple => ripple.at > this.clock.now);
+        due.forEach(({ index, direction, level }) => {
+            const neighborIndex = this.neighbor(index, direction);
+            this.petals[neighborIndex].triggerRipple();
+
+            // Second level ripple
+            if (level === 1) {
+                this.ripples.push({ index: neighborIndex, direction, level: 2, at: this.clock.now + TIMING.rippleDelay });
+            }
         });
     }
 
@@ -407,22 +447,50 @@ export class PetalManager {
 
     resetCuriosity() {
         this.petals.forEach(petal => {
-            petal.bendStiffness = Utils.randomRange(0.8, 1.2);
+            petal.bendStiffness = this.random.range(0.8, 1.2);
         });
     }
 
     update(deltaTime, wind) {
+        this.updateRipples();
         this.petals.forEach(petal => petal.update(deltaTime, wind));
     }
 
     draw(ctx) {
-        // Draw petals back to front based on angle
+        // Draw petals outer ring first, then back to front based on angle
         const sortedPetals = [...this.petals].sort((a, b) => {
             const aY = Math.sin(a.angle);
             const bY = Math.sin(b.angle);
-            return aY - bY;
+            return a.ring - b.ring || aY - bY;
         });
 
         sortedPetals.forEach(petal => petal.draw(ctx, this.centerX, this.centerY));
     }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return {
+            centerX: this.centerX,
+            centerY: this.centerY,
+            lastClickedIndex: this.lastClickedIndex,
+            hoveredPetal: this.hoveredPetal ? this.hoveredPetal.index : null,
+            ripples: this.ripples.map(ripple => ({ ...ripple })),
+            petals: this.petals.map(petal => petal.serialize())
+        };
+    }
+
+    deserialize(state) {
+        this.centerX = state.centerX;
+        this.centerY = state.centerY;
+        this.lastClickedIndex = state.lastClickedIndex;
+        this.ripples = (state.ripples || []).map(ripple => ({ ...ripple }));
+
+        state.petals.forEach((petalState, i) => {
+            if (this.petals[i]) this.petals[i].deserialize(petalState);
+        });
+        this.hoveredPetal = state.hoveredPetal !== null ? this.petals[state.hoveredPetal] || null : null;
+    }
 }
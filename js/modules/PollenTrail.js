@@ -3,13 +3,20 @@
  * Golden pollen particles following cursor with velocity-adaptive intensity
  */
 
-import { COLORS, PHYSICS, Utils } from '../config.js';
+import { PHYSICS, Utils, Random } from '../config.js';
+import { ThemeManager } from './ThemeManager.js';
+import { Canvas2DRenderer } from './Canvas2DRenderer.js';
 
 export class PollenTrail {
-    constructor(ctx, width, height) {
+    constructor(ctx, width, height, options = {}) {
         this.ctx = ctx;
         this.width = width;
         this.height = height;
+        this.theme = options.theme || new ThemeManager();
+        this.renderer = options.renderer || new Canvas2DRenderer({ theme: this.theme });
+
+        // The scene's seeded stream
+        this.random = options.random || Random;
 
         this.particles = [];
         this.maxParticles = PHYSICS.maxPollenParticles;
@@ -21,9 +28,10 @@ export class PollenTrail {
         this.lastY = this.cursorY;
         this.velocity = 0;
 
-        // Spawn control
+        // Spawn control (disabled = no new pollen, for reduced motion)
         this.spawnAccumulator = 0;
         this.isActive = false;
+        this.enabled = true;
     }
 
     resize(width, height) {
@@ -40,6 +48,12 @@ export class PollenTrail {
         this.isActive = false;
     }
 
+    // Reduced motion: no trail; pollen already in the air fades out
+    setReducedMotion(reduced) {
+        this.enabled = !reduced;
+        this.spawnAccumulator = 0;
+    }
+
     updateCursor(x, y) {
         this.lastX = this.cursorX;
         this.lastY = this.cursorY;
@@ -54,24 +68,24 @@ export class PollenTrail {
 
     spawn(count = 1) {
         for (let i = 0; i < count && this.particles.length < this.maxParticles; i++) {
-            const offsetX = Utils.randomRange(-5, 5);
-            const offsetY = Utils.randomRange(-5, 5);
+            const offsetX = this.random.range(-5, 5);
+            const offsetY = this.random.range(-5, 5);
 
             this.particles.push({
                 x: this.cursorX + offsetX,
                 y: this.cursorY + offsetY,
-                vx: Utils.randomRange(-0.5, 0.5) + (this.cursorX - this.lastX) * 0.1,
-                vy: Utils.randomRange(-0.5, 0.2) + (this.cursorY - this.lastY) * 0.1,
-                size: Utils.randomRange(2, 4),
+                vx: this.random.range(-0.5, 0.5) + (this.cursorX - this.lastX) * 0.1,
+                vy: this.random.range(-0.5, 0.2) + (this.cursorY - this.lastY) * 0.1,
+                size: this.random.range(2, 4),
                 life: 1,
-                decay: Utils.randomRange(0.02, 0.04)
+                decay: this.random.range(0.02, 0.04)
             });
         }
     }
 
     update(deltaTime) {
         // Spawn particles if active and cursor moving
-        if (this.isActive && this.velocity > 1) {
+        if (this.enabled && this.isActive && this.velocity > 1) {
             this.spawnAccumulator += this.velocity * deltaTime * 0.01;
 
             while (this.spawnAccumulator >= 1 && this.particles.length < this.maxParticles) {
@@ -80,17 +94,20 @@ export class PollenTrail {
             }
         }
 
-        // Update particles
+        // Update particles (per-frame tuning, scaled to 60fps steps)
+        const frameScale = deltaTime * 0.06;
+        const dissipation = Math.pow(PHYSICS.pollenDissipateSpeed, frameScale);
+
         this.particles = this.particles.filter(p => {
             // Apply gravity and dissipation
-            p.vy += 0.01;
-            p.vx *= PHYSICS.pollenDissipateSpeed;
-            p.vy *= PHYSICS.pollenDissipateSpeed;
+            p.vy += 0.01 * frameScale;
+            p.vx *= dissipation;
+            p.vy *= dissipation;
 
-            p.x += p.vx;
-            p.y += p.vy;
+            p.x += p.vx * frameScale;
+            p.y += p.vy * frameScale;
 
-            p.life -= p.decay;
+            p.life -= p.decay * frameScale;
 
             return p.life > 0;
         });
@@ -98,26 +115,15 @@ export class PollenTrail {
 
     draw() {
         const ctx = this.ctx;
+        const pollen = this.theme.rgb('pollen');
+        const core = this.theme.rgb('glow');
 
         this.particles.forEach(p => {
             const alpha = p.life * 0.8;
 
-            // Glow
-            const gradient = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.size * 3);
-            gradient.addColorStop(0, `rgba(212, 184, 74, ${alpha})`);
-            gradient.addColorStop(0.5, `rgba(212, 184, 74, ${alpha * 0.3})`);
-            gradient.addColorStop(1, 'rgba(212, 184, 74, 0)');
-
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, p.size * 3, 0, Math.PI * 2);
-            ctx.fillStyle = gradient;
-            ctx.fill();
-
-            // Core
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, p.size * 0.5, 0, Math.PI * 2);
-            ctx.fillStyle = `rgba(255, 240, 180, ${alpha})`;
-            ctx.fill();
+            // Glow, then the core
+            this.renderer.glow(ctx, p.x, p.y, p.size * 3, pollen, alpha);
+            this.renderer.dot(ctx, p.x, p.y, p.size * 0.5, core, alpha);
         });
     }
 }
@@ -0,0 +1,151 @@
+/**
+ * QualityGovernor Module
+ * Picks the render quality tier (QUALITY_TIERS in config.js) from measured frame
+ * and update cost instead of the user agent: steps down after about two seconds of
+ * missed frames, tries the next tier up after a long smooth stretch, and waits
+ * longer each time an upgrade had to be taken back
+ */
+
+import { QUALITY_TIERS } from '../config.js';
+import { EventBus } from './EventBus.js';
+
+// Exponential smoothing per sample
+const SMOOTHING = 0.1;
+
+// Longer gaps are a hidden tab or a breakpoint, not a slow frame (ms)
+const MAX_SAMPLE = 250;
+
+// Slow: frames take 1.25x the budget, or the work alone fills 90% of it.
+// Fast: frames on time and the work fits in half the next tier's budget
+const SLOW_FRAME = 1.25;
+const BUSY_WORK = 0.9;
+const FAST_FRAME = 1.1;
+const IDLE_WORK = 0.5;
+
+// Hysteresis (ms of real time)
+const DOWNGRADE_AFTER = 2000;
+const UPGRADE_AFTER = 8000;
+const MAX_UPGRADE_WAIT = 64000;
+const SETTLE_TIME = 2000;
+
+// A downgrade this soon after an upgrade means the upgrade failed
+const FAILED_UPGRADE = 10000;
+
+export class QualityGovernor {
+    constructor(options = {}) {
+        this.events = options.events || new EventBus();
+
+        this.index = tierIndex(options.tier);
+        this.tier = QUALITY_TIERS[this.index];
+
+        // false = stay on the chosen tier (quality setting other than auto)
+        this.adaptive = options.adaptive ?? true;
+
+        // Smoothed measurements (ms), null until the first sample
+        this.frameTime = null;
+        this.workTime = null;
+
+        this.slowFor = 0;
+        this.fastFor = 0;
+        this.settle = 0;
+        this.upgradeWait = UPGRADE_AFTER;
+        this.sinceUpgrade = Infinity;
+    }
+
+    // Tier changed: ({ tier, previous, reason }); returns an unsubscribe function
+    onChange(callback) {
+        return this.events.on('quality:change', callback);
+    }
+
+    getName() {
+        return this.tier.name;
+    }
+
+    // Jump to a tier by name ('low', 'medium', 'high')
+    setTier(name, reason = 'manual') {
+        this.stepTo(tierIndex(name), reason);
+    }
+
+    setAdaptive(adaptive) {
+        this.adaptive = adaptive;
+        this.reset();
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // MEASUREMENT
+    // ═══════════════════════════════════════════════════════
+
+    // One rendered frame: ms since the previous one and ms spent updating and drawing.
+    // Returns true if the tier changed
+    sample(frameTime, workTime) {
+        if (!this.adaptive || !(frameTime > 0) || frameTime > MAX_SAMPLE) return false;
+
+        this.sinceUpgrade += frameTime;
+
+        // The first frames after a change pay for it (canvas realloc); don't judge them
+        if (this.settle > 0) {
+            this.settle -= frameTime;
+            return false;
+        }
+
+        this.frameTime = this.frameTime === null ? frameTime : this.frameTime + (frameTime - this.frameTime) * SMOOTHING;
+        this.workTime = this.workTime === null ? workTime : this.workTime + (workTime - this.workTime) * SMOOTHING;
+
+        const budget = 1000 / this.tier.frameRate;
+        const next = QUALITY_TIERS[this.index + 1];
+
+        if (this.frameTime > budget * SLOW_FRAME || this.workTime > budget * BUSY_WORK) {
+            this.slowFor += frameTime;
+            this.fastFor = 0;
+        } else if (next && this.frameTime < budget * FAST_FRAME && this.workTime < (1000 / next.frameRate) * IDLE_WORK) {
+            this.fastFor += frameTime;
+            this.slowFor = 0;
+        } else {
+            this.slowFor = 0;
+            this.fastFor = 0;
+        }
+
+        if (this.slowFor >= DOWNGRADE_AFTER && this.index > 0) {
+            // Back off before trying that tier again
+            if (this.sinceUpgrade < FAILED_UPGRADE) {
+                this.upgradeWait = Math.min(this.upgradeWait * 2, MAX_UPGRADE_WAIT);
+            }
+            return this.stepTo(this.index - 1, 'slow');
+        }
+
+        if (this.fastFor >= this.upgradeWait && next) {
+            this.stepTo(this.index + 1, 'fast');
+            this.sinceUpgrade = 0;
+            return true;
+        }
+
+        return false;
+    }
+
+    stepTo(index, reason) {
+        this.reset();
+        if (index === this.index) return false;
+
+        const previous = this.tier.name;
+        this.index = index;
+        this.tier = QUALITY_TIERS[index];
+        this.settle = SETTLE_TIME;
+
+        this.events.emit('quality:change', { tier: this.tier.name, previous, reason });
+        return true;
+    }
+
+    // Measurements from another tier (or a paused stretch) say nothing about this one
+    reset() {
+        this.frameTime = null;
+        this.workTime = null;
+        this.slowFor = 0;
+        this.fastFor = 0;
+    }
+}
+
+// Unknown names fall back to the top tier
+const tierIndex = (name) => {
+    const index = QUALITY_TIERS.findIndex(tier => tier.name === name);
+    return index === -1 ? QUALITY_TIERS.length - 1 : index;
+};
@@ -0,0 +1,170 @@
+/**
+ * Settings Module
+ * User preferences (volume, music, day length, particles, bees, motion, intro, colors, quality)
+ * with defaults and limits, published as settings:change so every change applies
+ * live. Only what the user chose is persisted to localStorage; defaults and values
+ * the page forces are worked out again on every load
+ */
+
+import { Utils } from '../config.js';
+import { EventBus } from './EventBus.js';
+
+// Every preference: the store validates against this, the panel builds its controls from it
+export const SETTING_FIELDS = [
+    { key: 'volume', label: 'Volume', type: 'range', min: 0, max: 1, step: 0.05, default: 1 },
+    { key: 'muted', label: 'Mute', type: 'toggle', default: false },
+    { key: 'music', label: 'Music', type: 'toggle', default: true },
+    { key: 'dayLength', label: 'Day length', type: 'range', min: 30, max: 600, step: 30, unit: 's', default: 90 },
+    { key: 'particleDensity', label: 'Particles', type: 'range', min: 0, max: 1.5, step: 0.1, unit: '×', default: 1 },
+    { key: 'beeInterval', label: 'Bee visits every', type: 'range', min: 5, max: 60, step: 5, unit: 's', default: 10 },
+    { key: 'reducedMotion', label: 'Reduced motion', type: 'toggle', default: false },
+    { key: 'skipIntro', label: 'Skip intro', type: 'toggle', default: false },
+    {
+        key: 'colorMode', label: 'Colors', type: 'select', default: 'normal',
+        options: [
+            { value: 'normal', label: 'Standard' },
+            { value: 'high-contrast', label: 'High contrast' },
+            { value: 'deuteranopia', label: 'Deuteranopia (green-blind)' },
+            { value: 'protanopia', label: 'Protanopia (red-blind)' },
+            { value: 'tritanopia', label: 'Tritanopia (blue-blind)' }
+        ]
+    },
+    { key: 'outlines', label: 'Outlines', type: 'toggle', default: false },
+    {
+        key: 'quality', label: 'Quality', type: 'select', default: 'auto',
+        options: [
+            { value: 'auto', label: 'Auto (adapts to the device)' },
+            { value: 'low', label: 'Low' },
+            { value: 'medium', label: 'Medium' },
+            { value: 'high', label: 'High' }
+        ]
+    }
+];
+
+export class Settings {
+    constructor(options = {}) {
+        this.events = options.events || new EventBus();
+
+        // null = keep preferences in memory only (headless, tests)
+        this.storageKey = options.storageKey === undefined ? 'daisy:settings' : options.storageKey;
+
+        this.fields = new Map(SETTING_FIELDS.map(field => [field.key, field]));
+
+        // Defaults < stored choices < values the page forces (e.g. <daisy-scene skip-intro>)
+        this.defaults = {};
+        this.fields.forEach((field, key) => {
+            this.defaults[key] = this.sanitize(key, options.defaults?.[key] ?? field.default);
+        });
+
+        // Keys the user picked (set(), or stored by an earlier visit): the only ones saved
+        const stored = this.load();
+        this.chosen = new Set(Object.keys(stored).filter(key => this.fields.has(key) && stored[key] !== undefined));
+
+        // Keys the page forces; they keep their value when a default moves
+        const overrides = options.overrides || {};
+        this.forced = new Set(Object.keys(overrides).filter(key => this.fields.has(key) && overrides[key] !== undefined));
+
+        this.values = { ...this.defaults };
+        this.assign(stored);
+        this.assign(overrides);
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    // A user's choice: applied and remembered
+    set(key, value) {
+        if (!this.fields.has(key)) return;
+
+        const clean = this.sanitize(key, value);
+        const changed = clean !== this.values[key];
+
+        this.values[key] = clean;
+        this.chosen.add(key);
+        this.save();
+
+        if (changed) this.events.emit('settings:change', { key, value: clean });
+    }
+
+    // A default that follows the system (prefers-reduced-motion, ...) moved: applied
+    // unless the user or the page picked a value, and never saved
+    setDefault(key, value) {
+        if (!this.fields.has(key)) return;
+
+        const clean = this.sanitize(key, value);
+        this.defaults[key] = clean;
+        if (this.chosen.has(key) || this.forced.has(key) || clean === this.values[key]) return;
+
+        this.values[key] = clean;
+        this.events.emit('settings:change', { key, value: clean });
+    }
+
+    // Back to the defaults; nothing stays remembered
+    reset() {
+        this.chosen.clear();
+        this.save();
+
+        Object.keys(this.defaults).forEach(key => {
+            if (this.defaults[key] === this.values[key]) return;
+            this.values[key] = this.defaults[key];
+            this.events.emit('settings:change', { key, value: this.defaults[key] });
+        });
+    }
+
+    // Known keys only; used for stored data and overrides (no events, no save)
+    assign(values) {
+        Object.keys(values).forEach(key => {
+            if (this.fields.has(key) && values[key] !== undefined) {
+                this.values[key] = this.sanitize(key, values[key]);
+            }
+        });
+    }
+
+    sanitize(key, value) {
+        const field = this.fields.get(key);
+
+        if (field.type === 'toggle') return !!value;
+        if (field.type === 'select') {
+            return field.options.some(option => option.value === value) ? value : field.default;
+        }
+
+        const number = Number(value);
+        if (!Number.isFinite(number)) return field.default;
+        return Utils.clamp(number, field.min, field.max);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // PERSISTENCE
+    // ═══════════════════════════════════════════════════════
+
+    // localStorage can be missing or throw (private mode, blocked storage)
+    load() {
+        if (!this.storageKey || typeof localStorage === 'undefined') return {};
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // The user's choices only, never defaults or page overrides
+    save() {
+        if (!this.storageKey || typeof localStorage === 'undefined') return;
+
+        const choices = {};
+        this.chosen.forEach(key => { choices[key] = this.values[key]; });
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(choices));
+        } catch (e) {
+            console.warn('Daisy: could not save settings', e);
+        }
+    }
+}
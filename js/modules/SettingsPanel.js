@@ -0,0 +1,149 @@
+/**
+ * SettingsPanel Module
+ * Small gear button that opens a drawer of controls built from SETTING_FIELDS.
+ * Writes go to the Settings store; the scene applies them from settings:change
+ */
+
+import { SETTING_FIELDS } from './Settings.js';
+
+export class SettingsPanel {
+    constructor(container, settings, options = {}) {
+        this.container = container;
+        this.settings = settings;
+        this.events = options.events || settings.events;
+
+        this.isOpen = false;
+        this.boundEvents = [];
+        this.inputs = new Map();
+        this.unsubscribe = null;
+
+        this.build();
+    }
+
+    build() {
+        const id = `daisy-settings-${Math.random().toString(36).slice(2, 8)}`;
+
+        this.toggle = document.createElement('button');
+        this.toggle.type = 'button';
+        this.toggle.className = 'settings-toggle';
+        this.toggle.textContent = '⚙';
+        this.toggle.setAttribute('aria-label', 'Settings');
+        this.toggle.setAttribute('aria-expanded', 'false');
+        this.toggle.setAttribute('aria-controls', id);
+
+        this.drawer = document.createElement('aside');
+        this.drawer.id = id;
+        this.drawer.className = 'settings-drawer';
+        this.drawer.setAttribute('aria-label', 'Settings');
+        this.drawer.hidden = true;
+
+        SETTING_FIELDS.forEach(field => this.drawer.appendChild(this.createRow(field)));
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'settings-reset';
+        reset.textContent = 'Reset to defaults';
+        this.addListener(reset, 'click', () => this.settings.reset());
+        this.drawer.appendChild(reset);
+
+        this.addListener(this.toggle, 'click', () => this.setOpen(!this.isOpen));
+        this.addListener(this.drawer, 'keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            this.setOpen(false);
+            this.toggle.focus();
+        });
+
+        // Keep controls in sync when settings change from code or reset
+        this.unsubscribe = this.events.on('settings:change', ({ key, value }) => this.render(key, value));
+
+        this.container.appendChild(this.toggle);
+        this.container.appendChild(this.drawer);
+    }
+
+    createRow(field) {
+        const row = document.createElement('label');
+        row.className = `settings-row settings-row-${field.type}`;
+
+        const name = document.createElement('span');
+        name.className = 'settings-label';
+        name.textContent = field.label;
+        row.appendChild(name);
+
+        const input = document.createElement(field.type === 'select' ? 'select' : 'input');
+        if (field.type === 'toggle') {
+            input.type = 'checkbox';
+            this.addListener(input, 'change', () => this.settings.set(field.key, input.checked));
+        } else if (field.type === 'select') {
+            field.options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                input.appendChild(option);
+            });
+            this.addListener(input, 'change', () => this.settings.set(field.key, input.value));
+        } else {
+            input.type = 'range';
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+            this.addListener(input, 'input', () => this.settings.set(field.key, parseFloat(input.value)));
+        }
+        row.appendChild(input);
+
+        let output = null;
+        if (field.type === 'range') {
+            output = document.createElement('output');
+            output.className = 'settings-value';
+            row.appendChild(output);
+        }
+
+        this.inputs.set(field.key, { field, input, output });
+        this.render(field.key, this.settings.get(field.key));
+        return row;
+    }
+
+    render(key, value) {
+        const entry = this.inputs.get(key);
+        if (!entry) return;
+
+        const { field, input, output } = entry;
+        if (field.type === 'toggle') {
+            input.checked = value;
+            return;
+        }
+        if (field.type === 'select') {
+            input.value = value;
+            return;
+        }
+
+        input.value = value;
+        output.textContent = field.key === 'volume'
+            ? `${Math.round(value * 100)}%`
+            : `${value}${field.unit || ''}`;
+    }
+
+    setOpen(open) {
+        this.isOpen = open;
+        this.drawer.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', String(open));
+    }
+
+    addListener(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.boundEvents.push([target, type, handler]);
+    }
+
+    destroy() {
+        this.boundEvents.forEach(([target, type, handler]) => {
+            target.removeEventListener(type, handler);
+        });
+        this.boundEvents = [];
+
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+
+        this.toggle.remove();
+        this.drawer.remove();
+        this.inputs.clear();
+    }
+}
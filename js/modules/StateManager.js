@@ -3,12 +3,23 @@
  * Manages idle charm, curiosity mode, and night shift states
  */
 
-import { TIMING } from '../config.js';
+import { TIMING, Utils } from '../config.js';
+import { EventBus } from './EventBus.js';
+
+// Fields captured by serialize() (times are on the FrameClock)
+const STATE_FIELDS = [
+    'lastInteractionTime', 'isIdle', 'interactionCount', 'curiosityActive', 'curiosityEndTime',
+    'lastCursorX', 'lastCursorY', 'dayTime', 'lastUpdateTime', 'nightShiftActive',
+    'nightShiftProgress', 'dayPhase'
+];
 
 export class StateManager {
-    constructor() {
+    constructor(options = {}) {
+        this.clock = options.clock;
+        this.events = options.events || new EventBus();
+
         // Idle state
-        this.lastInteractionTime = performance.now();
+        this.lastInteractionTime = this.clock.now;
         this.isIdle = false;
 
         // Curiosity mode
@@ -19,37 +30,36 @@ export class StateManager {
         this.lastCursorX = 0;
         this.lastCursorY = 0;
 
-        // Night shift
-        this.sessionStartTime = performance.now();
+        // Night shift, on a day clock that can run faster or slower than
+        // simulated time (0 = the day never ends)
+        this.dayCycleSpeed = options.dayCycleSpeed ?? 1;
+        this.dayTime = 0;
+        this.lastUpdateTime = this.clock.now;
         this.nightShiftActive = false;
         this.nightShiftProgress = 0;
-
-        // Callbacks
-        this.callbacks = {
-            onIdleStart: null,
-            onIdleEnd: null,
-            onCuriosityStart: null,
-            onCuriosityEnd: null,
-            onNightShift: null
-        };
+        this.dayPhase = 'day'; // day, dusk, night
     }
 
-    // Register callbacks
-    onIdleStart(callback) { this.callbacks.onIdleStart = callback; }
-    onIdleEnd(callback) { this.callbacks.onIdleEnd = callback; }
-    onCuriosityStart(callback) { this.callbacks.onCuriosityStart = callback; }
-    onCuriosityEnd(callback) { this.callbacks.onCuriosityEnd = callback; }
-    onNightShift(callback) { this.callbacks.onNightShift = callback; }
+    // Subscribe helpers (each returns an unsubscribe function)
+    onIdleStart(callback) { return this.events.on('idle:start', () => callback()); }
+    onIdleEnd(callback) { return this.events.on('idle:end', () => callback()); }
+    onCuriosityStart(callback) { return this.events.on('curiosity:start', ({ x, y }) => callback(x, y)); }
+    onCuriosityEnd(callback) { return this.events.on('curiosity:end', () => callback()); }
+    onNightShift(callback) { return this.events.on('night:progress', ({ progress }) => callback(progress)); }
+
+    setDayCycleSpeed(speed) {
+        this.dayCycleSpeed = Math.max(0, speed);
+    }
 
     // Record interaction
     recordInteraction(type, cursorX, cursorY) {
         const wasIdle = this.isIdle;
 
-        this.lastInteractionTime = performance.now();
+        this.lastInteractionTime = this.clock.now;
         this.isIdle = false;
 
-        if (wasIdle && this.callbacks.onIdleEnd) {
-            this.callbacks.onIdleEnd();
+        if (wasIdle) {
+            this.events.emit('idle:end');
         }
 
         // Track unique interaction types for curiosity mode
@@ -67,49 +77,49 @@ export class StateManager {
 
     activateCuriosity() {
         this.curiosityActive = true;
-        this.curiosityEndTime = performance.now() + TIMING.curiosityDuration;
+        this.curiosityEndTime = this.clock.now + TIMING.curiosityDuration;
 
-        if (this.callbacks.onCuriosityStart) {
-            this.callbacks.onCuriosityStart(this.lastCursorX, this.lastCursorY);
-        }
+        this.events.emit('curiosity:start', { x: this.lastCursorX, y: this.lastCursorY });
     }
 
     update() {
-        const now = performance.now();
+        const now = this.clock.now;
 
         // Check idle
         if (!this.isIdle && now - this.lastInteractionTime > TIMING.idleTimeout) {
             this.isIdle = true;
-            if (this.callbacks.onIdleStart) {
-                this.callbacks.onIdleStart();
-            }
+            this.events.emit('idle:start');
         }
 
         // Check curiosity mode expiration
         if (this.curiosityActive && now >= this.curiosityEndTime) {
             this.curiosityActive = false;
             this.interactionTypes.clear();
-            if (this.callbacks.onCuriosityEnd) {
-                this.callbacks.onCuriosityEnd();
-            }
+            this.events.emit('curiosity:end');
         }
 
+        // Advance the day clock
+        this.dayTime += (now - this.lastUpdateTime) * this.dayCycleSpeed;
+        this.lastUpdateTime = now;
+
         // Check night shift
-        const sessionDuration = now - this.sessionStartTime;
-        if (!this.nightShiftActive && sessionDuration > TIMING.nightShiftThreshold) {
+        if (!this.nightShiftActive && this.dayTime > TIMING.nightShiftThreshold) {
             this.nightShiftActive = true;
         }
 
         // Progress night shift over 60 seconds
         if (this.nightShiftActive) {
-            const nightStartTime = this.sessionStartTime + TIMING.nightShiftThreshold;
-            const nightProgress = (now - nightStartTime) / TIMING.nightTransitionDuration;
+            const nightProgress = (this.dayTime - TIMING.nightShiftThreshold) / TIMING.nightTransitionDuration;
 
             if (nightProgress > this.nightShiftProgress) {
                 this.nightShiftProgress = Math.min(1, nightProgress);
+                this.events.emit('night:progress', { progress: this.nightShiftProgress });
 
-                if (this.callbacks.onNightShift) {
-                    this.callbacks.onNightShift(this.nightShiftProgress);
+                // Phase changes are announced once each
+                const phase = this.nightShiftProgress >= 1 ? 'night' : 'dusk';
+                if (phase !== this.dayPhase) {
+                    this.dayPhase = phase;
+                    this.events.emit('day:phase', { phase, progress: this.nightShiftProgress });
                 }
             }
         }
@@ -129,8 +139,30 @@ export class StateManager {
 
     // Reset session (for testing)
     resetSession() {
-        this.sessionStartTime = performance.now();
+        this.dayTime = 0;
+        this.lastUpdateTime = this.clock.now;
         this.nightShiftActive = false;
         this.nightShiftProgress = 0;
+
+        if (this.dayPhase !== 'day') {
+            this.dayPhase = 'day';
+            this.events.emit('day:phase', { phase: 'day', progress: 0 });
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return {
+            ...Utils.pickState(this, STATE_FIELDS),
+            interactionTypes: [...this.interactionTypes]
+        };
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, STATE_FIELDS);
+        this.interactionTypes = new Set(state.interactionTypes || []);
     }
 }
@@ -1,16 +1,27 @@
 /**
  * Stem Module - ENHANCED PHYSICS VERSION
  * Multi-segment spring chain with verlet integration
- * More natural, physically-based sway
+ * More natural, physically-based sway. Width and leaves follow the species
  */
 
-import { COLORS, PHYSICS, Utils, Easing } from '../config.js';
+import { PHYSICS, Utils, Easing, Random, getSpecies } from '../config.js';
+import { ThemeManager } from './ThemeManager.js';
+
+// Fields captured by serialize(); base position and height follow the layout
+const STEM_STATE = [
+    'segments', 'angle', 'angularVelocity', 'secondaryWave', 'leaves',
+    'growthProgress', 'visible', 'slowMoActive', 'slowMoProgress', 'lastFrameScale'
+];
 
 export class Stem {
-    constructor(baseX, baseY, height) {
+    constructor(baseX, baseY, height, options = {}) {
         this.baseX = baseX;
         this.baseY = baseY;
         this.height = height;
+        this.random = options.random || Random;
+        this.clock = options.clock;
+        this.theme = options.theme || new ThemeManager();
+        this.species = options.species || getSpecies();
 
         // Number of segments for physics simulation
         this.segmentCount = 8;
@@ -22,6 +33,7 @@ export class Stem {
         this.damping = 0.88;            // Velocity damping
         this.gravity = 0.01;            // Slight upward bias
         this.windResponse = 0.15;       // How much wind affects it
+        this.swayScale = options.reducedMotion ? 0.3 : 1; // Sway, wind and click impulse
 
         // Overall angle (for flower positioning)
         this.angle = 0;
@@ -32,43 +44,18 @@ export class Stem {
         this.waveSpeed = 2.5;
 
         // Leaves with physics
-        this.leaves = [
-            {
-                segmentIndex: 2,
-                size: 18,
-                baseAngle: -0.5,
-                angle: -0.5,
-                angleVelocity: 0,
-                unfold: 0,
-                side: -1
-            },
-            {
-                segmentIndex: 4,
-                size: 14,
-                baseAngle: 0.6,
-                angle: 0.6,
-                angleVelocity: 0,
-                unfold: 0,
-                side: 1
-            },
-            {
-                segmentIndex: 5,
-                size: 10,
-                baseAngle: -0.4,
-                angle: -0.4,
-                angleVelocity: 0,
-                unfold: 0,
-                side: -1
-            }
-        ];
+        this.leaves = makeLeaves(this.species, 0);
 
         // Growth animation
         this.growthProgress = 0;
         this.visible = false;
 
-        // Slow-mo effect
+        // Center-click sway impulse (the time dilation itself is the clock's)
         this.slowMoActive = false;
         this.slowMoProgress = 0;
+
+        // Previous step length, for time-corrected Verlet
+        this.lastFrameScale = 0;
     }
 
     initSegments() {
@@ -118,7 +105,7 @@ export class Stem {
         if (!this.visible) return;
 
         const dt = deltaTime * 0.001;
-        const time = performance.now() * 0.001;
+        const time = this.clock.getSeconds();
 
         // Growth animation with easing
         if (this.growthProgress < 1) {
@@ -136,6 +123,10 @@ export class Stem {
             });
         }
 
+        // Frames elapsed at 60fps; below 1 in slow motion
+        const frameScale = dt * 60;
+        if (frameScale <= 0) return;
+
         // Secondary wave for organic motion
         this.secondaryWave = Math.sin(time * this.waveSpeed) * 0.02;
 
@@ -155,6 +146,11 @@ export class Stem {
         // Calculate number of active segments based on growth
         const activeSegments = Math.ceil(this.segmentCount * this.growthProgress);
 
+        const drag = Math.pow(this.damping, frameScale);
+        const stepRatio = this.lastFrameScale > 0 ? frameScale / this.lastFrameScale : 1;
+        const forceScale = frameScale * frameScale;
+        this.lastFrameScale = frameScale;
+
         // Apply forces to each segment
         for (let i = 1; i <= activeSegments; i++) {
             const seg = this.segments[i];
@@ -175,15 +171,16 @@ export class Stem {
                 slowMoForce = Math.sin(this.slowMoProgress * 4) * envelope * 3 * heightRatio;
             }
 
-            // Calculate new position using Verlet
-            const vx = (seg.x - seg.prevX) * this.damping;
-            const vy = (seg.y - seg.prevY) * this.damping;
+            // Time-corrected Verlet: carry velocity across uneven steps and
+            // scale forces by the squared step, so slow motion is physical
+            const vx = (seg.x - seg.prevX) * drag * stepRatio;
+            const vy = (seg.y - seg.prevY) * drag * stepRatio;
 
             seg.prevX = seg.x;
             seg.prevY = seg.y;
 
-            seg.x += vx + (windForce + naturalSway + slowMoForce) * dt * 60;
-            seg.y += vy + (windForceY - this.gravity) * dt * 60;
+            seg.x += vx + (windForce + naturalSway + slowMoForce) * this.swayScale * forceScale;
+            seg.y += vy + (windForceY - this.gravity) * forceScale;
         }
 
         // Constraint: maintain segment distances (stiff rod constraint)
@@ -210,7 +207,7 @@ export class Stem {
 
                 // Spring force toward upright position
                 const uprightForce = -seg.x * 0.02 * (1 - seg.flexibility * 0.5);
-                seg.x += uprightForce;
+                seg.x += uprightForce * forceScale;
             }
         }
 
@@ -227,17 +224,63 @@ export class Stem {
             if (leaf.unfold <= 0) return;
 
             const seg = this.segments[Math.min(leaf.segmentIndex, activeSegments)];
-            const segVelocity = seg.x - seg.prevX;
+            const segVelocity = (seg.x - seg.prevX) / frameScale;
 
             // Leaf reacts to stem movement
             const targetAngle = leaf.baseAngle + segVelocity * 0.5 + this.secondaryWave * leaf.side;
             const angleDiff = targetAngle - leaf.angle;
-            leaf.angleVelocity += angleDiff * 0.15;
-            leaf.angleVelocity *= 0.85;
-            leaf.angle += leaf.angleVelocity;
+            leaf.angleVelocity += angleDiff * 0.15 * frameScale;
+            leaf.angleVelocity *= Math.pow(0.85, frameScale);
+            leaf.angle += leaf.angleVelocity * frameScale;
         });
     }
 
+    // Another species: its width and leaves (unfolded already once the stem is grown)
+    setSpecies(species) {
+        this.species = species;
+        this.leaves = makeLeaves(species, this.growthProgress >= 1 ? 1 : 0);
+    }
+
+    // Reduced motion: the stem barely sways
+    setReducedMotion(reduced) {
+        this.swayScale = reduced ? 0.3 : 1;
+    }
+
+    // New layout: stretch the segments (and their sway) to the new height
+    setHeight(height) {
+        const ratio = height / this.height;
+        this.height = height;
+
+        this.segments.forEach(seg => {
+            seg.x *= ratio;
+            seg.y *= ratio;
+            seg.prevX *= ratio;
+            seg.prevY *= ratio;
+        });
+    }
+
+    // Where a leaf sits ({ x, y, radius } around its middle), null while folded
+    getLeafPosition(index) {
+        const leaf = this.leaves[index];
+        if (!this.visible || !leaf || leaf.unfold <= 0) return null;
+
+        const activeSegments = Math.ceil(this.segmentCount * this.growthProgress);
+        const seg = this.segments[Math.min(leaf.segmentIndex, activeSegments)];
+        const reach = leaf.size * 0.5 * leaf.unfold;
+
+        return {
+            x: this.baseX + seg.x * this.growthProgress + Math.cos(leaf.angle) * reach,
+            y: this.baseY + seg.y * this.growthProgress + Math.sin(leaf.angle) * reach,
+            radius: reach + 4
+        };
+    }
+
+    // Flick a leaf outward (keyboard touch)
+    flutterLeaf(index) {
+        const leaf = this.leaves[index];
+        if (leaf) leaf.angleVelocity += 0.12 * leaf.side * this.swayScale;
+    }
+
     triggerSlowSway() {
         this.slowMoActive = true;
         this.slowMoProgress = 0;
@@ -246,7 +289,7 @@ export class Stem {
         const topHalf = Math.floor(this.segmentCount / 2);
         for (let i = topHalf; i <= this.segmentCount; i++) {
             const seg = this.segments[i];
-            seg.x += (Math.random() - 0.5) * 5;
+            seg.x += (this.random.next() - 0.5) * 5;
         }
     }
 
@@ -296,15 +339,21 @@ export class Stem {
 
         // Gradient for stem
         const gradient = ctx.createLinearGradient(0, 0, 0, -this.height * this.growthProgress);
-        gradient.addColorStop(0, COLORS.stemDark);
-        gradient.addColorStop(0.3, COLORS.stemGreen);
-        gradient.addColorStop(0.7, COLORS.stemGreen);
-        gradient.addColorStop(1, '#9bc878');
+        gradient.addColorStop(0, this.theme.color('stemDark'));
+        gradient.addColorStop(0.3, this.theme.color('stemGreen'));
+        gradient.addColorStop(0.7, this.theme.color('stemGreen'));
+        gradient.addColorStop(1, this.theme.color('stemTip'));
 
-        ctx.strokeStyle = gradient;
-        ctx.lineWidth = 5 - this.growthProgress * 1.5; // Taper toward top
+        const { width, taper, leafShape } = this.species.stem;
+        const stemWidth = width - this.growthProgress * taper; // Taper toward top
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
+
+        // Outline mode: a wider dark stroke under the stem
+        this.theme.outline(ctx, stemWidth + 3);
+
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = stemWidth;
         ctx.stroke();
 
         // Draw leaves
@@ -328,29 +377,30 @@ export class Stem {
             ctx.beginPath();
             ctx.moveTo(0, 0);
             ctx.bezierCurveTo(
-                leaf.size * 0.3, -leaf.size * 0.4,
-                leaf.size * 0.8, -leaf.size * 0.2,
+                leaf.size * 0.3, -leaf.size * leafShape[0],
+                leaf.size * 0.8, -leaf.size * leafShape[1],
                 leaf.size, 0
             );
             ctx.bezierCurveTo(
-                leaf.size * 0.8, leaf.size * 0.2,
-                leaf.size * 0.3, leaf.size * 0.4,
+                leaf.size * 0.8, leaf.size * leafShape[1],
+                leaf.size * 0.3, leaf.size * leafShape[0],
                 0, 0
             );
 
             const leafGradient = ctx.createLinearGradient(0, 0, leaf.size, 0);
-            leafGradient.addColorStop(0, COLORS.stemGreen);
-            leafGradient.addColorStop(0.5, COLORS.leafGreen);
-            leafGradient.addColorStop(1, '#a8c888');
+            leafGradient.addColorStop(0, this.theme.color('stemGreen'));
+            leafGradient.addColorStop(0.5, this.theme.color('leafGreen'));
+            leafGradient.addColorStop(1, this.theme.color('leafTip'));
 
             ctx.fillStyle = leafGradient;
             ctx.fill();
+            this.theme.outline(ctx, 1, leaf.unfold);
 
             // Leaf vein
             ctx.beginPath();
             ctx.moveTo(2, 0);
             ctx.quadraticCurveTo(leaf.size * 0.5, leaf.side * 1, leaf.size * 0.85, 0);
-            ctx.strokeStyle = 'rgba(80, 100, 60, 0.4)';
+            ctx.strokeStyle = this.theme.color('leafVein', 0.4);
             ctx.lineWidth = 0.8;
             ctx.stroke();
 
@@ -359,4 +409,27 @@ export class Stem {
 
         ctx.restore();
     }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return Utils.pickState(this, STEM_STATE);
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, STEM_STATE);
+    }
 }
+
+// Leaf physics state for the species' leaves; the angle sign picks the side
+const makeLeaves = (species, unfold) => species.stem.leaves.map(({ segment, size, angle }) => ({
+    segmentIndex: segment,
+    size,
+    baseAngle: angle,
+    angle,
+    angleVelocity: 0,
+    unfold,
+    side: angle < 0 ? -1 : 1
+}));
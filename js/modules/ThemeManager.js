@@ -0,0 +1,230 @@
+/**
+ * ThemeManager Module
+ * Active scene colors (see THEMES in config.js). Drawing code asks here for
+ * every color, so switching themes cross-fades sky, meadow, flower and particles.
+ * Accessibility color modes (COLOR_MODES) and outline mode sit on top of any theme
+ */
+
+import { THEMES, COLOR_MODES, getTheme, getPalette, Utils } from '../config.js';
+import { EventBus } from './EventBus.js';
+
+export class ThemeManager {
+    constructor(options = {}) {
+        this.events = options.events || new EventBus();
+
+        // Theme as given (name or object) and an explicit flower palette that beats the theme's
+        this.theme = options.theme || 'classic';
+        this.paletteOverride = options.palette || null;
+
+        // Accessibility: color mode overlay and outline strokes around the flower and bees
+        this.mode = COLOR_MODES[options.mode] ? options.mode : 'normal';
+        this.outlines = !!options.outlines;
+
+        // Cross-fade (simulated ms, so it pauses with the scene)
+        this.fadeDuration = options.fadeDuration ?? 1500;
+        this.from = null;
+        this.to = this.resolve();
+        this.values = this.to;
+        this.progress = 1;
+    }
+
+    // Name from THEMES or a partial theme object
+    setTheme(theme, duration = this.fadeDuration) {
+        this.theme = theme || 'classic';
+        this.fadeTo(this.resolve(), duration);
+        this.events.emit('theme:change', { theme: this.getName(), mode: this.mode });
+    }
+
+    // 'normal', 'high-contrast', 'deuteranopia', 'protanopia' or 'tritanopia'
+    setMode(mode, duration = this.fadeDuration) {
+        const next = COLOR_MODES[mode] ? mode : 'normal';
+        if (next === this.mode) return;
+
+        this.mode = next;
+        this.fadeTo(this.resolve(), duration);
+        this.events.emit('theme:change', { theme: this.getName(), mode: this.mode });
+    }
+
+    setOutlines(enabled) {
+        this.outlines = !!enabled;
+    }
+
+    // Flower palette on top of the theme (null = back to the theme's own)
+    setPalette(palette, duration = this.fadeDuration) {
+        this.paletteOverride = palette || null;
+        this.fadeTo(this.resolve(), duration);
+    }
+
+    getName() {
+        return typeof this.theme === 'string' ? this.theme : 'custom';
+    }
+
+    resolve() {
+        if (typeof this.theme === 'string' && !THEMES[this.theme]) {
+            console.warn(`Daisy: unknown theme "${this.theme}" (themes: ${Object.keys(THEMES).join(', ')})`);
+        }
+
+        const theme = getTheme(this.theme);
+        if (this.paletteOverride) theme.palette = this.paletteOverride;
+
+        // The color mode wins over both: it is the viewer's choice, not the page's
+        const { palette, ...mode } = COLOR_MODES[this.mode];
+        Object.assign(theme, mode);
+        if (palette) theme.palette = { ...getPalette(theme.palette), ...palette };
+
+        return parseTheme(theme);
+    }
+
+    fadeTo(target, duration) {
+        this.from = duration > 0 ? this.values : null;
+        this.to = target;
+        this.progress = duration > 0 ? 0 : 1;
+        this.duration = duration;
+        this.values = duration > 0 ? this.values : target;
+    }
+
+    isFading() {
+        return this.progress < 1;
+    }
+
+    // Returns true while colors changed this frame (the flower re-reads its palette then)
+    update(deltaTime) {
+        if (!this.isFading()) return false;
+
+        this.progress = Math.min(1, this.progress + deltaTime / this.duration);
+        const t = this.progress * this.progress * (3 - 2 * this.progress);
+        this.values = t >= 1 ? this.to : blend(this.from, this.to, t);
+        if (this.progress >= 1) this.from = null;
+        return true;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // COLORS
+    // ═══════════════════════════════════════════════════════
+
+    color(key, alpha = 1) {
+        return Utils.rgba(this.values[key], alpha);
+    }
+
+    // Raw [r, g, b] (renderer calls)
+    rgb(key) {
+        return this.values[key];
+    }
+
+    // `key`'s color mixed toward `other`'s (sun at altitude, ...)
+    mix(key, other, t, alpha = 1) {
+        return Utils.rgba(blend(this.values[key], this.values[other], t), alpha);
+    }
+
+    // Sky gradient stops between two phases ('Night', 'Dawn', 'Day', 'Dusk')
+    sky(phase, next, t) {
+        const from = this.values[`sky${phase}`];
+        const to = this.values[`sky${next}`];
+        return from.map((stop, i) => Utils.rgba(blend(stop, to[i], t)));
+    }
+
+    // Generated meadow HSL through the theme's land shift
+    land(hue, sat, lit, alpha = 1) {
+        const shift = this.values.land;
+        const s = Utils.clamp(sat * shift.sat, 0, 100);
+        const l = Utils.clamp(lit * shift.lit, 0, 100);
+        return `hsla(${hue + shift.hue}, ${s}%, ${l}%, ${alpha})`;
+    }
+
+    // Meadow flowers keep their generated color slot; the theme picks the color
+    meadowPetal(index, alpha = 1) {
+        const petals = this.values.meadowPetals;
+        return Utils.rgba(petals[Math.max(0, index) % petals.length], alpha);
+    }
+
+    // Outline mode: stroke the current path (no-op otherwise). `scale` undoes a ctx.scale()
+    outline(ctx, width = 1.5, scale = 1) {
+        if (!this.outlines) return;
+
+        ctx.save();
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = this.color('outline', 0.9);
+        ctx.lineWidth = width / scale;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Flower palette in the PALETTES shape (center colors as hex)
+    getPalette() {
+        const palette = this.values.palette;
+        return {
+            petalHue: palette.petalHue,
+            petalSat: palette.petalSat,
+            petalLit: palette.petalLit,
+            centerOuter: toHex(palette.centerOuter),
+            centerInner: toHex(palette.centerInner),
+            centerDark: toHex(palette.centerDark)
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return { theme: this.theme, palette: this.paletteOverride };
+    }
+
+    // Mode and outlines are viewer settings and stay as they are.
+    // Restores land on the final colors (no fade)
+    deserialize(state) {
+        this.theme = state.theme || 'classic';
+        this.paletteOverride = state.palette || null;
+        this.fadeTo(this.resolve(), 0);
+    }
+}
+
+// Theme with colors as [r, g, b] (and color lists as lists of them), ready to blend
+const parseTheme = (theme) => {
+    const parsed = {};
+
+    Object.entries(theme).forEach(([key, value]) => {
+        if (key === 'palette') {
+            const palette = getPalette(value);
+            parsed.palette = {
+                ...palette,
+                centerOuter: Utils.parseColor(palette.centerOuter) || [0, 0, 0],
+                centerInner: Utils.parseColor(palette.centerInner) || [0, 0, 0],
+                centerDark: Utils.parseColor(palette.centerDark) || [0, 0, 0]
+            };
+        } else if (Array.isArray(value)) {
+            parsed[key] = value.map(color => Utils.parseColor(color) || [0, 0, 0]);
+        } else if (typeof value === 'string') {
+            parsed[key] = Utils.parseColor(value) || [0, 0, 0];
+        } else {
+            parsed[key] = { ...value };
+        }
+    });
+
+    return parsed;
+};
+
+// Interpolate numbers, [r, g, b] arrays and nested objects; hues take the short way round
+const blend = (a, b, t, key) => {
+    if (typeof a === 'number') {
+        if (key === 'hue' || key === 'petalHue') {
+            const delta = ((b - a) % 360 + 540) % 360 - 180;
+            return a + delta * t;
+        }
+        return a + (b - a) * t;
+    }
+
+    if (Array.isArray(a)) {
+        // Lists of different lengths (meadow petals): switch at the midpoint
+        if (a.length !== b.length) return t < 0.5 ? a : b;
+        return a.map((value, i) => blend(value, b[i], t));
+    }
+
+    const result = {};
+    Object.keys(b).forEach(k => {
+        result[k] = a[k] === undefined ? b[k] : blend(a[k], b[k], t, k);
+    });
+    return result;
+};
+
+const toHex = (rgb) => '#' + rgb.map(c => Math.round(Utils.clamp(c, 0, 255)).toString(16).padStart(2, '0')).join('');
@@ -0,0 +1,519 @@
+/**
+ * WebGLRenderer Module
+ * WebGL backend of the renderer interface (see Canvas2DRenderer). Petals, dots and
+ * glows are queued as instances of one quad, shaped in the fragment shader and
+ * drawn with a single instanced call per flush; bloom blurs the glowing shapes at
+ * half resolution and adds them back on top. Each flush composites the result onto
+ * the 2D canvas, so it layers with whatever is drawn there in between. Needs only
+ * WebGL 1 with ANGLE_instanced_arrays, which software GL (SwiftShader) provides
+ */
+
+import { ThemeManager } from './ThemeManager.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { Canvas2DRenderer } from './Canvas2DRenderer.js';
+
+// Per instance: rect (x, y, size x, size y), shape (angle, kind, a, b),
+// color (r, g, b, alpha | petals: hue, sat, lit, base hue shift),
+// edge (r, g, b, mid | petals: belly, shoulder, base sat shift, base lit shift); device pixels
+const FLOATS = 16;
+const DOT = 0;
+const GLOW = 1;
+const PETAL = 2;
+
+// Room around a petal for its outline and hover glow (device pixels)
+const PETAL_PAD = 8;
+
+// Bloom: blurred at 1/BLOOM_SCALE resolution, added at BLOOM_STRENGTH
+const BLOOM_SCALE = 2;
+const BLOOM_STRENGTH = 0.6;
+
+const CONTEXT_OPTIONS = { alpha: true, premultipliedAlpha: true, antialias: false, depth: false, stencil: false };
+
+const SHAPE_VERTEX = `
+precision highp float;
+attribute vec2 a_corner;
+attribute vec4 a_rect;
+attribute vec4 a_shape;
+attribute vec4 a_color;
+attribute vec4 a_edge;
+uniform vec2 u_resolution;
+varying vec4 v_local;
+varying vec4 v_shape;
+varying vec4 v_color;
+varying vec4 v_edge;
+
+void main() {
+    vec2 local;
+    if (a_shape.y > 1.5) {
+        // Petal: base at the origin, pointing along +x; no wider than 3/4 of its widest control point
+        float pad = ${PETAL_PAD.toFixed(1)};
+        float halfWidth = a_rect.w * 0.75 * max(a_edge.x, a_edge.y);
+        local = vec2(mix(-pad, a_rect.z + pad, a_corner.x), (a_corner.y * 2.0 - 1.0) * (halfWidth + pad));
+    } else {
+        local = (a_corner * 2.0 - 1.0) * (a_rect.z + 1.0);
+    }
+
+    float c = cos(a_shape.x);
+    float s = sin(a_shape.x);
+    vec2 position = a_rect.xy + vec2(local.x * c - local.y * s, local.x * s + local.y * c);
+    vec2 clip = position / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+    v_local = vec4(local, a_rect.zw);
+    v_shape = a_shape;
+    v_color = a_color;
+    v_edge = a_edge;
+}`;
+
+const SHAPE_FRAGMENT = `
+precision mediump float;
+uniform float u_emissive;
+uniform float u_detail;
+uniform float u_glow;
+uniform float u_outlines;
+uniform vec3 u_outline;
+uniform vec3 u_highlight;
+uniform vec3 u_halo;
+uniform vec3 u_vein;
+varying vec4 v_local;
+varying vec4 v_shape;
+varying vec4 v_color;
+varying vec4 v_edge;
+
+vec3 hsl(float h, float s, float l) {
+    s = clamp(s / 100.0, 0.0, 1.0);
+    l = clamp(l / 100.0, 0.0, 1.0);
+    vec3 k = mod(vec3(0.0, 8.0, 4.0) + h / 30.0, 12.0);
+    return l - s * min(l, 1.0 - l) * clamp(min(k - 3.0, 9.0 - k), -1.0, 1.0);
+}
+
+vec4 over(vec4 below, vec3 rgb, float alpha) {
+    return vec4(rgb * alpha, alpha) + below * (1.0 - alpha);
+}
+
+vec4 shapeDot() {
+    float alpha = v_color.a * clamp(v_local.z + 0.5 - length(v_local.xy), 0.0, 1.0);
+    return vec4(v_color.rgb * alpha, alpha);
+}
+
+vec4 shapeGlow() {
+    float t = length(v_local.xy) / v_local.z;
+    float mid = v_edge.a;
+    float inner = clamp(t / mid, 0.0, 1.0);
+    float outer = clamp((t - mid) / (1.0 - mid), 0.0, 1.0);
+    vec3 rgb = mix(v_color.rgb, v_edge.rgb, inner);
+    float alpha = v_color.a * (t < mid ? mix(1.0, v_shape.z, inner) : mix(v_shape.z, 0.0, outer));
+    return vec4(rgb * alpha, alpha);
+}
+
+// The outline of Canvas2DRenderer.petal(): half-width along the petal is close to
+// width * (3b u (1-u)^2 + 3s u^2 (1-u)) for both bezier halves (b, s: belly, shoulder)
+vec4 shapePetal() {
+    vec2 p = v_local.xy;
+    float len = v_local.z;
+    float width = v_local.w;
+    float highlight = v_shape.z;
+    float scale = v_shape.w;
+    float belly = v_edge.x;
+    float shoulder = v_edge.y;
+
+    float u = clamp(p.x / len, 0.0, 1.0);
+    float halfWidth = width * 3.0 * u * (1.0 - u) * (belly * (1.0 - u) + shoulder * u);
+    float slope = width / len * 3.0 * (belly * (1.0 - 4.0 * u + 3.0 * u * u) + shoulder * (2.0 * u - 3.0 * u * u));
+    float d = (abs(p.y) - halfWidth) / sqrt(1.0 + slope * slope);
+    d = max(d, max(-p.x, p.x - len));
+
+    // Hover edge and its halo are all the petal gives to bloom
+    vec4 color = vec4(0.0);
+    if (u_emissive < 0.5) {
+        float hue = v_color.x;
+        float sat = v_color.y;
+        float lit = v_color.z;
+        vec3 body = hsl(hue, sat, lit);
+
+        if (u_detail > 0.5) {
+            vec3 base = hsl(hue + v_color.w, sat + v_edge.z, lit + v_edge.w);
+            vec3 tip = hsl(hue, sat + 5.0, lit - 2.0);
+            float t = p.x / len;
+            body = t < 0.3 ? mix(base, body, t / 0.3) : (t > 0.7 ? mix(body, tip, (t - 0.7) / 0.3) : body);
+
+            float vein = clamp(0.25 * scale + 0.5 - abs(p.y), 0.0, 1.0) * step(0.1, t) * step(t, 0.85);
+            body = mix(body, u_vein, vein * 0.2);
+        }
+
+        float fill = clamp(0.5 - d, 0.0, 1.0);
+        color = vec4(body * fill, fill);
+        color = over(color, u_outline, 0.9 * u_outlines * clamp(0.6 * scale + 0.5 - abs(d), 0.0, 1.0));
+    }
+
+    if (highlight > 0.01) {
+        if (u_glow > 0.5) {
+            float halo = highlight * 0.5 * exp(-max(d, 0.0) / (4.0 * scale)) * step(0.0, d);
+            color += vec4(u_halo * halo, halo) * (1.0 - color.a);
+        }
+        color = over(color, u_highlight, highlight * clamp(scale + 0.5 - abs(d), 0.0, 1.0));
+    }
+
+    return color;
+}
+
+void main() {
+    if (v_shape.y > 1.5) gl_FragColor = shapePetal();
+    else if (v_shape.y > 0.5) gl_FragColor = shapeGlow();
+    else gl_FragColor = shapeDot();
+}`;
+
+const SCREEN_VERTEX = `
+precision highp float;
+attribute vec2 a_corner;
+varying vec2 v_uv;
+
+void main() {
+    v_uv = a_corner;
+    gl_Position = vec4(a_corner * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+// Separable gaussian, 9 taps through 5 linear samples
+const BLUR_FRAGMENT = `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform vec2 u_step;
+varying vec2 v_uv;
+
+void main() {
+    vec4 sum = texture2D(u_texture, v_uv) * 0.2270270;
+    sum += (texture2D(u_texture, v_uv + u_step * 1.3846154) + texture2D(u_texture, v_uv - u_step * 1.3846154)) * 0.3162162;
+    sum += (texture2D(u_texture, v_uv + u_step * 3.2307692) + texture2D(u_texture, v_uv - u_step * 3.2307692)) * 0.0702703;
+    gl_FragColor = sum;
+}`;
+
+const BLOOM_FRAGMENT = `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform float u_strength;
+varying vec2 v_uv;
+
+void main() {
+    gl_FragColor = texture2D(u_texture, v_uv) * u_strength;
+}`;
+
+export class WebGLRenderer {
+    // null where WebGL, instancing or the shaders aren't available
+    static create(options = {}) {
+        const canvas = createCanvas();
+        const gl = canvas && canvas.getContext('webgl', CONTEXT_OPTIONS);
+        const instancing = gl && gl.getExtension('ANGLE_instanced_arrays');
+        if (!instancing) return null;
+
+        try {
+            return new WebGLRenderer(canvas, gl, instancing, options);
+        } catch (e) {
+            console.warn('Daisy: WebGL renderer unavailable, drawing with Canvas 2D', e);
+            return null;
+        }
+    }
+
+    constructor(canvas, gl, instancing, options = {}) {
+        this.name = 'webgl';
+        this.canvas = canvas;
+        this.gl = gl;
+        this.instancing = instancing;
+        this.theme = options.theme || new ThemeManager();
+        this.quality = options.quality || new QualityGovernor();
+
+        // Queued instances, grown as needed
+        this.data = new Float32Array(256 * FLOATS);
+        this.count = 0;
+
+        // A lost context draws the rest of the session with Canvas 2D
+        this.fallback = new Canvas2DRenderer(options);
+        this.lost = false;
+        this.handleContextLost = () => {
+            this.lost = true;
+            this.count = 0;
+        };
+        canvas.addEventListener('webglcontextlost', this.handleContextLost);
+
+        this.shapes = program(gl, SHAPE_VERTEX, SHAPE_FRAGMENT);
+        this.blur = program(gl, SCREEN_VERTEX, BLUR_FRAGMENT);
+        this.bloom = program(gl, SCREEN_VERTEX, BLOOM_FRAGMENT);
+
+        this.corners = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.corners);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+        this.instances = gl.createBuffer();
+
+        // Bloom ping-pong targets (sized on flush)
+        this.targets = [target(gl), target(gl)];
+        this.bloomWidth = 0;
+        this.bloomHeight = 0;
+
+        gl.disable(gl.DEPTH_TEST);
+        gl.enable(gl.BLEND);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // SHAPES
+    // ═══════════════════════════════════════════════════════
+
+    dot(ctx, x, y, radius, rgb, alpha) {
+        if (this.lost) return this.fallback.dot(ctx, x, y, radius, rgb, alpha);
+        if (alpha <= 0) return;
+
+        const { px, py, scale } = place(ctx, x, y);
+        this.push(px, py, radius * scale, radius * scale, 0, DOT, 0, 0,
+            rgb[0] / 255, rgb[1] / 255, rgb[2] / 255, alpha, 0, 0, 0, 0);
+    }
+
+    glow(ctx, x, y, radius, rgb, alpha, mid = 0.5, midAlpha = 0.3, edge = rgb) {
+        if (this.lost) return this.fallback.glow(ctx, x, y, radius, rgb, alpha, mid, midAlpha, edge);
+        if (alpha <= 0) return;
+
+        const { px, py, scale } = place(ctx, x, y);
+        this.push(px, py, radius * scale, radius * scale, 0, GLOW, midAlpha, 0,
+            rgb[0] / 255, rgb[1] / 255, rgb[2] / 255, alpha, edge[0] / 255, edge[1] / 255, edge[2] / 255, mid);
+    }
+
+    petal(ctx, x, y, angle, length, width, look) {
+        if (this.lost) return this.fallback.petal(ctx, x, y, angle, length, width, look);
+
+        const { px, py, scale, rotation } = place(ctx, x, y);
+        this.push(px, py, length * scale, width * scale, angle + rotation, PETAL, look.highlight, scale,
+            look.hue, look.sat, look.lit, look.base[0], look.shape[0], look.shape[1], look.base[1], look.base[2]);
+    }
+
+    push(...values) {
+        if ((this.count + 1) * FLOATS > this.data.length) {
+            const grown = new Float32Array(this.data.length * 2);
+            grown.set(this.data);
+            this.data = grown;
+        }
+
+        this.data.set(values, this.count * FLOATS);
+        this.count++;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    // FLUSH
+    // ═══════════════════════════════════════════════════════
+
+    // Draw the queued shapes (and their bloom) and composite them onto `ctx`
+    flush(ctx) {
+        if (this.count === 0 || this.lost) return;
+
+        const gl = this.gl;
+        const { width, height } = ctx.canvas;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instances);
+        gl.bufferData(gl.ARRAY_BUFFER, this.data.subarray(0, this.count * FLOATS), gl.DYNAMIC_DRAW);
+
+        const bloom = this.quality.tier.glow;
+        if (bloom) this.drawBloom(width, height);
+
+        // Shapes, then the blurred glow added on top
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, width, height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        this.drawShapes(width, height, false);
+
+        if (bloom) {
+            gl.blendFunc(gl.ONE, gl.ONE);
+            this.drawScreen(this.bloom, this.targets[0].texture, { u_strength: BLOOM_STRENGTH });
+        }
+
+        this.count = 0;
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(this.canvas, 0, 0);
+        ctx.restore();
+    }
+
+    // Glowing parts alone at reduced size, blurred across and then down
+    drawBloom(width, height) {
+        const gl = this.gl;
+        const [a, b] = this.targets;
+        const bloomWidth = Math.max(1, Math.ceil(width / BLOOM_SCALE));
+        const bloomHeight = Math.max(1, Math.ceil(height / BLOOM_SCALE));
+
+        if (bloomWidth !== this.bloomWidth || bloomHeight !== this.bloomHeight) {
+            this.targets.forEach(({ texture }) => {
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, bloomWidth, bloomHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            });
+            this.bloomWidth = bloomWidth;
+            this.bloomHeight = bloomHeight;
+        }
+
+        gl.viewport(0, 0, bloomWidth, bloomHeight);
+        gl.clearColor(0, 0, 0, 0);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, a.framebuffer);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        this.drawShapes(width, height, true);
+
+        gl.disable(gl.BLEND);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, b.framebuffer);
+        this.drawScreen(this.blur, a.texture, { u_step: [1 / bloomWidth, 0] });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, a.framebuffer);
+        this.drawScreen(this.blur, b.texture, { u_step: [0, 1 / bloomHeight] });
+        gl.enable(gl.BLEND);
+    }
+
+    drawShapes(width, height, emissive) {
+        const gl = this.gl;
+        const ext = this.instancing;
+        const { handle, attributes, uniforms } = this.shapes;
+        const theme = this.theme;
+        const tier = this.quality.tier;
+
+        gl.useProgram(handle);
+        setUniforms(gl, uniforms, {
+            u_resolution: [width, height],
+            u_emissive: emissive ? 1 : 0,
+            u_detail: tier.petalDetail ? 1 : 0,
+            u_glow: tier.glow ? 1 : 0,
+            u_outlines: theme.outlines ? 1 : 0,
+            u_outline: unit(theme.rgb('outline')),
+            u_highlight: unit(theme.rgb('petalGlow')),
+            u_halo: unit(theme.rgb('glow')),
+            u_vein: unit(theme.rgb('petalVein'))
+        });
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.corners);
+        gl.enableVertexAttribArray(attributes.a_corner);
+        gl.vertexAttribPointer(attributes.a_corner, 2, gl.FLOAT, false, 0, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instances);
+        ['a_rect', 'a_shape', 'a_color', 'a_edge'].forEach((name, i) => {
+            gl.enableVertexAttribArray(attributes[name]);
+            gl.vertexAttribPointer(attributes[name], 4, gl.FLOAT, false, FLOATS * 4, i * 16);
+            ext.vertexAttribDivisorANGLE(attributes[name], 1);
+        });
+
+        ext.drawArraysInstancedANGLE(gl.TRIANGLE_STRIP, 0, 4, this.count);
+
+        // The screen passes share attribute slots; leave them per-vertex
+        ['a_rect', 'a_shape', 'a_color', 'a_edge'].forEach(name => {
+            ext.vertexAttribDivisorANGLE(attributes[name], 0);
+            gl.disableVertexAttribArray(attributes[name]);
+        });
+    }
+
+    // Full-target quad sampling `texture`
+    drawScreen(pass, texture, values) {
+        const gl = this.gl;
+        const { handle, attributes, uniforms } = pass;
+
+        gl.useProgram(handle);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(uniforms.u_texture, 0);
+        setUniforms(gl, uniforms, values);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.corners);
+        gl.enableVertexAttribArray(attributes.a_corner);
+        gl.vertexAttribPointer(attributes.a_corner, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    destroy() {
+        this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+
+        const lose = this.gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+    }
+}
+
+const createCanvas = () => {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(1, 1);
+    if (typeof document !== 'undefined') return document.createElement('canvas');
+    return null;
+};
+
+// Device position of scene point (x, y) under ctx's transform, with the
+// transform's scale and rotation
+const place = (ctx, x, y) => {
+    const m = ctx.getTransform();
+    return {
+        px: m.a * x + m.c * y + m.e,
+        py: m.b * x + m.d * y + m.f,
+        scale: Math.hypot(m.a, m.b),
+        rotation: Math.atan2(m.b, m.a)
+    };
+};
+
+const unit = (rgb) => [rgb[0] / 255, rgb[1] / 255, rgb[2] / 255];
+
+// Floats and float vectors by name; uniforms the compiler dropped are skipped
+const setUniforms = (gl, uniforms, values) => {
+    Object.entries(values).forEach(([name, value]) => {
+        const location = uniforms[name];
+        if (!location) return;
+
+        if (typeof value === 'number') gl.uniform1f(location, value);
+        else if (value.length === 2) gl.uniform2fv(location, value);
+        else gl.uniform3fv(location, value);
+    });
+};
+
+const compile = (gl, type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+    }
+    return shader;
+};
+
+// Linked program with its attribute and uniform locations by name
+const program = (gl, vertex, fragment) => {
+    const handle = gl.createProgram();
+    gl.attachShader(handle, compile(gl, gl.VERTEX_SHADER, vertex));
+    gl.attachShader(handle, compile(gl, gl.FRAGMENT_SHADER, fragment));
+    gl.linkProgram(handle);
+    if (!gl.getProgramParameter(handle, gl.LINK_STATUS)) {
+        throw new Error(gl.getProgramInfoLog(handle));
+    }
+
+    const attributes = {};
+    const uniforms = {};
+    for (let i = 0; i < gl.getProgramParameter(handle, gl.ACTIVE_ATTRIBUTES); i++) {
+        const { name } = gl.getActiveAttrib(handle, i);
+        attributes[name] = gl.getAttribLocation(handle, name);
+    }
+    for (let i = 0; i < gl.getProgramParameter(handle, gl.ACTIVE_UNIFORMS); i++) {
+        const { name } = gl.getActiveUniform(handle, i);
+        uniforms[name] = gl.getUniformLocation(handle, name);
+    }
+
+    return { handle, attributes, uniforms };
+};
+
+// Texture with a framebuffer drawing into it (storage allocated on resize)
+const target = (gl) => {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    return { texture, framebuffer };
+};
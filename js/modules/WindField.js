@@ -4,13 +4,21 @@
  * Influences flower sway and particle movement
  */
 
-import { PHYSICS, Utils } from '../config.js';
+import { PHYSICS, Utils, Random } from '../config.js';
+
+// Fields captured by serialize()
+const WIND_STATE = [
+    'baseWind', 'currentWind', 'gustWind', 'noiseOffset', 'cursorInfluence', 'lastCursorX',
+    'lastCursorY', 'gustActive', 'gustProgress', 'gustDuration', 'gustDirection', 'perm'
+];
 
 export class WindField {
-    constructor(width, height) {
+    constructor(width, height, options = {}) {
         this.width = width;
         this.height = height;
 
+        this.random = options.random || Random.fork('wind');
+
         // Wind state
         this.baseWind = { x: 0.3, y: 0 };
         this.currentWind = { x: 0, y: 0 };
@@ -29,6 +37,7 @@ export class WindField {
         this.gustProgress = 0;
         this.gustDuration = 2000;
         this.gustDirection = { x: 1, y: 0 };
+        this.gustScale = 1; // below 1 for reduced motion
 
         // Perlin noise permutation table
         this.perm = this.generatePermutation();
@@ -40,7 +49,7 @@ export class WindField {
 
         // Shuffle
         for (let i = 255; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random.next() * (i + 1));
             [p[i], p[j]] = [p[j], p[i]];
         }
 
@@ -123,7 +132,7 @@ export class WindField {
                     ? this.gustProgress / 0.2
                     : 1 - ((this.gustProgress - 0.2) / 0.8);
 
-                const strength = envelope * PHYSICS.windGustStrength;
+                const strength = envelope * PHYSICS.windGustStrength * this.gustScale;
                 this.gustWind.x = this.gustDirection.x * strength;
                 this.gustWind.y = this.gustDirection.y * strength * 0.3;
             }
@@ -134,6 +143,11 @@ export class WindField {
         this.currentWind.y = this.baseWind.y + this.cursorInfluence.y + this.gustWind.y;
     }
 
+    // Reduced motion: gusts become a faint breath
+    setReducedMotion(reduced) {
+        this.gustScale = reduced ? 0.2 : 1;
+    }
+
     // Trigger a wind gust (used in entrance animation)
     triggerGust(direction = { x: 1, y: 0 }, duration = 2000) {
         this.gustActive = true;
@@ -164,4 +178,20 @@ export class WindField {
     getDirection() {
         return Math.atan2(this.currentWind.y, this.currentWind.x);
     }
+
+    // ═══════════════════════════════════════════════════════
+    // SERIALIZATION
+    // ═══════════════════════════════════════════════════════
+
+    serialize() {
+        return {
+            ...Utils.pickState(this, WIND_STATE),
+            random: this.random.state
+        };
+    }
+
+    deserialize(state) {
+        Utils.assignState(this, state, WIND_STATE);
+        this.random.state = state.random;
+    }
 }
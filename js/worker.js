@@ -0,0 +1,139 @@
+/**
+ * Worker Entry Point
+ * Runs the scene of an OffscreenDaisy: a DaisyExperience in offscreen mode that
+ * simulates and draws on the transferred canvas. The page forwards pointer, key,
+ * resize and settings messages here and gets the scene's bus events back, so its
+ * AudioLayer, announcer and host listeners can react. snapshot()/restore() results
+ * and debug HUD reports go back the same way
+ */
+
+import { DaisyExperience } from './DaisyExperience.js';
+import { applyConfig } from './modules/ConfigLoader.js';
+
+// Workers without their own frame callback tick on a timer
+if (typeof self.requestAnimationFrame === 'undefined') {
+    self.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+    self.cancelAnimationFrame = (id) => clearTimeout(id);
+}
+
+// The page owns the settings store; its changes come in as 'setting' messages
+const PAGE_ONLY_EVENTS = ['settings:change'];
+
+// Page calls that are passed straight through
+const CALLS = [
+    'pause', 'resume', 'setTimeScale', 'step', 'skipIntro', 'setDebug',
+    'setTheme', 'setPalette', 'setSpecies', 'setDayCycleSpeed'
+];
+
+// Page calls that wait for the result (OffscreenDaisy.request())
+const REQUESTS = ['snapshot', 'restore'];
+
+// Camera methods the page may call (OffscreenDaisy.camera)
+const CAMERA_CALLS = ['focus', 'reset', 'zoomTo', 'zoomBy', 'zoomIn', 'zoomOut'];
+
+let daisy = null;
+
+const post = (message) => self.postMessage(message);
+
+const handlers = {
+    async init({ canvas, width, height, options, config }) {
+        // Tuning overrides the page loaded (daisy.config.json, #daisy-config, URL)
+        applyConfig(config, 'page config');
+
+        daisy = new DaisyExperience({
+            ...options,
+            offscreen: true,
+            canvas,
+            width,
+            height,
+            // The page draws the debug HUD
+            hudReport: (text, history) => post({ type: 'hud', text, history })
+        });
+
+        daisy.events.on('*', (payload, event) => {
+            if (!PAGE_ONLY_EVENTS.includes(event)) post({ type: 'event', event, payload });
+        });
+
+        await daisy.init();
+    },
+
+    start() {
+        daisy.startExperience();
+    },
+
+    // Screen space (CSS pixels from the canvas corner); the scene works in world space
+    pointer({ kind, x, y }) {
+        const input = daisy.input;
+        const world = kind === 'move' || kind === 'click' ? daisy.camera.screenToWorld(x, y) : null;
+
+        switch (kind) {
+            case 'move': input.moveTo(world.x, world.y); break;
+            case 'click': input.emitClick(world.x, world.y); break;
+            case 'tap': input.emitClick(input.x, input.y); break;
+            case 'leave': input.park(); break;
+        }
+    },
+
+    // Wheel and pinch
+    zoom({ factor }) {
+        daisy.input.emitZoom(factor);
+    },
+
+    camera({ method, args }) {
+        if (CAMERA_CALLS.includes(method)) daisy.camera[method](...args);
+    },
+
+    key({ key }) {
+        daisy.focus.handleKey({ key, preventDefault() {} });
+    },
+
+    focus({ visible }) {
+        daisy.focus.setRingVisible(visible);
+    },
+
+    // Headless resize() reads the size and safe-area insets from its options
+    resize({ width, height, insets }) {
+        daisy.options.width = width;
+        daisy.options.height = height;
+        daisy.options.insets = insets;
+        daisy.resize();
+    },
+
+    setting({ key, value }) {
+        daisy.settings.set(key, value);
+    },
+
+    call({ method, args }) {
+        if (CALLS.includes(method)) daisy[method](...args);
+    },
+
+    // A failure goes back as the reply's `error`, so the page's promise rejects
+    request({ id, method, args }) {
+        try {
+            if (!REQUESTS.includes(method)) throw new Error(`Daisy: no worker request ${method}`);
+            post({ type: 'reply', id, result: daisy[method](...args) });
+        } catch (error) {
+            post({ type: 'reply', id, error: error.message });
+        }
+    },
+
+    // The page's AudioLayer breathes; the flower here sways along with it
+    intensity({ value }) {
+        daisy.audio.intensity = value;
+    },
+
+    freeze() {
+        daisy.freeze();
+    },
+
+    thaw() {
+        daisy.thaw();
+    }
+};
+
+self.onmessage = ({ data }) => {
+    // Nothing but init makes sense before the scene exists (the page terminates
+    // the worker to end it)
+    if (!daisy && data.type !== 'init') return;
+    handlers[data.type](data);
+};